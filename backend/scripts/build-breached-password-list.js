@@ -0,0 +1,45 @@
+/**
+ * Build a breached-password list in the "SHA1:COUNT" format read by the
+ * password policy, from a plain-text list with one password per line
+ * (optionally "password:count"). Merges into the output file if it exists.
+ *
+ * Usage: node scripts/build-breached-password-list.js <input.txt> [output.txt]
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const [inputPath, outputPath = path.join(__dirname, '..', 'data', 'breached-password-hashes.txt')] = process.argv.slice(2);
+
+if (!inputPath) {
+  console.error('Usage: node scripts/build-breached-password-list.js <input.txt> [output.txt]');
+  process.exit(1);
+}
+
+const counts = new Map();
+
+if (fs.existsSync(outputPath)) {
+  fs.readFileSync(outputPath, 'utf8').split(/\r?\n/).forEach((line) => {
+    const [hash, count] = line.trim().split(':');
+    if (hash) counts.set(hash, parseInt(count) || 1);
+  });
+}
+
+fs.readFileSync(inputPath, 'utf8').split(/\r?\n/).forEach((line) => {
+  if (!line) return;
+
+  const separator = line.lastIndexOf(':');
+  const hasCount = separator > 0 && /^\d+$/.test(line.slice(separator + 1));
+  const password = hasCount ? line.slice(0, separator) : line;
+  const count = hasCount ? parseInt(line.slice(separator + 1)) : 1;
+
+  const hash = crypto.createHash('sha1').update(password).digest('hex').toUpperCase();
+  counts.set(hash, Math.max(counts.get(hash) || 0, count));
+});
+
+const lines = [...counts.entries()]
+  .sort(([a], [b]) => (a < b ? -1 : 1))
+  .map(([hash, count]) => `${hash}:${count}`);
+
+fs.writeFileSync(outputPath, lines.join('\n') + '\n');
+console.log(`Wrote ${lines.length} hashes to ${outputPath}`);
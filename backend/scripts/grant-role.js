@@ -0,0 +1,48 @@
+/**
+ * Grant or revoke a staff role from the command line, e.g. to create the
+ * first administrator. The change is written to the audit log with no actor.
+ *
+ * Usage: node scripts/grant-role.js <email> <role> [--revoke]
+ */
+const mongoose = require('mongoose');
+
+require('dotenv').config();
+
+const User = require('../src/models/User');
+const RoleService = require('../src/services/roleService');
+const { ROLE_NAMES, isValidRole } = require('../src/utils/permissions');
+
+const [email, role, flag] = process.argv.slice(2);
+
+if (!email || !isValidRole(role)) {
+  console.error(`Usage: node scripts/grant-role.js <email> <${ROLE_NAMES.join('|')}> [--revoke]`);
+  process.exit(1);
+}
+
+const run = async () => {
+  await mongoose.connect(process.env.DATABASE_URL || 'mongodb://localhost:27017/travio');
+
+  try {
+    const user = await User.findOne({ email: email.trim().toLowerCase() });
+
+    if (!user) {
+      console.error(`No user with email ${email}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const options = { reason: 'Command line' };
+    const updated = flag === '--revoke'
+      ? await RoleService.revokeRole(user._id, role, options)
+      : await RoleService.grantRole(user._id, role, options);
+
+    console.log(`${updated.email} roles: ${updated.roles.join(', ') || '(none)'}`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
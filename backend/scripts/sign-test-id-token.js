@@ -0,0 +1,48 @@
+/**
+ * Mint a provider ID token signed with the local test key set, for testing
+ * social login offline. Point the provider at the key set first, e.g.
+ *
+ *   GOOGLE_JWKS_FILE=fixtures/social-auth-test-jwks.json
+ *
+ * Usage: node scripts/sign-test-id-token.js <provider> <email> [sub]
+ */
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+require('dotenv').config();
+
+const SocialAuthService = require('../src/services/socialAuthService');
+
+const [provider, email, sub = crypto.randomBytes(8).toString('hex')] = process.argv.slice(2);
+
+if (!provider || !email || !SocialAuthService.isSupported(provider)) {
+  console.error('Usage: node scripts/sign-test-id-token.js <google|facebook|linkedin> <email> [sub]');
+  process.exit(1);
+}
+
+const verifier = SocialAuthService.getVerifier(provider);
+const jwksPath = path.join(__dirname, '..', 'fixtures', 'social-auth-test-jwks.json');
+const [signingJwk] = JSON.parse(fs.readFileSync(jwksPath, 'utf8')).keys;
+const privateKey = crypto.createPrivateKey({ key: signingJwk, format: 'jwk' });
+
+const token = jwt.sign(
+  {
+    sub,
+    email,
+    email_verified: true,
+    given_name: 'Test',
+    family_name: 'Traveler'
+  },
+  privateKey,
+  {
+    algorithm: 'RS256',
+    keyid: signingJwk.kid,
+    issuer: verifier.issuers[0],
+    audience: process.env[verifier.audienceEnv] || 'travio-local-test',
+    expiresIn: '1h'
+  }
+);
+
+console.log(token);
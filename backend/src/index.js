@@ -1,3 +1,6 @@
+// Load environment variables before any module reads its configuration
+require('dotenv').config();
+
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
@@ -17,13 +20,23 @@ const matchRoutes = require('./routes/matches');
 const communityRoutes = require('./routes/community');
 const emergencyRoutes = require('./routes/emergency');
 const essentialsRoutes = require('./routes/essentials');
+const adminRoutes = require('./routes/admin');
+const reviewRoutes = require('./routes/reviews');
+const passportRoutes = require('./routes/passport');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
+const { socketAuth } = require('./middleware/auth');
 const logger = require('./utils/logger');
 
-// Load environment variables
-require('dotenv').config();
+// Import services
+const DataExportService = require('./services/dataExportService');
+const IdentityVerificationService = require('./services/identityVerificationService');
+const AccountDeletionService = require('./services/accountDeletionService');
+const ReviewService = require('./services/reviewService');
+const BlockService = require('./services/blockService');
+const TrustScoreService = require('./services/trustScoreService');
+const TripMembershipService = require('./services/tripMembershipService');
 
 const app = express();
 const server = createServer(app);
@@ -58,25 +71,70 @@ mongoose.connect(process.env.DATABASE_URL || 'mongodb://localhost:27017/travio',
 })
 .then(() => {
   logger.info('Connected to MongoDB');
+  startMaintenanceJobs();
 })
 .catch((error) => {
   logger.error('MongoDB connection error:', error);
   process.exit(1);
 });
 
-// Socket.io for real-time features
+// Resume interrupted data exports and identity checks, then hourly purge
+// accounts past their deletion grace period and expired export archives,
+// publish reviews whose review window has closed, rescore users whose
+// trust score is over a day old and pass on waitlist offers that ran out
+const MAINTENANCE_INTERVAL_MS = 60 * 60 * 1000;
+
+function startMaintenanceJobs() {
+  const runMaintenance = async () => {
+    try {
+      const purged = await AccountDeletionService.processDueDeletions();
+      const expired = await DataExportService.purgeExpired();
+      const published = await ReviewService.publishDue();
+      const rescored = await TrustScoreService.recalculateStale();
+      const lapsedOffers = await TripMembershipService.expireOffers();
+      if (purged || expired || published || rescored || lapsedOffers) {
+        logger.info(`Maintenance: purged ${purged} accounts and ${expired} expired exports, published ${published} reviews, rescored ${rescored} users, expired ${lapsedOffers} waitlist offers`);
+      }
+    } catch (error) {
+      logger.error('Maintenance job error:', error);
+    }
+  };
+
+  DataExportService.resumePending()
+    .catch(error => logger.error('Resume data exports error:', error));
+  IdentityVerificationService.resumeAutomatedChecks()
+    .catch(error => logger.error('Resume identity checks error:', error));
+
+  runMaintenance();
+  setInterval(runMaintenance, MAINTENANCE_INTERVAL_MS).unref();
+}
+
+// Socket.io for real-time features. Sockets authenticate with an access
+// token in the handshake; events act as that user, whatever ids they carry.
+io.use(socketAuth);
+
 io.on('connection', (socket) => {
   logger.info('User connected:', socket.id);
 
   // Join user to their personal room
-  socket.on('join-user-room', (userId) => {
+  socket.on('join-user-room', () => {
+    const { userId } = socket.data;
     socket.join(`user-${userId}`);
     logger.info(`User ${userId} joined their room`);
   });
 
   // Handle chat messages
-  socket.on('send-message', (data) => {
-    const { recipientId, message, senderId } = data;
+  socket.on('send-message', async (data) => {
+    const { recipientId, message } = data;
+    const senderId = socket.data.userId;
+
+    try {
+      if (await BlockService.isBlockedBetween(senderId, recipientId)) return;
+    } catch (error) {
+      logger.error('Socket message block check error:', error);
+      return;
+    }
+
     io.to(`user-${recipientId}`).emit('receive-message', {
       message,
       senderId,
@@ -122,6 +180,9 @@ app.use('/api/matches', matchRoutes);
 app.use('/api/community', communityRoutes);
 app.use('/api/emergency', emergencyRoutes);
 app.use('/api/essentials', essentialsRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/passport', passportRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -145,7 +206,10 @@ app.get('/api', (req, res) => {
       matches: '/api/matches',
       community: '/api/community',
       emergency: '/api/emergency',
-      essentials: '/api/essentials'
+      essentials: '/api/essentials',
+      reviews: '/api/reviews',
+      passport: '/api/passport',
+      admin: '/api/admin'
     }
   });
 });
@@ -1,5 +1,6 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const TokenService = require('../services/tokenService');
+const TrustScoreService = require('../services/trustScoreService');
 const logger = require('../utils/logger');
 
 const auth = async (req, res, next) => {
@@ -34,7 +35,17 @@ const auth = async (req, res, next) => {
 
     try {
       // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const decoded = TokenService.verifyAccessToken(token);
+
+      // Check that the session behind the token has not been revoked
+      const session = await TokenService.findActiveSession(decoded);
+
+      if (!session) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been revoked, please log in again'
+        });
+      }
       
       // Check if user still exists
       const user = await User.findById(decoded.userId).select('-password');
@@ -63,9 +74,20 @@ const auth = async (req, res, next) => {
         });
       }
 
-      // Add user to request object
-      req.user = decoded;
+      // Check that the device was not signed out remotely
+      if (session.deviceId && !user.hasDevice(session.deviceId)) {
+        return res.status(401).json({
+          success: false,
+          message: 'This device has been signed out, please log in again'
+        });
+      }
+
+      await TokenService.touchSession(session);
+
+      // Add user to request object (some routers read `id`, others `userId`)
+      req.user = { ...decoded, id: decoded.userId, sessionId: decoded.sid };
       req.userDoc = user;
+      req.session = session;
       
       next();
     } catch (jwtError) {
@@ -108,12 +130,16 @@ const optionalAuth = async (req, res, next) => {
     }
 
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.userId).select('-password');
+      const decoded = TokenService.verifyAccessToken(token);
+      const session = await TokenService.findActiveSession(decoded);
+      const user = session && await User.findById(decoded.userId).select('-password');
+      
+      const deviceActive = user && (!session.deviceId || user.hasDevice(session.deviceId));
       
-      if (user && user.isActive && !user.isSuspended) {
-        req.user = decoded;
+      if (deviceActive && user.isActive && !user.isSuspended) {
+        req.user = { ...decoded, id: decoded.userId, sessionId: decoded.sid };
         req.userDoc = user;
+        req.session = session;
       }
     } catch (jwtError) {
       // Silently fail for optional auth
@@ -127,21 +153,54 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// Run `auth` unless an earlier guard already did. Resolves true when the
+// request is authenticated; otherwise `auth` has already sent the response.
+const authenticate = async (req, res) => {
+  if (req.userDoc) return true;
+
+  let authenticated = false;
+  await auth(req, res, () => {
+    authenticated = true;
+  });
+
+  return authenticated;
+};
+
+// Permission middleware - passes when the user's roles grant every listed
+// permission. Composes with verifiedAuth and sensitiveAuth in either order.
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      if (!(await authenticate(req, res))) return;
+
+      const missing = permissions.filter(permission => !req.userDoc.hasPermission(permission));
+
+      if (missing.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to perform this action',
+          missingPermissions: missing
+        });
+      }
+
+      next();
+    } catch (error) {
+      logger.error('Permission middleware error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error in permission check'
+      });
+    }
+  };
+};
+
 // Admin auth middleware
 const adminAuth = async (req, res, next) => {
   try {
-    // First run regular auth
-    await new Promise((resolve, reject) => {
-      auth(req, res, (err) => {
-        if (err) reject(err);
-        else resolve();
-      });
-    });
+    if (!(await authenticate(req, res))) return;
 
     // Check if user is admin
-    const user = await User.findById(req.user.userId);
-    
-    if (!user || user.role !== 'admin') {
+    if (!req.userDoc.hasRole('admin')) {
       return res.status(403).json({
         success: false,
         message: 'Admin access required'
@@ -161,13 +220,7 @@ const adminAuth = async (req, res, next) => {
 // Verified user middleware
 const verifiedAuth = async (req, res, next) => {
   try {
-    // First run regular auth
-    await new Promise((resolve, reject) => {
-      auth(req, res, (err) => {
-        if (err) reject(err);
-        else resolve();
-      });
-    });
+    if (!(await authenticate(req, res))) return;
 
     // Check if user is verified
     if (!req.userDoc.isVerified) {
@@ -190,13 +243,7 @@ const verifiedAuth = async (req, res, next) => {
 // Rate limiting for sensitive operations
 const sensitiveAuth = async (req, res, next) => {
   try {
-    // First run regular auth
-    await new Promise((resolve, reject) => {
-      auth(req, res, (err) => {
-        if (err) reject(err);
-        else resolve();
-      });
-    });
+    if (!(await authenticate(req, res))) return;
 
     // Additional checks for sensitive operations
     const user = req.userDoc;
@@ -213,10 +260,10 @@ const sensitiveAuth = async (req, res, next) => {
     }
 
     // Check trust score for sensitive operations
-    if (user.trustScore < 20) {
+    if (user.trustScore < TrustScoreService.SENSITIVE_ACTION_THRESHOLD) {
       return res.status(403).json({
         success: false,
-        message: 'Insufficient trust score for this action'
+        message: 'Insufficient trust score for this action. See /api/users/me/trust for how to raise it'
       });
     }
 
@@ -230,10 +277,42 @@ const sensitiveAuth = async (req, res, next) => {
   }
 };
 
+// Socket.io middleware - checks the access token sent as `auth.token` in
+// the handshake the way `auth` does, and keeps the user id on `socket.data`
+const socketAuth = async (socket, next) => {
+  try {
+    const { token } = socket.handshake.auth || {};
+    if (!token) {
+      return next(new Error('No token provided, authorization denied'));
+    }
+
+    const decoded = TokenService.verifyAccessToken(token);
+    const session = await TokenService.findActiveSession(decoded);
+    const user = session && await User.findById(decoded.userId).select('isActive isSuspended devices');
+
+    const deviceActive = user && (!session.deviceId || user.hasDevice(session.deviceId));
+    if (!deviceActive || !user.isActive || user.isSuspended) {
+      return next(new Error('Not authorized'));
+    }
+
+    socket.data.userId = decoded.userId;
+    next();
+  } catch (error) {
+    if (error.name === 'TokenExpiredError' || error.name === 'JsonWebTokenError') {
+      return next(new Error('Invalid token'));
+    }
+
+    logger.error('Socket auth error:', error);
+    next(new Error('Server error in authentication'));
+  }
+};
+
 module.exports = {
   auth,
   optionalAuth,
+  socketAuth,
   adminAuth,
   verifiedAuth,
-  sensitiveAuth
+  sensitiveAuth,
+  requirePermission
 };
\ No newline at end of file
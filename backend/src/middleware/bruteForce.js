@@ -0,0 +1,71 @@
+const BruteForceService = require('../services/bruteForceService');
+const logger = require('../utils/logger');
+
+// Build the 429 response for a blocked attempt
+const sendBlocked = (res, reason, retryAfterMs) => {
+  const retryAfter = Math.ceil(retryAfterMs / 1000);
+  res.set('Retry-After', String(retryAfter));
+
+  const messages = {
+    'ip-blocked': 'Too many failed attempts from this network, please try again later',
+    locked: 'Account temporarily locked after too many failed attempts',
+    delayed: `Too many failed attempts, please wait ${retryAfter} seconds before trying again`
+  };
+
+  return res.status(429).json({
+    success: false,
+    message: messages[reason],
+    reason,
+    retryAfter
+  });
+};
+
+/**
+ * Guard an endpoint against password guessing and token brute-forcing.
+ * `getIdentifier` returns the account the attempt targets (e.g. the email),
+ * or nothing for IP-only tracking. The route reports the outcome through
+ * `req.bruteForce.fail()` and `req.bruteForce.succeed()`.
+ */
+const bruteForceProtection = (action, getIdentifier = () => null) => {
+  return async (req, res, next) => {
+    try {
+      const identifier = getIdentifier(req);
+      const context = {
+        ip: req.ip,
+        identifier: identifier ? String(identifier).trim().toLowerCase() : null
+      };
+
+      const { allowed, reason, retryAfterMs } = await BruteForceService.check(action, context);
+
+      if (!allowed) {
+        return sendBlocked(res, reason, retryAfterMs);
+      }
+
+      req.bruteForce = {
+        fail: () => BruteForceService.recordFailure(action, context).catch((error) => {
+          logger.error('Brute-force record failure error:', error);
+          return { locked: false };
+        }),
+        succeed: () => BruteForceService.recordSuccess(action, context).catch((error) => {
+          logger.error('Brute-force record success error:', error);
+        })
+      };
+
+      next();
+    } catch (error) {
+      // Fail open: an unavailable counter store must not lock everyone out
+      logger.error('Brute-force protection error:', error);
+
+      req.bruteForce = {
+        fail: async () => ({ locked: false }),
+        succeed: async () => {}
+      };
+
+      next();
+    }
+  };
+};
+
+module.exports = {
+  bruteForceProtection
+};
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Append-only record of privileged actions (role changes and other staff
+// actions). `actor` is null for actions run from the command line.
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  targetUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  reason: String,
+  ipAddress: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+auditLogSchema.index({ targetUser: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Static method to record an action
+auditLogSchema.statics.record = function({ actor = null, action, targetUser, details, reason, ipAddress }) {
+  return this.create({ actor, action, targetUser, details, reason, ipAddress });
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// A user's request for a copy of their data. The archive is built in the
+// background and kept until `expiresAt`.
+const dataExportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'ready', 'failed'],
+    default: 'pending'
+  },
+  filePath: String,
+  fileSize: Number,
+  error: String,
+  startedAt: Date,
+  completedAt: Date,
+  expiresAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+dataExportSchema.index({ user: 1, createdAt: -1 });
+dataExportSchema.index({ status: 1 });
+
+module.exports = mongoose.model('DataExport', dataExportSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// One edge of the follow graph. Following a private account creates a
+// pending edge that the followed user accepts or declines. Users who follow
+// each other are friends.
+const followSchema = new mongoose.Schema({
+  follower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  following: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted'],
+    default: 'accepted'
+  },
+  acceptedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+followSchema.index({ follower: 1, following: 1 }, { unique: true });
+followSchema.index({ following: 1, status: 1, createdAt: -1 });
+followSchema.index({ follower: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Follow', followSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Single-use passwordless login credential. The signed token handed to the
+// client carries `jti`; this record makes it single-use and, for SMS
+// codes, holds the code hash and the number of guesses made.
+const loginTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: ['email', 'sms'],
+    required: true
+  },
+  jti: {
+    type: String,
+    required: true
+  },
+  codeHash: String,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  requestedByIp: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+loginTokenSchema.index({ jti: 1 }, { unique: true });
+loginTokenSchema.index({ user: 1, channel: 1, usedAt: 1 });
+loginTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginToken', loginTokenSchema);
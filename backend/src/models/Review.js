@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+// A traveler's review of a travel partner after a shared trip. Reviews are
+// blind: neither side sees the other's review until both have submitted or
+// the review window closes, at which point `publishedAt` is set.
+const reviewSchema = new mongoose.Schema({
+  trip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    required: true
+  },
+  reviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reviewee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5
+  },
+  comment: {
+    type: String,
+    maxlength: 2000
+  },
+
+  // Visibility
+  revealAt: {
+    type: Date,
+    required: true
+  },
+  publishedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Reply from the reviewee, once the review is published
+  response: {
+    text: {
+      type: String,
+      maxlength: 1000
+    },
+    createdAt: Date
+  },
+
+  // Abuse reports and the moderator's decision on them
+  reports: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: {
+      type: String,
+      maxlength: 500
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  moderation: {
+    status: {
+      type: String,
+      enum: ['none', 'pending', 'kept', 'removed'],
+      default: 'none'
+    },
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    decidedAt: Date,
+    reason: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+reviewSchema.index({ trip: 1, reviewer: 1, reviewee: 1 }, { unique: true });
+reviewSchema.index({ reviewee: 1, publishedAt: -1 });
+reviewSchema.index({ reviewer: 1, createdAt: -1 });
+reviewSchema.index({ publishedAt: 1, revealAt: 1 });
+reviewSchema.index({ 'moderation.status': 1, updatedAt: 1 });
+
+// Whether the review counts towards the reviewee's rating
+reviewSchema.methods.isVisible = function() {
+  return Boolean(this.publishedAt) && this.moderation.status !== 'removed';
+};
+
+// Shape the review for a viewer. Before publication only the reviewer sees
+// what they wrote; the reviewee only learns that a review exists.
+reviewSchema.methods.toViewerJSON = function(viewerId) {
+  const reviewerId = this.reviewer._id || this.reviewer;
+  const isReviewer = Boolean(viewerId) && reviewerId.toString() === viewerId.toString();
+  const review = {
+    id: this._id,
+    trip: this.trip,
+    reviewer: this.reviewer,
+    reviewee: this.reviewee,
+    publishedAt: this.publishedAt,
+    revealAt: this.revealAt,
+    createdAt: this.createdAt
+  };
+
+  if (this.publishedAt || isReviewer) {
+    review.rating = this.rating;
+    review.comment = this.moderation.status === 'removed' ? null : this.comment;
+    review.response = this.response && this.response.text ? this.response : null;
+  }
+
+  if (this.moderation.status === 'removed') {
+    review.removed = true;
+  }
+
+  return review;
+};
+
+module.exports = mongoose.model('Review', reviewSchema);
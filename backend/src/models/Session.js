@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// A session is one refresh token family: it is created at login and its
+// refresh token is rotated on every use. Hashes of rotated tokens are kept
+// so that replaying an old token can be detected and the family revoked.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  previousTokenHashes: [{
+    type: String
+  }],
+  deviceId: String,
+  userAgent: String,
+  ipAddress: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout-all', 'reuse-detected', 'password-change', 'password-reset', 'device-revoked', 'account-deletion', 'email-change-denied']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+sessionSchema.index({ tokenHash: 1 }, { unique: true });
+sessionSchema.index({ previousTokenHashes: 1 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for session state
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Method to revoke the whole token family
+sessionSchema.methods.revoke = function(reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Static method to revoke every active session of a user
+sessionSchema.statics.revokeAllForUser = function(userId, reason, exceptSessionId = null) {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  return this.updateMany(query, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
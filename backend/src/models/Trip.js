@@ -1,4 +1,24 @@
 const mongoose = require('mongoose');
+const { CO_ORGANIZER_PERMISSIONS } = require('../utils/tripPermissions');
+
+// Trip membership state machine. For each status, the statuses a
+// participant can move to and who may make the move: the participant
+// themself ('self'), the trip's organizer or the waitlist itself ('system'),
+// which also declines seat offers that ran out. 'none' is someone who is
+// not on the trip yet.
+const MEMBERSHIP_TRANSITIONS = {
+  none: { requested: 'self', invited: 'organizer', waitlisted: 'self' },
+  requested: { accepted: 'organizer', declined: 'organizer', left: 'self' },
+  invited: { accepted: 'self', declined: 'self', removed: 'organizer' },
+  waitlisted: { offered: 'system', left: 'self', removed: 'organizer' },
+  offered: { accepted: 'self', declined: 'self', removed: 'organizer' },
+  accepted: { left: 'self', removed: 'organizer' },
+  declined: { invited: 'organizer' },
+  left: { requested: 'self', invited: 'organizer', waitlisted: 'self' },
+  removed: { invited: 'organizer' }
+};
+
+const MEMBERSHIP_STATUSES = Object.keys(MEMBERSHIP_TRANSITIONS).filter(status => status !== 'none');
 
 const tripSchema = new mongoose.Schema({
   // Basic Trip Information
@@ -19,6 +39,12 @@ const tripSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Past trips users add to their traveler passport by hand. These are
+  // always private, completed and closed to partners.
+  isManualEntry: {
+    type: Boolean,
+    default: false
+  },
   
   // Destination Information
   destination: {
@@ -65,12 +91,12 @@ const tripSchema = new mongoose.Schema({
   travelMode: {
     type: String,
     enum: ['car', 'bike', 'flight', 'train', 'bus', 'mixed'],
-    required: true
+    required: function() { return !this.isManualEntry; }
   },
   budget: {
     estimated: {
       type: Number,
-      required: true
+      required: function() { return !this.isManualEntry; }
     },
     currency: {
       type: String,
@@ -97,7 +123,7 @@ const tripSchema = new mongoose.Schema({
   travelStyle: {
     type: String,
     enum: ['budget', 'mid-range', 'luxury', 'backpacking', 'business'],
-    required: true
+    required: function() { return !this.isManualEntry; }
   },
   
   // Group Settings
@@ -115,6 +141,25 @@ const tripSchema = new mongoose.Schema({
     type: Number,
     default: 1
   },
+  // Places held for waitlisted travelers who were offered one
+  reservedSeats: {
+    type: Number,
+    default: 0
+  },
+  waitlist: {
+    // Verified travelers go ahead of unverified ones
+    prioritizeVerified: {
+      type: Boolean,
+      default: false
+    },
+    // How long a traveler has to take an offered place
+    offerHours: {
+      type: Number,
+      default: 24,
+      min: 1,
+      max: 168
+    }
+  },
   participants: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -122,18 +167,56 @@ const tripSchema = new mongoose.Schema({
     },
     status: {
       type: String,
-      enum: ['pending', 'accepted', 'declined', 'left'],
-      default: 'pending'
-    },
-    joinedAt: {
-      type: Date,
-      default: Date.now
+      enum: MEMBERSHIP_STATUSES,
+      default: 'requested'
     },
+    // Set when the participant is accepted
+    joinedAt: Date,
     role: {
       type: String,
       enum: ['creator', 'co-organizer', 'participant'],
       default: 'participant'
-    }
+    },
+    // What a co-organizer may do, when the owner gave them less than the
+    // role's permissions
+    permissions: [{
+      type: String,
+      enum: CO_ORGANIZER_PERMISSIONS
+    }],
+    // Note sent with a join request or invitation
+    message: {
+      type: String,
+      maxlength: 500
+    },
+    // Waitlist order: the organizer's position if they reordered the list,
+    // then priority, then when the traveler joined the waitlist
+    waitlistedAt: Date,
+    waitlistPriority: {
+      type: Number,
+      default: 0
+    },
+    waitlistPosition: Number,
+    offerExpiresAt: Date,
+    // Every status and role change, oldest first
+    history: [{
+      _id: false,
+      field: {
+        type: String,
+        enum: ['status', 'role'],
+        default: 'status'
+      },
+      from: String,
+      to: String,
+      changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      reason: String,
+      changedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
   }],
   
   // Privacy & Visibility
@@ -151,7 +234,9 @@ const tripSchema = new mongoose.Schema({
     },
     date: Date,
     activities: [{
+      // Start and optional end, as "HH:mm"
       time: String,
+      endTime: String,
       activity: {
         type: String,
         required: true
@@ -178,6 +263,11 @@ const tripSchema = new mongoose.Schema({
       bookingUrl: String
     }
   }],
+  // Bumped on every itinerary change, so concurrent edits can be detected
+  itineraryVersion: {
+    type: Number,
+    default: 0
+  },
   
   // AI Enhancements
   aiSuggestions: {
@@ -345,6 +435,7 @@ tripSchema.index({ travelStyle: 1 });
 tripSchema.index({ status: 1 });
 tripSchema.index({ privacy: 1 });
 tripSchema.index({ isOpenToPartners: 1 });
+tripSchema.index({ 'participants.user': 1 });
 tripSchema.index({ createdAt: -1 });
 
 // Virtual for trip duration calculation
@@ -388,48 +479,223 @@ tripSchema.pre('save', function(next) {
   
   // Update current participants count
   this.currentParticipants = this.participants.filter(p => p.status === 'accepted').length + 1; // +1 for creator
+  this.reservedSeats = this.participants.filter(p => p.status === 'offered').length;
   
   next();
 });
 
+// Method to find a user's participant entry, whatever its status
+tripSchema.methods.getParticipant = function(userId) {
+  return this.participants.find(p => (p.user._id || p.user).toString() === userId.toString()) || null;
+};
+
 // Method to check if user can join trip
 tripSchema.methods.canUserJoin = function(userId) {
   if (!this.isOpenToPartners) return false;
-  if (this.currentParticipants >= this.maxParticipants) return false;
+  if (!this.hasOpenSeat()) return false;
   if (this.creator.toString() === userId.toString()) return false;
   
-  const existingParticipant = this.participants.find(p => 
-    p.user.toString() === userId.toString() && 
-    ['pending', 'accepted'].includes(p.status)
-  );
+  const existingParticipant = this.getParticipant(userId);
   
-  return !existingParticipant;
+  return !existingParticipant || 'requested' in MEMBERSHIP_TRANSITIONS[existingParticipant.status];
 };
 
-// Method to add participant
-tripSchema.methods.addParticipant = function(userId, role = 'participant') {
-  if (!this.canUserJoin(userId)) {
+// Method to check if user can join the waitlist of a full trip
+tripSchema.methods.canUserWaitlist = function(userId) {
+  if (!this.isOpenToPartners) return false;
+  if (this.hasOpenSeat()) return false;
+  if (this.creator.toString() === userId.toString()) return false;
+  
+  const existingParticipant = this.getParticipant(userId);
+  
+  return !existingParticipant || 'waitlisted' in MEMBERSHIP_TRANSITIONS[existingParticipant.status];
+};
+
+// Method to check for a place not taken by a member or held for an offer
+tripSchema.methods.hasOpenSeat = function() {
+  return this.currentParticipants + (this.reservedSeats || 0) < this.maxParticipants;
+};
+
+// Method to list waitlisted participants in the order places are offered
+tripSchema.methods.getWaitlist = function() {
+  const position = p => (p.waitlistPosition == null ? Number.MAX_SAFE_INTEGER : p.waitlistPosition);
+  
+  return this.participants
+    .filter(p => p.status === 'waitlisted')
+    .sort((a, b) => position(a) - position(b) ||
+      (b.waitlistPriority || 0) - (a.waitlistPriority || 0) ||
+      a.waitlistedAt - b.waitlistedAt);
+};
+
+// Method to move a participant from one membership status to another in a
+// single atomic update. `from` is the status the participant must still be
+// in ('none' for someone not on the trip yet), so concurrent changes cannot
+// both apply, and accepting only succeeds while there is room. Resolves to
+// the updated trip, or null when the participant moved on or the trip
+// filled up in the meantime.
+tripSchema.methods.transitionParticipant = function(userId, {
+  from, to, changedBy, reason, message, role = 'participant', details = {}
+}) {
+  if (!MEMBERSHIP_TRANSITIONS[from] || !MEMBERSHIP_TRANSITIONS[from][to]) {
+    throw new Error(`Cannot move a participant from ${from} to ${to}`);
+  }
+
+  const now = new Date();
+  const change = { from, to, changedBy, reason, changedAt: now };
+  const filter = { _id: this._id };
+  const update = {};
+
+  // Fields set on the entry along with the new status
+  const fields = { ...details };
+  if (message !== undefined) fields.message = message;
+  if (to === 'accepted') fields.joinedAt = now;
+  if (to === 'waitlisted') {
+    fields.waitlistedAt = now;
+    fields.waitlistPosition = undefined;
+  }
+  if (from === 'offered') fields.offerExpiresAt = undefined;
+  // Leaving the trip ends any organizer role
+  if (from === 'accepted') {
+    fields.role = 'participant';
+    fields.permissions = undefined;
+  }
+
+  if (from === 'none') {
+    filter['participants.user'] = { $ne: userId };
+    update.$push = {
+      participants: { ...fields, user: userId, status: to, role, history: [change] }
+    };
+  } else {
+    filter.participants = { $elemMatch: { user: userId, status: from } };
+    // Seat offers can only be taken before their deadline
+    if (from === 'offered' && to === 'accepted') {
+      filter.participants.$elemMatch.offerExpiresAt = { $gt: now };
+    }
+    update.$set = { 'participants.$.status': to };
+    update.$push = { 'participants.$.history': change };
+    Object.entries(fields).forEach(([field, value]) => {
+      if (value === undefined) {
+        update.$unset = { ...update.$unset, [`participants.$.${field}`]: 1 };
+      } else {
+        update.$set[`participants.$.${field}`] = value;
+      }
+    });
+  }
+
+  // The creator holds one place, accepted participants and open seat offers
+  // the rest. Taking a place that was not held before needs a free one.
+  const taken = (status) => ({ current: status === 'accepted' ? 1 : 0, reserved: status === 'offered' ? 1 : 0 });
+  const currentDelta = taken(to).current - taken(from).current;
+  const reservedDelta = taken(to).reserved - taken(from).reserved;
+  if (currentDelta + reservedDelta > 0) {
+    filter.$expr = {
+      $lt: [{ $add: ['$currentParticipants', { $ifNull: ['$reservedSeats', 0] }] }, '$maxParticipants']
+    };
+  }
+  if (currentDelta !== 0 || reservedDelta !== 0) {
+    update.$inc = { currentParticipants: currentDelta, reservedSeats: reservedDelta };
+  }
+
+  return this.constructor.findOneAndUpdate(filter, update, { new: true });
+};
+
+// Method to add participant: a join request while there is room, a place
+// on the waitlist once the trip is full
+tripSchema.methods.addParticipant = function(userId, { role = 'participant', message, reason, waitlistPriority = 0 } = {}) {
+  const canJoin = this.canUserJoin(userId);
+  if (!canJoin && !this.canUserWaitlist(userId)) {
     throw new Error('User cannot join this trip');
   }
   
-  this.participants.push({
-    user: userId,
-    status: 'pending',
-    role: role
-  });
+  const existingParticipant = this.getParticipant(userId);
   
-  return this.save();
+  return this.transitionParticipant(userId, {
+    from: existingParticipant ? existingParticipant.status : 'none',
+    to: canJoin ? 'requested' : 'waitlisted',
+    changedBy: userId,
+    reason,
+    message,
+    role,
+    details: canJoin ? {} : { waitlistPriority }
+  });
 };
 
 // Method to update participant status
-tripSchema.methods.updateParticipantStatus = function(userId, status) {
-  const participant = this.participants.find(p => p.user.toString() === userId.toString());
+tripSchema.methods.updateParticipantStatus = function(userId, status, { changedBy, reason } = {}) {
+  const participant = this.getParticipant(userId);
   if (!participant) {
     throw new Error('Participant not found');
   }
   
-  participant.status = status;
-  return this.save();
+  return this.transitionParticipant(userId, { from: participant.status, to: status, changedBy, reason });
+};
+
+// Method to change an accepted participant's role, and for co-organizers
+// the permissions they hold (all of the role's when empty). Resolves to the
+// updated trip, or null when the participant is no longer accepted.
+tripSchema.methods.changeParticipantRole = function(userId, { role, permissions = [], changedBy }) {
+  const participant = this.getParticipant(userId);
+  const change = {
+    field: 'role',
+    from: participant ? participant.role : undefined,
+    to: role,
+    changedBy,
+    reason: 'role-changed',
+    changedAt: new Date()
+  };
+  const update = {
+    $set: { 'participants.$.role': role },
+    $push: { 'participants.$.history': change }
+  };
+
+  if (role === 'co-organizer' && permissions.length > 0) {
+    update.$set['participants.$.permissions'] = permissions;
+  } else {
+    update.$unset = { 'participants.$.permissions': 1 };
+  }
+
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id, participants: { $elemMatch: { user: userId, status: 'accepted' } } },
+    update,
+    { new: true }
+  );
+};
+
+// Method to hand the trip to an accepted participant. The new owner's
+// entry becomes the previous owner's, as an accepted co-organizer, so the
+// number of places taken does not change. Resolves to the updated trip, or
+// null when the owner or the participant changed in the meantime.
+tripSchema.methods.transferOwnership = function(newOwnerId, { changedBy } = {}) {
+  const previousOwnerId = this.creator._id || this.creator;
+  const now = new Date();
+
+  return this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      creator: previousOwnerId,
+      participants: { $elemMatch: { user: newOwnerId, status: 'accepted' } }
+    },
+    {
+      $set: {
+        creator: newOwnerId,
+        'participants.$': {
+          user: previousOwnerId,
+          status: 'accepted',
+          joinedAt: this.createdAt || now,
+          role: 'co-organizer',
+          history: [{
+            field: 'role',
+            from: 'creator',
+            to: 'co-organizer',
+            changedBy,
+            reason: 'ownership-transferred',
+            changedAt: now
+          }]
+        }
+      }
+    },
+    { new: true }
+  );
 };
 
 // Method to calculate compatibility with user
@@ -505,4 +771,9 @@ tripSchema.statics.findByDateRange = function(startDate, endDate) {
   });
 };
 
-module.exports = mongoose.model('Trip', tripSchema);
\ No newline at end of file
+const Trip = mongoose.model('Trip', tripSchema);
+
+Trip.MEMBERSHIP_TRANSITIONS = MEMBERSHIP_TRANSITIONS;
+Trip.MEMBERSHIP_STATUSES = MEMBERSHIP_STATUSES;
+
+module.exports = Trip;
\ No newline at end of file
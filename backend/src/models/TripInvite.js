@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// An invitation to a trip. A `link` invite is shared as a signed token
+// carrying `jti` and can be used by anyone holding it until it expires,
+// runs out of uses or is revoked. A `direct` invite names one traveler,
+// by account or, for someone not on Travio yet, by email until they sign
+// up with that address.
+const tripInviteSchema = new mongoose.Schema({
+  trip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['link', 'direct'],
+    required: true
+  },
+
+  // Links
+  jti: String,
+  expiresAt: Date,
+  // No limit when not set
+  maxUses: {
+    type: Number,
+    min: 1
+  },
+  uses: {
+    type: Number,
+    default: 0
+  },
+  redemptions: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    redeemedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Direct invitations
+  invitee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  message: {
+    type: String,
+    maxlength: 500
+  },
+  // When an invitation sent by email found its account
+  claimedAt: Date,
+
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+tripInviteSchema.index({ jti: 1 }, { unique: true, sparse: true });
+tripInviteSchema.index({ trip: 1, type: 1, createdAt: -1 });
+tripInviteSchema.index({ email: 1, invitee: 1, revokedAt: 1 });
+
+// Method to tell whether a link can still be used, and if not, why
+tripInviteSchema.methods.getLinkState = function(now = new Date()) {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt && this.expiresAt <= now) return 'expired';
+  if (this.maxUses && this.uses >= this.maxUses) return 'used-up';
+  return 'active';
+};
+
+module.exports = mongoose.model('TripInvite', tripInviteSchema);
@@ -1,5 +1,28 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLE_NAMES, getPermissionsForRoles } = require('../utils/permissions');
+
+// Who may see a profile field: anyone, followers (matched travel partners
+// count as followers here), matched travel partners only, or only the user
+const PROFILE_VISIBILITY = ['public', 'followers', 'matches', 'only-me'];
+
+const TRAVEL_INTERESTS = [
+  'adventure', 'culture', 'food', 'road-trips', 'backpacking',
+  'luxury', 'nightlife', 'nature', 'photography', 'history',
+  'sports', 'wellness', 'business', 'solo', 'group'
+];
+
+const TRAVEL_STYLES = ['solo', 'group', 'budget', 'luxury', 'mixed'];
+
+const RISK_TOLERANCE = ['low', 'medium', 'high'];
+
+const GENDERS = ['male', 'female', 'other', 'prefer-not-to-say'];
+
+const visibilitySetting = (defaultLevel) => ({
+  type: String,
+  enum: PROFILE_VISIBILITY,
+  default: defaultLevel
+});
 
 const userSchema = new mongoose.Schema({
   // Basic Information
@@ -10,13 +33,24 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     trim: true
   },
+  phone: {
+    type: String,
+    trim: true
+  },
   password: {
     type: String,
     required: function() {
-      return !this.socialAuth.google.id && !this.socialAuth.facebook.id;
+      return !this.socialAuth.google.id && !this.socialAuth.facebook.id && !this.socialAuth.linkedin.id;
     },
     minlength: 6
   },
+  
+  // Set at login when a legacy password fails the current policy
+  passwordRotation: {
+    pending: { type: Boolean, default: false },
+    reasons: [String],
+    flaggedAt: Date
+  },
   name: {
     type: String,
     required: true,
@@ -29,7 +63,7 @@ const userSchema = new mongoose.Schema({
   },
   gender: {
     type: String,
-    enum: ['male', 'female', 'other', 'prefer-not-to-say'],
+    enum: GENDERS,
     default: 'prefer-not-to-say'
   },
   nationality: {
@@ -50,19 +84,21 @@ const userSchema = new mongoose.Schema({
     type: String,
     trim: true
   }],
+  socialLinks: {
+    instagram: { type: String, trim: true, maxlength: 200 },
+    facebook: { type: String, trim: true, maxlength: 200 },
+    twitter: { type: String, trim: true, maxlength: 200 },
+    website: { type: String, trim: true, maxlength: 200 }
+  },
   
   // Travel Preferences
   travelInterests: [{
     type: String,
-    enum: [
-      'adventure', 'culture', 'food', 'road-trips', 'backpacking',
-      'luxury', 'nightlife', 'nature', 'photography', 'history',
-      'sports', 'wellness', 'business', 'solo', 'group'
-    ]
+    enum: TRAVEL_INTERESTS
   }],
   travelStyle: {
     type: String,
-    enum: ['solo', 'group', 'budget', 'luxury', 'mixed'],
+    enum: TRAVEL_STYLES,
     default: 'mixed'
   },
   budgetRange: {
@@ -89,6 +125,113 @@ const userSchema = new mongoose.Schema({
     min: 0,
     max: 100
   },
+  // Maintained by the trust score service. History keeps the most recent
+  // changes, with the event that caused each.
+  trustScoreUpdatedAt: Date,
+  trustScoreHistory: [{
+    score: Number,
+    previousScore: Number,
+    reason: String,
+    createdAt: { type: Date, default: Date.now }
+  }],
+  verification: {
+    email: {
+      isVerified: { type: Boolean, default: false },
+      verifiedAt: Date,
+      token: String,
+      expiresAt: Date
+    },
+    passwordReset: {
+      token: String,
+      expiresAt: Date
+    },
+    phone: {
+      isVerified: { type: Boolean, default: false },
+      verifiedAt: Date
+    },
+    identity: {
+      type: { type: String },
+      documents: {
+        idDocument: String,
+        selfie: String
+      },
+      status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected']
+      },
+      mrz: String,
+      documentExpiry: Date,
+      submittedAt: Date,
+      automatedCheck: {
+        verifier: String,
+        outcome: {
+          type: String,
+          enum: ['accept', 'reject', 'manual-review']
+        },
+        faceMatchScore: Number,
+        checks: [{
+          _id: false,
+          name: String,
+          status: {
+            type: String,
+            enum: ['pass', 'fail', 'inconclusive']
+          },
+          detail: String
+        }],
+        checkedAt: Date
+      },
+      reviewedAt: Date,
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      rejectionReason: String
+    }
+  },
+  
+  // Contact changes awaiting confirmation
+  pendingEmailChange: {
+    newEmail: String,
+    oldTokenHash: { type: String, select: false },
+    newTokenHash: { type: String, select: false },
+    oldConfirmedAt: Date,
+    newConfirmedAt: Date,
+    expiresAt: Date
+  },
+  phoneVerification: {
+    phone: String,
+    codeHash: { type: String, select: false },
+    attempts: { type: Number, default: 0 },
+    expiresAt: Date
+  },
+  
+  // Two-Factor Authentication
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    recoveryCodes: {
+      type: [{
+        codeHash: String,
+        usedAt: Date
+      }],
+      select: false
+    },
+    enabledAt: Date
+  },
   
   // Social Authentication
   socialAuth: {
@@ -118,10 +261,8 @@ const userSchema = new mongoose.Schema({
       default: [0, 0]
     },
     address: String,
-    lastUpdated: {
-      type: Date,
-      default: Date.now
-    }
+    // Set only when the user shares a position; discovery ignores stale ones
+    lastUpdated: Date
   },
   emergencyContacts: [{
     name: {
@@ -138,6 +279,23 @@ const userSchema = new mongoose.Schema({
     },
     email: String
   }],
+  emergencyHistory: [{
+    id: String,
+    location: mongoose.Schema.Types.Mixed,
+    emergencyType: String,
+    message: String,
+    severity: String,
+    timestamp: Date,
+    status: String,
+    resolvedAt: Date,
+    resolution: String,
+    // Set by staff when the alert was a prank or misuse
+    abuse: {
+      flaggedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      flaggedAt: Date,
+      reason: String
+    }
+  }],
   
   // Privacy Settings
   privacy: {
@@ -145,14 +303,39 @@ const userSchema = new mongoose.Schema({
     showGender: { type: Boolean, default: true },
     showLocation: { type: Boolean, default: true },
     allowMessages: { type: Boolean, default: true },
-    shareLocationWithMatches: { type: Boolean, default: false }
+    shareLocationWithMatches: { type: Boolean, default: false },
+    // Hidden from nearby discovery until this time
+    invisibleUntil: Date,
+    // New followers need approval, and only followers see the follow lists
+    privateAccount: { type: Boolean, default: false },
+    // Per-field visibility on the public profile
+    fieldVisibility: {
+      phone: visibilitySetting('only-me'),
+      nationality: visibilitySetting('public'),
+      languages: visibilitySetting('public'),
+      tripHistory: visibilitySetting('followers'),
+      socialLinks: visibilitySetting('public')
+    }
   },
+
+  // Safety: blocked users and this user can no longer see or contact each
+  // other; muted users' community content is hidden from this user only
+  blockedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  mutedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   
   // Activity & Engagement
   lastActive: {
     type: Date,
     default: Date.now
   },
+  // Trips created or joined, and those completed, including past trips
+  // added by hand. Kept in step by the passport service.
   totalTrips: {
     type: Number,
     default: 0
@@ -161,6 +344,24 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Traveler passport: completed trips the user hid from others
+  passport: {
+    hiddenTrips: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Trip'
+    }]
+  },
+  // Accepted follow edges, kept in step with the Follow collection
+  followersCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  followingCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   reviews: [{
     reviewerId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -193,13 +394,27 @@ const userSchema = new mongoose.Schema({
     personalityType: String,
     riskTolerance: {
       type: String,
-      enum: ['low', 'medium', 'high'],
+      enum: RISK_TOLERANCE,
       default: 'medium'
     },
     preferredActivities: [String],
     avoidedActivities: [String]
   },
-  
+  // How much each factor counts when this user looks for travel partners,
+  // seeded from their interest and style answers (see onboardingService)
+  matchingWeights: {
+    destinationMatch: Number,
+    dateOverlap: Number,
+    interestSimilarity: Number,
+    budgetCompatibility: Number,
+    travelStyleMatch: Number,
+    languageMatch: Number
+  },
+  onboarding: {
+    answeredSteps: [String],
+    completedAt: Date
+  },
+
   // Account Status
   isActive: {
     type: Boolean,
@@ -210,6 +425,17 @@ const userSchema = new mongoose.Schema({
     default: false
   },
   suspensionReason: String,
+  deletion: {
+    requestedAt: Date,
+    scheduledFor: Date,
+    completedAt: Date
+  },
+  
+  // Staff roles (see utils/permissions)
+  roles: [{
+    type: String,
+    enum: ROLE_NAMES
+  }],
   
   // Notifications
   notificationSettings: {
@@ -225,6 +451,7 @@ const userSchema = new mongoose.Schema({
   // Device Information
   devices: [{
     deviceId: String,
+    name: String,
     platform: {
       type: String,
       enum: ['ios', 'android', 'web']
@@ -243,10 +470,18 @@ const userSchema = new mongoose.Schema({
 
 // Indexes
 userSchema.index({ email: 1 });
+userSchema.index({ phone: 1 }, { sparse: true });
 userSchema.index({ 'currentLocation.coordinates': '2dsphere' });
 userSchema.index({ travelInterests: 1 });
 userSchema.index({ isVerified: 1 });
+userSchema.index({ 'verification.identity.status': 1, 'verification.identity.submittedAt': 1 });
 userSchema.index({ lastActive: -1 });
+userSchema.index({ roles: 1 });
+userSchema.index({ blockedUsers: 1 });
+userSchema.index({ 'deletion.scheduledFor': 1 }, { sparse: true });
+userSchema.index({ trustScoreUpdatedAt: 1 });
+userSchema.index({ 'pendingEmailChange.oldTokenHash': 1 }, { sparse: true });
+userSchema.index({ 'pendingEmailChange.newTokenHash': 1 }, { sparse: true });
 
 // Virtual for full name
 userSchema.virtual('fullName').get(function() {
@@ -280,58 +515,103 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
-// Method to update trust score
-userSchema.methods.updateTrustScore = function() {
-  let score = 0;
-  
-  // Base score for verification
-  if (this.isVerified) score += 30;
-  
-  // Score based on completed trips
-  score += Math.min(this.completedTrips * 5, 25);
-  
-  // Score based on reviews
-  if (this.reviews.length > 0) {
-    score += Math.min(this.reviews.length * 2, 20);
-    score += this.averageRating * 5;
+// Method to register a device at login (updates it if already known)
+userSchema.methods.registerDevice = function({ deviceId, name, platform, fcmToken }) {
+  let device = this.devices.find(d => d.deviceId === deviceId);
+
+  if (!device) {
+    this.devices.push({ deviceId });
+    device = this.devices[this.devices.length - 1];
   }
-  
-  // Score based on profile completeness
-  let profileCompleteness = 0;
-  if (this.profilePicture) profileCompleteness += 5;
-  if (this.bio) profileCompleteness += 5;
-  if (this.languages.length > 0) profileCompleteness += 5;
-  if (this.travelInterests.length > 0) profileCompleteness += 5;
-  if (this.emergencyContacts.length > 0) profileCompleteness += 5;
-  
-  score += profileCompleteness;
-  
-  this.trustScore = Math.min(score, 100);
-  return this.trustScore;
+
+  if (name) device.name = name;
+  if (platform) device.platform = platform;
+  if (fcmToken) device.fcmToken = fcmToken;
+  device.lastUsed = new Date();
+
+  return device;
 };
 
-// Method to get public profile
-userSchema.methods.getPublicProfile = function() {
-  const user = this.toObject();
-  
-  // Remove sensitive information
-  delete user.password;
-  delete user.socialAuth;
-  delete user.emergencyContacts;
-  delete user.devices;
-  delete user.notificationSettings;
-  
-  // Apply privacy settings
-  if (!user.privacy.showAge) delete user.age;
-  if (!user.privacy.showGender) delete user.gender;
-  if (!user.privacy.showLocation) delete user.currentLocation;
-  
-  return user;
+// Method to check that a device has not been signed out
+userSchema.methods.hasDevice = function(deviceId) {
+  return this.devices.some(d => d.deviceId === deviceId);
+};
+
+// Method to check for a staff role
+userSchema.methods.hasRole = function(role) {
+  return (this.roles || []).includes(role);
+};
+
+// Method to check a permission granted through the user's roles
+userSchema.methods.hasPermission = function(permission) {
+  return getPermissionsForRoles(this.roles).includes(permission);
+};
+
+// Whether a viewer with the given relationship to this user may see a
+// field set to `level`
+const canSeeField = (level, { isSelf, isFollower, isMatch }) => {
+  if (isSelf) return true;
+
+  switch (level) {
+    case 'public': return true;
+    case 'followers': return Boolean(isFollower || isMatch);
+    case 'matches': return Boolean(isMatch);
+    default: return false;
+  }
+};
+
+// Method to get the profile as seen by a viewer. `relationship` says whether
+// the viewer is the user, follows them or is a matched travel partner;
+// `tripHistory` is added when loaded by the caller and visible. Only the
+// fields listed here are ever exposed.
+userSchema.methods.getPublicProfile = function(relationship = {}, { tripHistory } = {}) {
+  const privacy = this.privacy || {};
+  const visibility = privacy.fieldVisibility || {};
+  const canSee = (field) => canSeeField(visibility[field] || 'only-me', relationship);
+
+  const profile = {
+    id: this._id,
+    name: this.name,
+    profilePicture: this.profilePicture,
+    bio: this.bio,
+    travelInterests: this.travelInterests,
+    travelStyle: this.travelStyle,
+    isVerified: this.isVerified,
+    verificationMethod: this.verificationMethod,
+    // Only expose which contact details are verified
+    verification: {
+      email: Boolean(this.verification?.email?.isVerified),
+      phone: Boolean(this.verification?.phone?.isVerified)
+    },
+    trustScore: this.trustScore,
+    averageRating: this.averageRating,
+    reviewCount: (this.reviews || []).length,
+    completedTrips: this.completedTrips,
+    followersCount: this.followersCount,
+    followingCount: this.followingCount,
+    privateAccount: Boolean(privacy.privateAccount),
+    memberSince: this.createdAt
+  };
+
+  if (privacy.showAge !== false) profile.age = this.age;
+  if (privacy.showGender !== false) profile.gender = this.gender;
+
+  if (canSee('nationality')) profile.nationality = this.nationality;
+  if (canSee('languages')) profile.languages = this.languages;
+  if (canSee('socialLinks')) profile.socialLinks = this.socialLinks;
+  // Only a verified number is ever shown to others
+  if (canSee('phone') && (relationship.isSelf || this.verification?.phone?.isVerified)) {
+    profile.phone = this.phone;
+  }
+  if (tripHistory && canSee('tripHistory')) profile.tripHistory = tripHistory;
+
+  return profile;
 };
 
 // Static method to find nearby users
-userSchema.statics.findNearby = function(coordinates, maxDistance = 50000) {
-  return this.find({
+userSchema.statics.findNearby = function(coordinates, maxDistance = 50000, { since, filters = {} } = {}) {
+  const query = {
+    ...filters,
     'currentLocation.coordinates': {
       $near: {
         $geometry: {
@@ -342,8 +622,28 @@ userSchema.statics.findNearby = function(coordinates, maxDistance = 50000) {
       }
     },
     isActive: true,
-    'privacy.showLocation': true
-  });
+    isSuspended: { $ne: true },
+    'privacy.showLocation': true,
+    $or: [
+      { 'privacy.invisibleUntil': null },
+      { 'privacy.invisibleUntil': { $lte: new Date() } }
+    ]
+  };
+
+  if (since) {
+    query['currentLocation.lastUpdated'] = { $gte: since };
+  }
+
+  return this.find(query);
 };
 
-module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
+const User = mongoose.model('User', userSchema);
+
+User.PROFILE_VISIBILITY = PROFILE_VISIBILITY;
+User.TRAVEL_INTERESTS = TRAVEL_INTERESTS;
+User.TRAVEL_STYLES = TRAVEL_STYLES;
+User.RISK_TOLERANCE = RISK_TOLERANCE;
+User.GENDERS = GENDERS;
+User.canSeeField = canSeeField;
+
+module.exports = User;
\ No newline at end of file
@@ -0,0 +1,620 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const { body, param, query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const Review = require('../models/Review');
+const { requirePermission } = require('../middleware/auth');
+const RoleService = require('../services/roleService');
+const IdentityVerificationService = require('../services/identityVerificationService');
+const ReviewService = require('../services/reviewService');
+const TrustScoreService = require('../services/trustScoreService');
+const { PERMISSIONS, ROLES, ROLE_NAMES, getPermissionsForRoles } = require('../utils/permissions');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation errors',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// @route   GET /api/admin/roles
+// @desc    List roles and the permissions each one grants
+// @access  Private (roles:manage)
+router.get('/roles', requirePermission(PERMISSIONS.ROLES_MANAGE), (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      roles: ROLES,
+      permissions: Object.values(PERMISSIONS)
+    }
+  });
+});
+
+// @route   GET /api/admin/users/:userId/roles
+// @desc    Get a user's roles and effective permissions
+// @access  Private (roles:manage)
+router.get('/users/:userId/roles', [
+  requirePermission(PERMISSIONS.ROLES_MANAGE),
+  param('userId').isMongoId()
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const user = await User.findById(req.params.userId).select('name email roles');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        userId: user._id,
+        name: user.name,
+        email: user.email,
+        roles: user.roles,
+        permissions: getPermissionsForRoles(user.roles)
+      }
+    });
+  } catch (error) {
+    logger.error('Get user roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/admin/users/:userId/roles
+// @desc    Grant a role to a user
+// @access  Private (roles:manage)
+router.post('/users/:userId/roles', [
+  requirePermission(PERMISSIONS.ROLES_MANAGE),
+  param('userId').isMongoId(),
+  body('role').isIn(ROLE_NAMES),
+  body('reason').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { role, reason } = req.body;
+
+    const user = await RoleService.grantRole(req.params.userId, role, {
+      actorId: req.user.id,
+      reason,
+      ipAddress: req.ip
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { userId: user._id, roles: user.roles },
+      message: `Role ${role} granted`
+    });
+  } catch (error) {
+    logger.error('Grant role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/users/:userId/roles/:role
+// @desc    Revoke a role from a user
+// @access  Private (roles:manage)
+router.delete('/users/:userId/roles/:role', [
+  requirePermission(PERMISSIONS.ROLES_MANAGE),
+  param('userId').isMongoId(),
+  param('role').isIn(ROLE_NAMES),
+  body('reason').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { userId, role } = req.params;
+
+    // Never leave the platform without an administrator
+    if (role === 'admin') {
+      const target = await User.findById(userId).select('roles isActive');
+      if (target && target.isActive && target.roles.includes('admin') &&
+          await RoleService.countWithRole('admin') <= 1) {
+        return res.status(409).json({
+          success: false,
+          message: 'Cannot revoke the role from the last administrator'
+        });
+      }
+    }
+
+    const user = await RoleService.revokeRole(userId, role, {
+      actorId: req.user.id,
+      reason: req.body.reason,
+      ipAddress: req.ip
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { userId: user._id, roles: user.roles },
+      message: `Role ${role} revoked`
+    });
+  } catch (error) {
+    logger.error('Revoke role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Content types for the document formats the upload middleware accepts
+const DOCUMENT_CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf'
+};
+
+// @route   GET /api/admin/verifications
+// @desc    List identity verification submissions awaiting review, oldest first
+// @access  Private (verification:review)
+router.get('/verifications', [
+  requirePermission(PERMISSIONS.VERIFICATION_REVIEW),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const { submissions, total } = await IdentityVerificationService.listPending({ page, limit });
+
+    res.json({
+      success: true,
+      data: {
+        submissions,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get verification queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/verifications/:userId
+// @desc    Get a user's identity verification submission
+// @access  Private (verification:review)
+router.get('/verifications/:userId', [
+  requirePermission(PERMISSIONS.VERIFICATION_REVIEW),
+  param('userId').isMongoId()
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const user = await User.findById(req.params.userId)
+      .select('name email createdAt isVerified verificationMethod trustScore verification.identity');
+
+    if (!user || !user.verification?.identity?.status) {
+      return res.status(404).json({
+        success: false,
+        message: 'Verification submission not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...IdentityVerificationService.formatSubmission(user),
+        isVerified: user.isVerified,
+        verificationMethod: user.verificationMethod,
+        trustScore: user.trustScore
+      }
+    });
+  } catch (error) {
+    logger.error('Get verification submission error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/verifications/:userId/documents/:document
+// @desc    Stream a submitted identity document to the reviewer
+// @access  Private (verification:review)
+router.get('/verifications/:userId/documents/:document', [
+  requirePermission(PERMISSIONS.VERIFICATION_REVIEW),
+  param('userId').isMongoId(),
+  param('document').isIn(IdentityVerificationService.DOCUMENT_NAMES)
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { userId, document } = req.params;
+    const filePath = await IdentityVerificationService.getDocumentPath(userId, document);
+
+    if (!filePath) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    await IdentityVerificationService.recordDocumentView(userId, req.user.id, document, req.ip);
+
+    // Identity documents must never be cached or rendered as anything else
+    res.set({
+      'Content-Type': DOCUMENT_CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+      'Content-Disposition': 'inline',
+      'Cache-Control': 'no-store, private',
+      'X-Content-Type-Options': 'nosniff'
+    });
+
+    const stream = fs.createReadStream(filePath);
+    stream.on('error', (error) => {
+      logger.error('Verification document stream error:', error);
+      if (!res.headersSent) {
+        res.status(500).json({ success: false, message: 'Server error' });
+      } else {
+        res.destroy(error);
+      }
+    });
+    stream.pipe(res);
+  } catch (error) {
+    logger.error('Get verification document error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Approve or reject a pending submission on behalf of the signed-in reviewer
+const decideVerification = (approved) => async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { userId } = req.params;
+
+    if (userId === req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot review your own verification'
+      });
+    }
+
+    const user = await IdentityVerificationService.decide(userId, req.user.id, {
+      approved,
+      reason: approved ? req.body.note : req.body.reason,
+      ipAddress: req.ip
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending verification for this user'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        userId: user._id,
+        status: user.verification.identity.status,
+        isVerified: user.isVerified,
+        verificationMethod: user.verificationMethod,
+        trustScore: user.trustScore
+      },
+      message: approved ? 'Verification approved' : 'Verification rejected'
+    });
+  } catch (error) {
+    logger.error('Verification decision error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @route   POST /api/admin/verifications/:userId/approve
+// @desc    Approve a pending identity verification
+// @access  Private (verification:review)
+router.post('/verifications/:userId/approve', [
+  requirePermission(PERMISSIONS.VERIFICATION_REVIEW),
+  param('userId').isMongoId(),
+  body('note').optional().trim().isLength({ max: 500 })
+], decideVerification(true));
+
+// @route   POST /api/admin/verifications/:userId/reject
+// @desc    Reject a pending identity verification with a reason shown to the user
+// @access  Private (verification:review)
+router.post('/verifications/:userId/reject', [
+  requirePermission(PERMISSIONS.VERIFICATION_REVIEW),
+  param('userId').isMongoId(),
+  body('reason').trim().isLength({ min: 1, max: 500 }).withMessage('A rejection reason is required')
+], decideVerification(false));
+
+// @route   GET /api/admin/reviews/reported
+// @desc    List reported reviews awaiting moderation, oldest first
+// @access  Private (reviews:moderate)
+router.get('/reviews/reported', [
+  requirePermission(PERMISSIONS.REVIEWS_MODERATE),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const filter = { 'moderation.status': 'pending' };
+
+    const [reviews, total] = await Promise.all([
+      Review.find(filter)
+        .sort({ updatedAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('reviewer', 'name email')
+        .populate('reviewee', 'name email')
+        .populate('reports.user', 'name email'),
+      Review.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        reviews,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get reported reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/admin/reviews/:reviewId/moderate
+// @desc    Keep or remove a reported review
+// @access  Private (reviews:moderate)
+router.post('/reviews/:reviewId/moderate', [
+  requirePermission(PERMISSIONS.REVIEWS_MODERATE),
+  param('reviewId').isMongoId(),
+  body('action').isIn(['keep', 'remove']).withMessage('Action must be keep or remove'),
+  body('reason').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const review = await ReviewService.moderate(req.params.reviewId, req.user.id, {
+      remove: req.body.action === 'remove',
+      reason: req.body.reason,
+      ipAddress: req.ip
+    });
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'No reported review awaiting moderation'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { id: review._id, moderation: review.moderation },
+      message: req.body.action === 'remove' ? 'Review removed' : 'Review kept'
+    });
+  } catch (error) {
+    logger.error('Moderate review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/admin/users/:userId/sos/:sosId/abuse
+// @desc    Flag an SOS alert as misuse, which lowers the user's trust score
+// @access  Private (sos:review)
+router.post('/users/:userId/sos/:sosId/abuse', [
+  requirePermission(PERMISSIONS.SOS_REVIEW),
+  param('userId').isMongoId(),
+  body('reason').trim().isLength({ min: 1, max: 500 }).withMessage('A reason is required')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const user = await User.findOneAndUpdate(
+      {
+        _id: req.params.userId,
+        emergencyHistory: { $elemMatch: { id: req.params.sosId, 'abuse.flaggedAt': null } }
+      },
+      {
+        $set: {
+          'emergencyHistory.$.abuse': {
+            flaggedBy: req.user.id,
+            flaggedAt: new Date(),
+            reason: req.body.reason
+          }
+        }
+      }
+    ).select('_id');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'No unflagged SOS alert found'
+      });
+    }
+
+    await AuditLog.record({
+      actor: req.user.id,
+      action: 'sos.flag-abuse',
+      targetUser: user._id,
+      details: { sosId: req.params.sosId },
+      reason: req.body.reason,
+      ipAddress: req.ip
+    });
+
+    const trustScore = await TrustScoreService.recalculate(user._id, 'sos-abuse');
+
+    res.json({
+      success: true,
+      data: { trustScore },
+      message: 'SOS alert flagged as misuse'
+    });
+  } catch (error) {
+    logger.error('Flag SOS abuse error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/users/:userId/sos/:sosId/abuse
+// @desc    Clear a misuse flag set in error
+// @access  Private (sos:review)
+router.delete('/users/:userId/sos/:sosId/abuse', [
+  requirePermission(PERMISSIONS.SOS_REVIEW),
+  param('userId').isMongoId()
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const user = await User.findOneAndUpdate(
+      {
+        _id: req.params.userId,
+        emergencyHistory: { $elemMatch: { id: req.params.sosId, 'abuse.flaggedAt': { $ne: null } } }
+      },
+      { $unset: { 'emergencyHistory.$.abuse': 1 } }
+    ).select('_id');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'No flagged SOS alert found'
+      });
+    }
+
+    await AuditLog.record({
+      actor: req.user.id,
+      action: 'sos.clear-abuse',
+      targetUser: user._id,
+      details: { sosId: req.params.sosId },
+      ipAddress: req.ip
+    });
+
+    const trustScore = await TrustScoreService.recalculate(user._id, 'sos-abuse-cleared');
+
+    res.json({
+      success: true,
+      data: { trustScore },
+      message: 'Misuse flag cleared'
+    });
+  } catch (error) {
+    logger.error('Clear SOS abuse error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/audit-log
+// @desc    List audited staff actions, newest first
+// @access  Private (audit:read)
+router.get('/audit-log', [
+  requirePermission(PERMISSIONS.AUDIT_READ),
+  query('targetUser').optional().isMongoId(),
+  query('actor').optional().isMongoId(),
+  query('action').optional().trim(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { targetUser, actor, action } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const filter = {};
+    if (targetUser) filter.targetUser = targetUser;
+    if (actor) filter.actor = actor;
+    if (action) filter.action = action;
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('actor', 'name email')
+        .populate('targetUser', 'name email'),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
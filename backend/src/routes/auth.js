@@ -1,18 +1,120 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const multer = require('multer');
-const { User } = require('../models/User');
-const auth = require('../middleware/auth');
-const upload = require('../middleware/upload');
+const { v4: uuidv4 } = require('uuid');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { auth, requirePermission } = require('../middleware/auth');
+const { bruteForceProtection } = require('../middleware/bruteForce');
+const { upload } = require('../middleware/upload');
+const TokenService = require('../services/tokenService');
+const TwoFactorService = require('../services/twoFactorService');
+const SocialAuthService = require('../services/socialAuthService');
+const BruteForceService = require('../services/bruteForceService');
+const PasswordlessService = require('../services/passwordlessService');
+const PasswordPolicyService = require('../services/passwordPolicyService');
+const IdentityVerificationService = require('../services/identityVerificationService');
+const TrustScoreService = require('../services/trustScoreService');
+const TripInviteService = require('../services/tripInviteService');
+const { normalizePhone } = require('../utils/phone');
+const { PERMISSIONS } = require('../utils/permissions');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: '7d' });
+const DEVICE_PLATFORMS = ['ios', 'android', 'web'];
+
+// Read the login device from the request body, generating an ID for new devices
+const getDeviceInfo = (req) => ({
+  deviceId: req.body.deviceId || uuidv4(),
+  name: req.body.deviceName,
+  platform: DEVICE_PLATFORMS.includes(req.body.platform) ? req.body.platform : undefined,
+  fcmToken: req.body.fcmToken
+});
+
+// Collect device details stored with a new session
+const getSessionContext = (req, deviceId) => ({
+  deviceId,
+  userAgent: req.get('User-Agent'),
+  ipAddress: req.ip
+});
+
+// Finish a login once every factor is checked: register the device,
+// start a session and build the response payload
+const completeLogin = async (user, req) => {
+  user.lastLogin = new Date();
+  const device = user.registerDevice(getDeviceInfo(req));
+  await user.save();
+
+  const { token, refreshToken, expiresIn } = await TokenService.createSession(
+    user._id,
+    getSessionContext(req, device.deviceId)
+  );
+
+  // Remove sensitive data
+  const userResponse = user.toObject();
+  delete userResponse.password;
+  delete userResponse.verification;
+  userResponse.twoFactor = { enabled: user.twoFactor.enabled };
+
+  return {
+    token,
+    refreshToken,
+    expiresIn,
+    deviceId: device.deviceId,
+    passwordRotationRequired: user.passwordRotation.pending,
+    user: userResponse
+  };
+};
+
+// Reply with every failed password rule so forms can show them together
+const sendPasswordPolicyError = (res, errors, field = 'password') => {
+  return res.status(400).json({
+    error: 'Weak password',
+    message: 'Password does not meet the requirements',
+    field,
+    passwordErrors: errors
+  });
+};
+
+// Flag (or clear) the rotation prompt for a password that just logged in,
+// so legacy passwords that fail the current policy get replaced
+const checkLegacyPassword = async (user, password) => {
+  const { valid, errors } = await PasswordPolicyService.validate(password, {
+    email: user.email,
+    name: user.name
+  });
+
+  if (valid) {
+    user.passwordRotation = { pending: false, reasons: [] };
+  } else if (!user.passwordRotation.pending) {
+    user.passwordRotation = {
+      pending: true,
+      reasons: errors.map(error => error.code),
+      flaggedAt: new Date()
+    };
+  }
+};
+
+// Finish a passwordless login; accounts with 2FA still get a challenge
+const respondWithPasswordlessLogin = async (user, req, res, method) => {
+  if (user.twoFactor && user.twoFactor.enabled) {
+    return res.json({
+      message: 'Two-factor authentication required',
+      twoFactorRequired: true,
+      challengeToken: TwoFactorService.createChallenge(user._id)
+    });
+  }
+
+  const loginData = await completeLogin(user, req);
+
+  logger.info(`User logged in with ${method}: ${user.email}`);
+
+  res.json({
+    message: 'Login successful',
+    ...loginData
+  });
 };
 
 // Generate verification token
@@ -46,9 +148,18 @@ router.post('/register', async (req, res) => {
       });
     }
 
+    const name = `${firstName} ${lastName}`.trim();
+
+    const passwordCheck = await PasswordPolicyService.validate(password, { email, name });
+    if (!passwordCheck.valid) {
+      return sendPasswordPolicyError(res, passwordCheck.errors);
+    }
+
+    const normalizedPhone = normalizePhone(phone);
+
     // Check if user already exists
     const existingUser = await User.findOne({
-      $or: [{ email }, { phone }]
+      $or: normalizedPhone ? [{ email }, { phone: normalizedPhone }] : [{ email }]
     });
 
     if (existingUser) {
@@ -58,21 +169,18 @@ router.post('/register', async (req, res) => {
       });
     }
 
-    // Hash password
-    const saltRounds = 12;
-    const hashedPassword = await bcrypt.hash(password, saltRounds);
-
     // Generate verification token
     const verificationToken = generateVerificationToken();
 
-    // Create user
+    // Create user (the model hashes the password on save)
     const user = new User({
       email,
-      password: hashedPassword,
+      password,
+      name,
+      phone: normalizedPhone,
       profile: {
         firstName,
         lastName,
-        phone,
         dateOfBirth: dateOfBirth ? new Date(dateOfBirth) : undefined,
         nationality,
         gender
@@ -85,10 +193,15 @@ router.post('/register', async (req, res) => {
       }
     });
 
+    const device = user.registerDevice(getDeviceInfo(req));
+
     await user.save();
 
-    // Generate JWT token
-    const token = generateToken(user._id);
+    // Start a session and issue the token pair
+    const { token, refreshToken, expiresIn } = await TokenService.createSession(
+      user._id,
+      getSessionContext(req, device.deviceId)
+    );
 
     // Remove sensitive data from response
     const userResponse = user.toObject();
@@ -100,6 +213,9 @@ router.post('/register', async (req, res) => {
     res.status(201).json({
       message: 'User registered successfully',
       token,
+      refreshToken,
+      expiresIn,
+      deviceId: device.deviceId,
       user: userResponse,
       verificationRequired: true
     });
@@ -118,7 +234,7 @@ router.post('/register', async (req, res) => {
  * @desc    Login user
  * @access  Public
  */
-router.post('/login', async (req, res) => {
+router.post('/login', bruteForceProtection('login', req => req.body.email), async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -132,6 +248,7 @@ router.post('/login', async (req, res) => {
     // Find user
     const user = await User.findOne({ email }).select('+password');
     if (!user) {
+      await req.bruteForce.fail();
       return res.status(401).json({
         error: 'Invalid credentials',
         message: 'Invalid email or password'
@@ -141,12 +258,15 @@ router.post('/login', async (req, res) => {
     // Check password
     const isPasswordValid = await bcrypt.compare(password, user.password);
     if (!isPasswordValid) {
+      await req.bruteForce.fail();
       return res.status(401).json({
         error: 'Invalid credentials',
         message: 'Invalid email or password'
       });
     }
 
+    await req.bruteForce.succeed();
+
     // Check if account is active
     if (!user.isActive) {
       return res.status(401).json({
@@ -155,24 +275,27 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
+    await checkLegacyPassword(user, password);
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Ask for the second factor before starting a session
+    if (user.twoFactor && user.twoFactor.enabled) {
+      await user.save();
+      logger.info(`Two-factor challenge issued for: ${email}`);
 
-    // Remove sensitive data
-    const userResponse = user.toObject();
-    delete userResponse.password;
-    delete userResponse.verification;
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: TwoFactorService.createChallenge(user._id)
+      });
+    }
+
+    const loginData = await completeLogin(user, req);
 
     logger.info(`User logged in: ${email}`);
 
     res.json({
       message: 'Login successful',
-      token,
-      user: userResponse
+      ...loginData
     });
 
   } catch (error) {
@@ -184,12 +307,393 @@ router.post('/login', async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/auth/magic-link
+ * @desc    Email a single-use sign-in link
+ * @access  Public
+ */
+router.post('/magic-link', bruteForceProtection('magic-link', req => req.body.email), async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        error: 'Missing email',
+        message: 'Email is required'
+      });
+    }
+
+    // Every link request counts as an attempt, to stop email flooding
+    await req.bruteForce.fail();
+
+    const user = await User.findOne({ email: email.trim().toLowerCase() });
+
+    // Don't reveal if email exists or not
+    if (user && user.isActive) {
+      await PasswordlessService.sendMagicLink(user, { ipAddress: req.ip });
+      logger.info(`Magic link sent to: ${user.email}`);
+    }
+
+    res.json({
+      message: 'If an account with that email exists, a sign-in link has been sent'
+    });
+
+  } catch (error) {
+    logger.error('Magic link request error:', error);
+    res.status(500).json({
+      error: 'Request failed',
+      message: 'An error occurred while sending the sign-in link'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/magic-link/verify
+ * @desc    Login with a magic link token
+ * @access  Public
+ */
+router.post('/magic-link/verify', bruteForceProtection('magic-link-verify'), async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        error: 'Missing token',
+        message: 'Sign-in token is required'
+      });
+    }
+
+    const userId = await PasswordlessService.consumeMagicLink(token);
+    const user = userId && await User.findById(userId);
+
+    if (!user || !user.isActive) {
+      await req.bruteForce.fail();
+      return res.status(401).json({
+        error: 'Invalid token',
+        message: 'Invalid, expired or already used sign-in link'
+      });
+    }
+
+    await respondWithPasswordlessLogin(user, req, res, 'magic link');
+
+  } catch (error) {
+    logger.error('Magic link verify error:', error);
+    res.status(500).json({
+      error: 'Login failed',
+      message: 'An error occurred during login'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/phone/request-otp
+ * @desc    Text a one-time sign-in code to the account phone number
+ * @access  Public
+ */
+router.post('/phone/request-otp', bruteForceProtection('phone-otp', req => normalizePhone(req.body.phone)), async (req, res) => {
+  try {
+    const { phone } = req.body;
+
+    if (!phone) {
+      return res.status(400).json({
+        error: 'Missing phone',
+        message: 'Phone number is required'
+      });
+    }
+
+    // Every code request counts as an attempt, to stop SMS flooding
+    await req.bruteForce.fail();
+
+    const user = await User.findOne({ phone: normalizePhone(phone) });
+
+    // Don't reveal if the phone number exists or not
+    let otpToken;
+    if (user && user.isActive) {
+      otpToken = await PasswordlessService.sendPhoneOtp(user, { ipAddress: req.ip });
+      logger.info(`Sign-in code sent to phone of user: ${user.email}`);
+    } else {
+      otpToken = PasswordlessService.createDecoyOtpToken();
+    }
+
+    res.json({
+      message: 'If an account with that phone number exists, a sign-in code has been sent',
+      otpToken
+    });
+
+  } catch (error) {
+    logger.error('Phone OTP request error:', error);
+    res.status(500).json({
+      error: 'Request failed',
+      message: 'An error occurred while sending the sign-in code'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/phone/verify-otp
+ * @desc    Login with a phone one-time code
+ * @access  Public
+ */
+router.post('/phone/verify-otp', bruteForceProtection('phone-otp-verify'), async (req, res) => {
+  try {
+    const { otpToken, code } = req.body;
+
+    if (!otpToken || !code) {
+      return res.status(400).json({
+        error: 'Missing data',
+        message: 'OTP token and code are required'
+      });
+    }
+
+    const userId = await PasswordlessService.verifyPhoneOtp(otpToken, code);
+    const user = userId && await User.findById(userId);
+
+    if (!user || !user.isActive) {
+      await req.bruteForce.fail();
+      return res.status(401).json({
+        error: 'Invalid code',
+        message: 'Invalid or expired sign-in code'
+      });
+    }
+
+    await respondWithPasswordlessLogin(user, req, res, 'phone code');
+
+  } catch (error) {
+    logger.error('Phone OTP verify error:', error);
+    res.status(500).json({
+      error: 'Login failed',
+      message: 'An error occurred during login'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Complete a login with a TOTP or recovery code
+ * @access  Public
+ */
+router.post('/2fa/verify', bruteForceProtection('two-factor', (req) => {
+  const challenge = TwoFactorService.verifyChallenge(req.body.challengeToken);
+  return challenge && challenge.userId;
+}), async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        error: 'Missing data',
+        message: 'Challenge token and a code or recovery code are required'
+      });
+    }
+
+    const challenge = TwoFactorService.verifyChallenge(challengeToken);
+    if (!challenge) {
+      return res.status(401).json({
+        error: 'Invalid challenge',
+        message: 'Login challenge is invalid or has expired, please log in again'
+      });
+    }
+
+    const user = await User.findById(challenge.userId).select(TwoFactorService.SECRET_FIELDS);
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        error: 'Invalid challenge',
+        message: 'Login challenge is invalid or has expired, please log in again'
+      });
+    }
+
+    if (!TwoFactorService.verifySecondFactor(user, { code, recoveryCode })) {
+      await req.bruteForce.fail();
+      return res.status(401).json({
+        error: 'Invalid code',
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    await req.bruteForce.succeed();
+
+    const loginData = await completeLogin(user, req);
+
+    logger.info(`User logged in with two-factor${recoveryCode ? ' recovery code' : ''}: ${user.email}`);
+
+    res.json({
+      message: 'Login successful',
+      ...loginData,
+      ...(recoveryCode && {
+        remainingRecoveryCodes: TwoFactorService.getRemainingRecoveryCodes(user)
+      })
+    });
+
+  } catch (error) {
+    logger.error('Two-factor verify error:', error);
+    res.status(500).json({
+      error: 'Login failed',
+      message: 'An error occurred during two-factor verification'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/enroll
+ * @desc    Start two-factor enrolment and get the provisioning URI
+ * @access  Private
+ */
+router.post('/2fa/enroll', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select(TwoFactorService.SECRET_FIELDS);
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'User account not found'
+      });
+    }
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        error: 'Already enabled',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const { secret, otpauthUrl } = TwoFactorService.startEnrollment(user);
+    await user.save();
+
+    res.json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUrl
+    });
+
+  } catch (error) {
+    logger.error('Two-factor enroll error:', error);
+    res.status(500).json({
+      error: 'Enrollment failed',
+      message: 'An error occurred while starting two-factor enrollment'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/confirm
+ * @desc    Confirm enrolment with a code and receive recovery codes
+ * @access  Private
+ */
+router.post('/2fa/confirm', auth, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        error: 'Missing code',
+        message: 'Authenticator code is required'
+      });
+    }
+
+    const user = await User.findById(req.user.userId).select(TwoFactorService.SECRET_FIELDS);
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'User account not found'
+      });
+    }
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        error: 'Already enabled',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const recoveryCodes = TwoFactorService.confirmEnrollment(user, code);
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        error: 'Invalid code',
+        message: 'Invalid code or no enrollment in progress'
+      });
+    }
+
+    await user.save();
+
+    logger.info(`Two-factor authentication enabled for user: ${user.email}`);
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe.',
+      recoveryCodes
+    });
+
+  } catch (error) {
+    logger.error('Two-factor confirm error:', error);
+    res.status(500).json({
+      error: 'Confirmation failed',
+      message: 'An error occurred while confirming two-factor enrollment'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Disable two-factor authentication
+ * @access  Private
+ */
+router.post('/2fa/disable', auth, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        error: 'Missing data',
+        message: 'Password and a code or recovery code are required'
+      });
+    }
+
+    const user = await User.findById(req.user.userId)
+      .select(`+password ${TwoFactorService.SECRET_FIELDS}`);
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'User account not found'
+      });
+    }
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        error: 'Not enabled',
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const isPasswordValid = await bcrypt.compare(password, user.password);
+    if (!isPasswordValid || !TwoFactorService.verifySecondFactor(user, { code, recoveryCode })) {
+      return res.status(401).json({
+        error: 'Invalid credentials',
+        message: 'Invalid password or two-factor code'
+      });
+    }
+
+    TwoFactorService.disable(user);
+    await user.save();
+
+    logger.info(`Two-factor authentication disabled for user: ${user.email}`);
+
+    res.json({
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    logger.error('Two-factor disable error:', error);
+    res.status(500).json({
+      error: 'Disable failed',
+      message: 'An error occurred while disabling two-factor authentication'
+    });
+  }
+});
+
 /**
  * @route   POST /api/auth/verify-email
  * @desc    Verify email address
  * @access  Public
  */
-router.post('/verify-email', async (req, res) => {
+router.post('/verify-email', bruteForceProtection('verify-email'), async (req, res) => {
   try {
     const { token } = req.body;
 
@@ -207,6 +711,7 @@ router.post('/verify-email', async (req, res) => {
     });
 
     if (!user) {
+      await req.bruteForce.fail();
       return res.status(400).json({
         error: 'Invalid token',
         message: 'Invalid or expired verification token'
@@ -220,6 +725,10 @@ router.post('/verify-email', async (req, res) => {
     user.verification.email.expiresAt = undefined;
 
     await user.save();
+    await TrustScoreService.recalculate(user._id, 'email-verified');
+
+    // Trip invitations sent to this address before the account existed
+    await TripInviteService.claimEmailInvites(user);
 
     logger.info(`Email verified for user: ${user.email}`);
 
@@ -287,7 +796,7 @@ router.post('/resend-verification', auth, async (req, res) => {
  * @desc    Request password reset
  * @access  Public
  */
-router.post('/forgot-password', async (req, res) => {
+router.post('/forgot-password', bruteForceProtection('forgot-password', req => req.body.email), async (req, res) => {
   try {
     const { email } = req.body;
 
@@ -298,6 +807,9 @@ router.post('/forgot-password', async (req, res) => {
       });
     }
 
+    // Every reset request counts as an attempt, to stop reset-email flooding
+    await req.bruteForce.fail();
+
     const user = await User.findOne({ email });
     if (!user) {
       // Don't reveal if email exists or not
@@ -331,12 +843,23 @@ router.post('/forgot-password', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/auth/password-policy
+ * @desc    Get the password rules, for showing them on sign-up forms
+ * @access  Public
+ */
+router.get('/password-policy', (req, res) => {
+  res.json({
+    policy: PasswordPolicyService.getPolicy()
+  });
+});
+
 /**
  * @route   POST /api/auth/reset-password
  * @desc    Reset password with token
  * @access  Public
  */
-router.post('/reset-password', async (req, res) => {
+router.post('/reset-password', bruteForceProtection('reset-password'), async (req, res) => {
   try {
     const { token, newPassword } = req.body;
 
@@ -354,22 +877,31 @@ router.post('/reset-password', async (req, res) => {
     });
 
     if (!user) {
+      await req.bruteForce.fail();
       return res.status(400).json({
         error: 'Invalid token',
         message: 'Invalid or expired reset token'
       });
     }
 
-    // Hash new password
-    const saltRounds = 12;
-    const hashedPassword = await bcrypt.hash(newPassword, saltRounds);
+    const passwordCheck = await PasswordPolicyService.validate(newPassword, {
+      email: user.email,
+      name: user.name
+    });
+    if (!passwordCheck.valid) {
+      return sendPasswordPolicyError(res, passwordCheck.errors, 'newPassword');
+    }
 
-    // Update password and clear reset token
-    user.password = hashedPassword;
+    // Update password (hashed on save) and clear reset token
+    user.password = newPassword;
+    user.passwordRotation = { pending: false, reasons: [] };
     user.verification.passwordReset = undefined;
 
     await user.save();
 
+    // A reset means the password may be compromised, so end every session
+    await TokenService.revokeAllSessions(user._id, 'password-reset');
+
     logger.info(`Password reset completed for user: ${user.email}`);
 
     res.json({
@@ -418,13 +950,22 @@ router.post('/change-password', auth, async (req, res) => {
       });
     }
 
-    // Hash new password
-    const saltRounds = 12;
-    const hashedPassword = await bcrypt.hash(newPassword, saltRounds);
+    const passwordCheck = await PasswordPolicyService.validate(newPassword, {
+      email: user.email,
+      name: user.name
+    });
+    if (!passwordCheck.valid) {
+      return sendPasswordPolicyError(res, passwordCheck.errors, 'newPassword');
+    }
 
-    user.password = hashedPassword;
+    // Hashed on save
+    user.password = newPassword;
+    user.passwordRotation = { pending: false, reasons: [] };
     await user.save();
 
+    // Keep the current session, sign out everywhere else
+    await TokenService.revokeAllSessions(user._id, 'password-change', req.user.sessionId);
+
     logger.info(`Password changed for user: ${user.email}`);
 
     res.json({
@@ -454,23 +995,26 @@ router.post('/upload-id', auth, upload.single('idDocument'), async (req, res) =>
       });
     }
 
-    const user = await User.findById(req.user.userId);
-    if (!user) {
-      return res.status(404).json({
-        error: 'User not found',
-        message: 'User account not found'
+    const documentType = req.body.documentType || 'passport';
+    if (!IdentityVerificationService.DOCUMENT_TYPES.includes(documentType)) {
+      return res.status(400).json({
+        error: 'Invalid document type',
+        message: `Document type must be one of: ${IdentityVerificationService.DOCUMENT_TYPES.join(', ')}`
       });
     }
 
-    // Store document information
-    user.verification.identity = {
-      documentType: req.body.documentType || 'passport',
-      documentUrl: req.file.path,
-      uploadedAt: new Date(),
-      status: 'pending'
-    };
+    const user = await IdentityVerificationService.submit(req.user.userId, {
+      type: documentType,
+      idDocument: req.file.path,
+      mrz: req.body.mrz
+    });
 
-    await user.save();
+    if (!user) {
+      return res.status(409).json({
+        error: 'Already verified',
+        message: 'Your identity is already verified'
+      });
+    }
 
     logger.info(`Identity document uploaded for user: ${user.email}`);
 
@@ -519,15 +1063,58 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/auth/refresh-token
+ * @desc    Exchange a refresh token for a new access/refresh token pair
+ * @access  Public
+ */
+router.post('/refresh-token', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        error: 'Missing token',
+        message: 'Refresh token is required'
+      });
+    }
+
+    const result = await TokenService.rotateRefreshToken(refreshToken, {
+      userAgent: req.get('User-Agent'),
+      ipAddress: req.ip
+    });
+
+    if (!result) {
+      return res.status(401).json({
+        error: 'Invalid token',
+        message: 'Invalid, expired or revoked refresh token'
+      });
+    }
+
+    res.json({
+      message: 'Token refreshed successfully',
+      token: result.token,
+      refreshToken: result.refreshToken,
+      expiresIn: result.expiresIn
+    });
+
+  } catch (error) {
+    logger.error('Refresh token error:', error);
+    res.status(500).json({
+      error: 'Refresh failed',
+      message: 'An error occurred while refreshing token'
+    });
+  }
+});
+
 /**
  * @route   POST /api/auth/logout
- * @desc    Logout user (invalidate token)
+ * @desc    Logout user (revoke current session)
  * @access  Private
  */
 router.post('/logout', auth, async (req, res) => {
   try {
-    // In a production app, you might want to maintain a blacklist of tokens
-    // For now, we'll just return success as the client should remove the token
+    await TokenService.revokeSession(req.user.sessionId, 'logout');
     
     logger.info(`User logged out: ${req.user.userId}`);
 
@@ -544,86 +1131,366 @@ router.post('/logout', auth, async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Logout user from every device (revoke all sessions)
+ * @access  Private
+ */
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    const revokedCount = await TokenService.revokeAllSessions(req.user.userId, 'logout-all');
+
+    logger.info(`User logged out everywhere: ${req.user.userId} (${revokedCount} sessions)`);
+
+    res.json({
+      message: 'Logged out from all devices successfully',
+      revokedSessions: revokedCount
+    });
+
+  } catch (error) {
+    logger.error('Logout all error:', error);
+    res.status(500).json({
+      error: 'Logout failed',
+      message: 'An error occurred during logout'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/unlock
+ * @desc    Lift a brute-force lockout for an account and/or IP address
+ * @access  Private (users:unlock)
+ */
+router.post('/unlock', requirePermission(PERMISSIONS.USERS_UNLOCK), async (req, res) => {
+  try {
+    const { email, ip } = req.body;
+
+    if (!email && !ip) {
+      return res.status(400).json({
+        error: 'Missing data',
+        message: 'Email or IP address is required'
+      });
+    }
+
+    const identifiers = [];
+
+    if (email) {
+      const normalizedEmail = email.trim().toLowerCase();
+      identifiers.push(normalizedEmail);
+
+      // Two-factor attempts are tracked per user ID, phone codes per phone
+      const user = await User.findOne({ email: normalizedEmail });
+      if (user) {
+        identifiers.push(user._id.toString());
+        if (user.phone) identifiers.push(user.phone);
+      }
+    }
+
+    for (const identifier of identifiers) {
+      await BruteForceService.unlock({ identifier });
+    }
+
+    if (ip) {
+      await BruteForceService.unlock({ ip });
+    }
+
+    logger.info(`Brute-force lock lifted by admin ${req.user.userId}: ${email || ''} ${ip || ''}`.trim());
+
+    res.json({
+      message: 'Lock lifted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Unlock error:', error);
+    res.status(500).json({
+      error: 'Unlock failed',
+      message: 'An error occurred while lifting the lock'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/devices
+ * @desc    Register or update the device of the current session
+ * @access  Private
+ */
+router.post('/devices', auth, async (req, res) => {
+  try {
+    const { deviceName, platform, fcmToken } = req.body;
+
+    if (platform && !DEVICE_PLATFORMS.includes(platform)) {
+      return res.status(400).json({
+        error: 'Invalid platform',
+        message: `Platform must be one of: ${DEVICE_PLATFORMS.join(', ')}`
+      });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'User account not found'
+      });
+    }
+
+    // Sessions started before device tracking get a device assigned here
+    const session = req.session;
+    if (!session.deviceId) {
+      session.deviceId = uuidv4();
+      await session.save();
+    }
+
+    const device = user.registerDevice({
+      deviceId: session.deviceId,
+      name: deviceName,
+      platform,
+      fcmToken
+    });
+
+    await user.save();
+
+    res.json({
+      message: 'Device registered successfully',
+      device
+    });
+
+  } catch (error) {
+    logger.error('Register device error:', error);
+    res.status(500).json({
+      error: 'Device registration failed',
+      message: 'An error occurred while registering device'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List active sessions with device and last-seen time
+ * @access  Private
+ */
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    const devices = req.userDoc.devices;
+
+    const sessionList = sessions.map(session => {
+      const device = devices.find(d => d.deviceId === session.deviceId);
+
+      return {
+        id: session._id,
+        deviceId: session.deviceId,
+        deviceName: device ? device.name : undefined,
+        platform: device ? device.platform : undefined,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        createdAt: session.createdAt,
+        lastSeen: device && device.lastUsed > session.lastUsedAt ? device.lastUsed : session.lastUsedAt,
+        isCurrent: session._id.toString() === req.user.sessionId
+      };
+    });
+
+    res.json({
+      sessions: sessionList
+    });
+
+  } catch (error) {
+    logger.error('Get sessions error:', error);
+    res.status(500).json({
+      error: 'Failed to get sessions',
+      message: 'An error occurred while fetching sessions'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @desc    Revoke one session and sign its device out
+ * @access  Private
+ */
+router.delete('/sessions/:sessionId', auth, async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.sessionId,
+      user: req.user.userId,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        error: 'Session not found',
+        message: 'The specified session does not exist or is already revoked'
+      });
+    }
+
+    if (session.deviceId) {
+      await TokenService.revokeDevice(req.user.userId, session.deviceId);
+    } else {
+      await TokenService.revokeSession(session._id, 'device-revoked');
+    }
+
+    logger.info(`Session ${session._id} revoked by user ${req.user.userId}`);
+
+    res.json({
+      message: 'Session revoked successfully'
+    });
+
+  } catch (error) {
+    logger.error('Revoke session error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke session',
+      message: 'An error occurred while revoking session'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/sessions
+ * @desc    Revoke all sessions except the current one
+ * @access  Private
+ */
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const currentDeviceId = req.session.deviceId || null;
+
+    const revokedCount = await TokenService.revokeAllSessions(
+      req.user.userId,
+      'device-revoked',
+      req.user.sessionId
+    );
+
+    // Sign out every other device as well
+    await User.updateOne(
+      { _id: req.user.userId },
+      { $pull: { devices: { deviceId: { $ne: currentDeviceId } } } }
+    );
+
+    logger.info(`Other sessions revoked by user ${req.user.userId} (${revokedCount} sessions)`);
+
+    res.json({
+      message: 'All other sessions revoked successfully',
+      revokedSessions: revokedCount
+    });
+
+  } catch (error) {
+    logger.error('Revoke other sessions error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke sessions',
+      message: 'An error occurred while revoking sessions'
+    });
+  }
+});
+
 /**
  * @route   POST /api/auth/social-login
- * @desc    Social media login (Google, Facebook)
+ * @desc    Social media login (Google, Facebook, LinkedIn) with a provider ID token
  * @access  Public
  */
 router.post('/social-login', async (req, res) => {
   try {
-    const { provider, accessToken, profile } = req.body;
+    const { provider, idToken } = req.body;
 
-    if (!provider || !accessToken || !profile) {
+    if (!provider || !idToken) {
       return res.status(400).json({
         error: 'Missing data',
-        message: 'Provider, access token, and profile are required'
+        message: 'Provider and ID token are required'
       });
     }
 
-    // TODO: Verify token with social provider
-    // For now, we'll trust the client-side verification
+    if (!SocialAuthService.isSupported(provider)) {
+      return res.status(400).json({
+        error: 'Unsupported provider',
+        message: `Social login with ${provider} is not supported`
+      });
+    }
 
-    const { email, firstName, lastName, picture } = profile;
+    // Verify the ID token signature, audience and issuer with the provider keys
+    const profile = await SocialAuthService.verifyIdToken(provider, idToken);
+    if (!profile) {
+      return res.status(401).json({
+        error: 'Invalid token',
+        message: 'The social login token could not be verified'
+      });
+    }
 
-    // Check if user exists
-    let user = await User.findOne({ email });
+    if (!profile.email) {
+      return res.status(400).json({
+        error: 'Missing email',
+        message: 'The provider did not share an email address'
+      });
+    }
 
-    if (user) {
-      // Update social login info
-      user.socialLogins = user.socialLogins || {};
-      user.socialLogins[provider] = {
-        id: profile.id,
-        accessToken,
-        lastLogin: new Date()
-      };
-      
-      if (picture && !user.profile.profilePicture) {
-        user.profile.profilePicture = picture;
-      }
+    const email = profile.email.toLowerCase();
 
-      user.lastLogin = new Date();
-      await user.save();
-    } else {
-      // Create new user
-      user = new User({
-        email,
-        profile: {
-          firstName,
-          lastName,
-          profilePicture: picture
-        },
-        socialLogins: {
-          [provider]: {
-            id: profile.id,
-            accessToken,
-            lastLogin: new Date()
-          }
-        },
-        verification: {
-          email: {
-            isVerified: true, // Trust social provider verification
-            verifiedAt: new Date()
-          }
+    // Check if this provider account is already linked
+    let user = await User.findOne({ [`socialAuth.${provider}.id`]: profile.id });
+
+    if (!user) {
+      user = await User.findOne({ email });
+
+      if (user) {
+        // Only link an existing account when the provider vouches for the email
+        if (!profile.emailVerified) {
+          return res.status(409).json({
+            error: 'Account exists',
+            message: 'An account with this email already exists. Log in with your password to link this provider.'
+          });
         }
-      });
 
-      await user.save();
+        user.socialAuth[provider] = {
+          id: profile.id,
+          email
+        };
+
+        logger.info(`Linked ${provider} account to existing user: ${email}`);
+      } else {
+        // Create new user
+        user = new User({
+          email,
+          name: [profile.firstName, profile.lastName].filter(Boolean).join(' ') || email.split('@')[0],
+          socialAuth: {
+            [provider]: {
+              id: profile.id,
+              email
+            }
+          },
+          verification: {
+            email: {
+              isVerified: profile.emailVerified,
+              verifiedAt: profile.emailVerified ? new Date() : undefined
+            }
+          }
+        });
+      }
     }
 
-    // Generate JWT token
-    const token = generateToken(user._id);
+    if (profile.picture && !user.profilePicture) {
+      user.profilePicture = profile.picture;
+    }
 
-    // Remove sensitive data
-    const userResponse = user.toObject();
-    delete userResponse.password;
-    delete userResponse.socialLogins;
+    // Accounts with 2FA still need the second step after a social login
+    if (user.twoFactor && user.twoFactor.enabled) {
+      await user.save();
+
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: TwoFactorService.createChallenge(user._id)
+      });
+    }
+
+    const loginData = await completeLogin(user, req);
+    delete loginData.user.socialAuth;
 
     logger.info(`Social login successful: ${email} via ${provider}`);
 
     res.json({
       message: 'Social login successful',
-      token,
-      user: userResponse
+      ...loginData
     });
 
   } catch (error) {
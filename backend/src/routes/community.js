@@ -1,8 +1,9 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const auth = require('../middleware/auth');
-const upload = require('../middleware/upload');
+const { auth } = require('../middleware/auth');
+const { upload } = require('../middleware/upload');
+const BlockService = require('../services/blockService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -38,6 +39,15 @@ const CommunityPost = {
 let communityPosts = [];
 let postIdCounter = 1;
 
+// Drop posts by users the viewer blocked, muted or was blocked by, and
+// their comments on everyone else's posts
+const filterHiddenContent = (posts, hiddenUserIds) => posts
+  .filter(post => !hiddenUserIds.has(String(post.author._id)))
+  .map(post => ({
+    ...post,
+    comments: post.comments.filter(comment => !hiddenUserIds.has(String(comment.author._id)))
+  }));
+
 // @route   POST /api/community/posts
 // @desc    Create a new community post
 // @access  Private
@@ -115,7 +125,8 @@ router.get('/posts', auth, async (req, res) => {
       sort = 'recent' 
     } = req.query;
 
-    let filteredPosts = communityPosts.filter(post => post.isPublic);
+    const hiddenUserIds = await BlockService.getHiddenUserIds(req.user.id, { includeMuted: true });
+    let filteredPosts = filterHiddenContent(communityPosts.filter(post => post.isPublic), hiddenUserIds);
 
     // Apply filters
     if (type) {
@@ -186,7 +197,8 @@ router.get('/posts', auth, async (req, res) => {
 // @access  Private
 router.get('/posts/:id', auth, async (req, res) => {
   try {
-    const post = communityPosts.find(p => p.id === req.params.id);
+    const hiddenUserIds = await BlockService.getHiddenUserIds(req.user.id, { includeMuted: true });
+    const [post] = filterHiddenContent(communityPosts.filter(p => p.id === req.params.id), hiddenUserIds);
 
     if (!post) {
       return res.status(404).json({
@@ -289,6 +301,13 @@ router.post('/posts/:id/comments', [
       });
     }
 
+    if (await BlockService.isBlockedBetween(req.user.id, communityPosts[postIndex].author._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot comment on this post'
+      });
+    }
+
     const user = await User.findById(req.user.id).select('name profilePicture verificationStatus');
 
     const newComment = {
@@ -345,9 +364,10 @@ router.get('/trending', auth, async (req, res) => {
         break;
     }
 
-    const recentPosts = communityPosts.filter(post => 
+    const hiddenUserIds = await BlockService.getHiddenUserIds(req.user.id, { includeMuted: true });
+    const recentPosts = filterHiddenContent(communityPosts.filter(post => 
       post.isPublic && new Date(post.createdAt) >= periodStart
-    );
+    ), hiddenUserIds);
 
     // Calculate engagement score
     const postsWithScore = recentPosts.map(post => ({
@@ -512,9 +532,10 @@ router.get('/events', auth, async (req, res) => {
   try {
     const { location, date, page = 1, limit = 10 } = req.query;
 
-    let events = communityPosts.filter(post => 
+    const hiddenUserIds = await BlockService.getHiddenUserIds(req.user.id, { includeMuted: true });
+    let events = filterHiddenContent(communityPosts.filter(post => 
       post.type === 'event' || post.type === 'meetup'
-    );
+    ), hiddenUserIds);
 
     // Filter by location
     if (location) {
@@ -1,7 +1,7 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const auth = require('../middleware/auth');
+const { auth } = require('../middleware/auth');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -47,7 +47,9 @@ router.post('/sos', [
       id: Date.now().toString(),
       userId: req.user.id,
       userName: user.name,
-      userPhone: user.phone,
+      // Responders only get a number that is known to reach the user
+      userPhone: user.verification.phone.isVerified ? user.phone : null,
+      phoneVerified: user.verification.phone.isVerified,
       location,
       emergencyType,
       message: message || '',
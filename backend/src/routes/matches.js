@@ -1,9 +1,12 @@
 const express = require('express');
 const { Match, ChatRoom, Message } = require('../models/Match');
-const { User } = require('../models/User');
-const { Trip } = require('../models/Trip');
+const User = require('../models/User');
+const Trip = require('../models/Trip');
 const AIService = require('../services/aiService');
-const auth = require('../middleware/auth');
+const BlockService = require('../services/blockService');
+const ProfileService = require('../services/profileService');
+const TripMembershipService = require('../services/tripMembershipService');
+const { auth } = require('../middleware/auth');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -42,15 +45,16 @@ router.get('/potential', auth, async (req, res) => {
     }
 
     const currentUser = await User.findById(userId);
+    const hiddenUserIds = await BlockService.getHiddenUserIds(userId);
     const potentialMatches = [];
 
     for (const trip of userTrips) {
       // Find other trips with overlapping destinations and dates
       const otherTrips = await Trip.find({
         _id: { $ne: trip._id },
-        creator: { $ne: userId },
+        creator: { $nin: [userId, ...hiddenUserIds] },
         isActive: true,
-        openToPartners: true,
+        isOpenToPartners: true,
         'dates.start': { $lte: trip.dates.end },
         'dates.end': { $gte: trip.dates.start },
         $or: [
@@ -58,7 +62,7 @@ router.get('/potential', auth, async (req, res) => {
           { 'destination.country': trip.destination.country },
           { 'destination.region': trip.destination.region }
         ]
-      }).populate('creator', 'profile verification preferences');
+      }).populate('creator', `${ProfileService.PROFILE_FIELDS} budgetRange`);
 
       for (const otherTrip of otherTrips) {
         // Check if match already exists
@@ -98,8 +102,15 @@ router.get('/potential', auth, async (req, res) => {
     const endIndex = startIndex + parseInt(limit);
     const paginatedMatches = potentialMatches.slice(startIndex, endIndex);
 
+    // Creators are scored on their full profile but shown as the viewer may see them
+    const trips = await ProfileService.serializeRefs(paginatedMatches.map(match => match.trip), ['creator'], userId);
+
     res.json({
-      matches: paginatedMatches,
+      matches: paginatedMatches.map((match, index) => ({
+        ...match,
+        trip: trips[index],
+        user: trips[index].creator
+      })),
       pagination: {
         currentPage: parseInt(page),
         totalPages: Math.ceil(potentialMatches.length / limit),
@@ -151,7 +162,7 @@ router.post('/request', auth, async (req, res) => {
       });
     }
 
-    if (!trip.openToPartners) {
+    if (!trip.isOpenToPartners) {
       return res.status(400).json({
         error: 'Trip not open',
         message: 'This trip is not open to partners'
@@ -167,6 +178,13 @@ router.post('/request', auth, async (req, res) => {
       });
     }
 
+    if (await BlockService.isBlockedBetween(requesterId, recipientId)) {
+      return res.status(403).json({
+        error: 'Request not allowed',
+        message: 'You cannot send a match request to this user'
+      });
+    }
+
     // Check if match request already exists
     const existingMatch = await Match.findOne({
       requester: requesterId,
@@ -206,16 +224,18 @@ router.post('/request', auth, async (req, res) => {
 
     // Populate match data for response
     await match.populate([
-      { path: 'requester', select: 'profile verification' },
-      { path: 'recipient', select: 'profile verification' },
+      { path: 'requester', select: ProfileService.PROFILE_FIELDS },
+      { path: 'recipient', select: ProfileService.PROFILE_FIELDS },
       { path: 'trip', select: 'title destination dates budget interests' }
     ]);
 
     logger.info(`Match request sent from ${requesterId} to ${recipientId} for trip ${tripId}`);
 
+    const [serializedMatch] = await ProfileService.serializeRefs([match], ['requester', 'recipient'], requesterId);
+
     res.status(201).json({
       message: 'Match request sent successfully',
-      match
+      match: serializedMatch
     });
 
   } catch (error) {
@@ -247,7 +267,7 @@ router.get('/received', auth, async (req, res) => {
     }
 
     const matches = await Match.find(query)
-      .populate('requester', 'profile verification preferences')
+      .populate('requester', ProfileService.PROFILE_FIELDS)
       .populate('trip', 'title destination dates budget interests creator')
       .sort({ createdAt: -1 })
       .limit(limit * 1)
@@ -256,7 +276,7 @@ router.get('/received', auth, async (req, res) => {
     const total = await Match.countDocuments(query);
 
     res.json({
-      matches,
+      matches: await ProfileService.serializeRefs(matches, ['requester', 'recipient'], userId),
       pagination: {
         currentPage: parseInt(page),
         totalPages: Math.ceil(total / limit),
@@ -295,7 +315,7 @@ router.get('/sent', auth, async (req, res) => {
     }
 
     const matches = await Match.find(query)
-      .populate('recipient', 'profile verification preferences')
+      .populate('recipient', ProfileService.PROFILE_FIELDS)
       .populate('trip', 'title destination dates budget interests creator')
       .sort({ createdAt: -1 })
       .limit(limit * 1)
@@ -304,7 +324,7 @@ router.get('/sent', auth, async (req, res) => {
     const total = await Match.countDocuments(query);
 
     res.json({
-      matches,
+      matches: await ProfileService.serializeRefs(matches, ['requester', 'recipient'], userId),
       pagination: {
         currentPage: parseInt(page),
         totalPages: Math.ceil(total / limit),
@@ -342,8 +362,8 @@ router.put('/:matchId/respond', auth, async (req, res) => {
     }
 
     const match = await Match.findById(matchId)
-      .populate('requester', 'profile')
-      .populate('recipient', 'profile')
+      .populate('requester', ProfileService.PROFILE_FIELDS)
+      .populate('recipient', ProfileService.PROFILE_FIELDS)
       .populate('trip');
 
     if (!match) {
@@ -368,6 +388,13 @@ router.put('/:matchId/respond', auth, async (req, res) => {
       });
     }
 
+    if (response === 'accepted' && await BlockService.isBlockedBetween(match.requester._id, userId)) {
+      return res.status(403).json({
+        error: 'Request not allowed',
+        message: 'You cannot accept a match request from this user'
+      });
+    }
+
     // Update match status
     match.status = response;
     match.responseMessage = message;
@@ -384,10 +411,10 @@ router.put('/:matchId/respond', auth, async (req, res) => {
       await chatRoom.save();
       match.chatRoom = chatRoom._id;
 
-      // Add requester to trip participants if not already added
-      if (!match.trip.participants.includes(match.requester._id)) {
-        match.trip.participants.push(match.requester._id);
-        await match.trip.save();
+      // Bring the requester onto the trip as an accepted participant
+      const membership = await TripMembershipService.acceptFromMatch(match.trip._id, match.requester._id, userId);
+      if (typeof membership === 'string') {
+        logger.warn(`Match ${matchId}: requester not added to trip ${match.trip._id} (${membership})`);
       }
     }
 
@@ -395,9 +422,11 @@ router.put('/:matchId/respond', auth, async (req, res) => {
 
     logger.info(`Match ${matchId} ${response} by user ${userId}`);
 
+    const [serializedMatch] = await ProfileService.serializeRefs([match], ['requester', 'recipient'], userId);
+
     res.json({
       message: `Match request ${response} successfully`,
-      match,
+      match: serializedMatch,
       chatRoomId: match.chatRoom
     });
 
@@ -423,13 +452,13 @@ router.get('/chat-rooms', auth, async (req, res) => {
       participants: userId,
       isActive: true
     })
-    .populate('participants', 'profile verification')
+    .populate('participants', ProfileService.PROFILE_FIELDS)
     .populate('trip', 'title destination dates')
     .populate('match', 'compatibilityScore status')
     .sort({ updatedAt: -1 });
 
     res.json({
-      chatRooms
+      chatRooms: await ProfileService.serializeRefs(chatRooms, ['participants'], userId)
     });
 
   } catch (error) {
@@ -472,7 +501,7 @@ router.get('/chat-rooms/:roomId/messages', auth, async (req, res) => {
       chatRoom: roomId,
       isDeleted: false
     })
-    .populate('sender', 'profile')
+    .populate('sender', ProfileService.PROFILE_FIELDS)
     .sort({ createdAt: -1 })
     .limit(limit * 1)
     .skip((page - 1) * limit);
@@ -499,7 +528,8 @@ router.get('/chat-rooms/:roomId/messages', auth, async (req, res) => {
     await chatRoom.save();
 
     res.json({
-      messages: messages.reverse(), // Return in chronological order
+      // Return in chronological order
+      messages: await ProfileService.serializeRefs(messages.reverse(), ['sender'], userId),
       pagination: {
         currentPage: parseInt(page),
         hasMore: messages.length === parseInt(limit)
@@ -549,6 +579,14 @@ router.post('/chat-rooms/:roomId/messages', auth, async (req, res) => {
       });
     }
 
+    // Rooms are closed when one participant blocks another
+    if (!chatRoom.isActive) {
+      return res.status(403).json({
+        error: 'Chat closed',
+        message: 'This conversation has been closed'
+      });
+    }
+
     // Create message
     const message = new Message({
       chatRoom: roomId,
@@ -563,7 +601,7 @@ router.post('/chat-rooms/:roomId/messages', auth, async (req, res) => {
     });
 
     await message.save();
-    await message.populate('sender', 'profile');
+    await message.populate('sender', ProfileService.PROFILE_FIELDS);
 
     // Update chat room last message and unread counts
     chatRoom.lastMessage = {
@@ -584,9 +622,11 @@ router.post('/chat-rooms/:roomId/messages', auth, async (req, res) => {
 
     logger.info(`Message sent in chat room ${roomId} by user ${userId}`);
 
+    const [serializedMessage] = await ProfileService.serializeRefs([message], ['sender'], userId);
+
     res.status(201).json({
       message: 'Message sent successfully',
-      data: message
+      data: serializedMessage
     });
 
   } catch (error) {
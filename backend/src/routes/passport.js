@@ -0,0 +1,245 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const User = require('../models/User');
+const { auth } = require('../middleware/auth');
+const BlockService = require('../services/blockService');
+const ProfileService = require('../services/profileService');
+const PassportService = require('../services/passportService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation errors',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// Load the passport trips the viewer may see. The passport follows the
+// owner's `tripHistory` visibility setting. Sends the error response and
+// returns null when the passport cannot be shown.
+const loadVisibleTrips = async (req, res) => {
+  const { userId } = req.params;
+  const isSelf = userId === req.user.id;
+
+  const user = await User.findOne({ _id: userId, isActive: true }).select('privacy.fieldVisibility');
+
+  if (!user || (!isSelf && await BlockService.isBlockedBetween(req.user.id, userId))) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+
+  const relationship = (await ProfileService.getRelationships(req.user.id, [user._id])).get(userId);
+
+  if (!User.canSeeField(user.privacy?.fieldVisibility?.tripHistory, relationship)) {
+    res.status(403).json({
+      success: false,
+      message: 'This traveler does not share their trips with you'
+    });
+    return null;
+  }
+
+  return PassportService.getTrips(userId, { includeHidden: isSelf });
+};
+
+// @route   GET /api/passport/user/:userId
+// @desc    A traveler's passport: completed trips and travel statistics
+// @access  Private
+router.get('/user/:userId', [auth, param('userId').isMongoId()], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const trips = await loadVisibleTrips(req, res);
+    if (!trips) return;
+
+    res.json({
+      success: true,
+      data: {
+        stats: PassportService.computeStats(trips),
+        trips
+      }
+    });
+  } catch (error) {
+    logger.error('Get passport error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/passport/user/:userId/stats
+// @desc    Travel statistics: countries, cities, days travelled, distance
+// @access  Private
+router.get('/user/:userId/stats', [auth, param('userId').isMongoId()], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const trips = await loadVisibleTrips(req, res);
+    if (!trips) return;
+
+    res.json({
+      success: true,
+      data: PassportService.computeStats(trips)
+    });
+  } catch (error) {
+    logger.error('Get passport stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/passport/user/:userId/map
+// @desc    Past trips as a GeoJSON FeatureCollection
+// @access  Private
+router.get('/user/:userId/map', [auth, param('userId').isMongoId()], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const trips = await loadVisibleTrips(req, res);
+    if (!trips) return;
+
+    res.type('application/geo+json').json(PassportService.toGeoJSON(trips));
+  } catch (error) {
+    logger.error('Get passport map error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/passport/trips
+// @desc    Add a past trip to the passport by hand
+// @access  Private
+router.post('/trips', [
+  auth,
+  body('title').optional().trim().isLength({ min: 1, max: 100 }),
+  body('destination.city').trim().notEmpty().withMessage('City is required'),
+  body('destination.country').trim().notEmpty().withMessage('Country is required'),
+  body('destination.coordinates').isArray({ min: 2, max: 2 }).withMessage('Coordinates must be [longitude, latitude]'),
+  body('destination.coordinates.0').isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude'),
+  body('destination.coordinates.1').isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
+  body('startDate').isISO8601().withMessage('Valid start date is required'),
+  body('endDate').isISO8601().withMessage('Valid end date is required')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { title, destination, startDate, endDate } = req.body;
+
+    if (new Date(endDate) < new Date(startDate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'End date must not be before start date'
+      });
+    }
+
+    if (new Date(endDate) > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only past trips can be added'
+      });
+    }
+
+    const trip = await PassportService.addManualTrip(req.user.id, {
+      title,
+      destination: {
+        city: destination.city,
+        country: destination.country,
+        coordinates: destination.coordinates.map(Number)
+      },
+      startDate,
+      endDate
+    });
+
+    res.status(201).json({
+      success: true,
+      data: trip,
+      message: 'Trip added to your passport'
+    });
+  } catch (error) {
+    logger.error('Add passport trip error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/passport/trips/:tripId/visibility
+// @desc    Show or hide a completed trip in the passport
+// @access  Private
+router.put('/trips/:tripId/visibility', [
+  auth,
+  param('tripId').isMongoId(),
+  body('visible').isBoolean().withMessage('Visible must be true or false')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const visible = req.body.visible === true || req.body.visible === 'true';
+    const updated = await PassportService.setTripVisibility(req.user.id, req.params.tripId, visible);
+
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        message: 'Completed trip not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { tripId: req.params.tripId, visible },
+      message: visible ? 'Trip shown in your passport' : 'Trip hidden from your passport'
+    });
+  } catch (error) {
+    logger.error('Set passport trip visibility error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/passport/trips/:tripId
+// @desc    Delete a past trip added by hand
+// @access  Private
+router.delete('/trips/:tripId', [auth, param('tripId').isMongoId()], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const removed = await PassportService.removeManualTrip(req.user.id, req.params.tripId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Manually added trip not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Trip removed from your passport'
+    });
+  } catch (error) {
+    logger.error('Remove passport trip error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
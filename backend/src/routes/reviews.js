@@ -0,0 +1,264 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Trip = require('../models/Trip');
+const User = require('../models/User');
+const Review = require('../models/Review');
+const { auth } = require('../middleware/auth');
+const ReviewService = require('../services/reviewService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation errors',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// @route   GET /api/reviews/eligible
+// @desc    Trips the user can still review, with the partners not yet reviewed
+// @access  Private
+router.get('/eligible', auth, async (req, res) => {
+  try {
+    const trips = await ReviewService.listEligible(req.user.id);
+
+    res.json({
+      success: true,
+      data: trips
+    });
+  } catch (error) {
+    logger.error('Get eligible reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/reviews
+// @desc    Review a travel partner after a shared trip
+// @access  Private
+router.post('/', [
+  auth,
+  body('tripId').isMongoId().withMessage('Valid trip is required'),
+  body('revieweeId').isMongoId().withMessage('Valid user is required'),
+  body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
+  body('comment').optional().trim().isLength({ max: 2000 }).withMessage('Comment must be at most 2000 characters')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { tripId, revieweeId, rating, comment } = req.body;
+
+    const trip = await Trip.findById(tripId);
+
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found'
+      });
+    }
+
+    const ineligibilityReason = ReviewService.getIneligibilityReason(trip, req.user.id, revieweeId);
+
+    if (ineligibilityReason) {
+      return res.status(403).json({
+        success: false,
+        message: ineligibilityReason
+      });
+    }
+
+    const review = await ReviewService.createReview(trip, req.user.id, revieweeId, {
+      rating: parseInt(rating),
+      comment
+    });
+
+    if (!review) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already reviewed this traveler for this trip'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: review.toViewerJSON(req.user.id),
+      message: review.publishedAt
+        ? 'Review published'
+        : 'Review saved. It will be published once your travel partner reviews you or the review window closes'
+    });
+  } catch (error) {
+    logger.error('Create review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/reviews/written
+// @desc    Reviews the user has written, including unpublished ones
+// @access  Private
+router.get('/written', auth, async (req, res) => {
+  try {
+    const reviews = await Review.find({ reviewer: req.user.id })
+      .sort({ createdAt: -1 })
+      .populate('reviewee', 'name profilePicture')
+      .populate('trip', 'title destination endDate');
+
+    res.json({
+      success: true,
+      data: reviews.map(review => review.toViewerJSON(req.user.id))
+    });
+  } catch (error) {
+    logger.error('Get written reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/reviews/user/:userId
+// @desc    Published reviews about a user
+// @access  Private
+router.get('/user/:userId', [
+  auth,
+  param('userId').isMongoId(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 })
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const user = await User.findById(req.params.userId).select('averageRating reviews isActive');
+
+    if (!user || !user.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const filter = {
+      reviewee: user._id,
+      publishedAt: { $ne: null },
+      'moderation.status': { $ne: 'removed' }
+    };
+
+    const [reviews, total] = await Promise.all([
+      Review.find(filter)
+        .sort({ publishedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('reviewer', 'name profilePicture')
+        .populate('trip', 'title destination endDate'),
+      Review.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        averageRating: user.averageRating,
+        reviewCount: total,
+        reviews: reviews.map(review => review.toViewerJSON(req.user.id)),
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get user reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/reviews/:reviewId/response
+// @desc    Respond to a published review about the user
+// @access  Private
+router.post('/:reviewId/response', [
+  auth,
+  param('reviewId').isMongoId(),
+  body('text').trim().isLength({ min: 1, max: 1000 }).withMessage('Response must be 1 to 1000 characters')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const review = await ReviewService.respond(req.params.reviewId, req.user.id, req.body.text);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: review.toViewerJSON(req.user.id),
+      message: 'Response saved'
+    });
+  } catch (error) {
+    logger.error('Review response error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/reviews/:reviewId/report
+// @desc    Report an abusive review to moderators
+// @access  Private
+router.post('/:reviewId/report', [
+  auth,
+  param('reviewId').isMongoId(),
+  body('reason').trim().isLength({ min: 1, max: 500 }).withMessage('A reason is required')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const result = await ReviewService.report(req.params.reviewId, req.user.id, req.body.reason);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    if (result === 'duplicate') {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already reported this review'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Review reported. Our moderators will look at it'
+    });
+  } catch (error) {
+    logger.error('Report review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
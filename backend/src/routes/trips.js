@@ -1,12 +1,80 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const Trip = require('../models/Trip');
 const User = require('../models/User');
-const auth = require('../middleware/auth');
+const { auth } = require('../middleware/auth');
+const BlockService = require('../services/blockService');
+const FollowService = require('../services/followService');
+const TrustScoreService = require('../services/trustScoreService');
+const PassportService = require('../services/passportService');
+const TripMembershipService = require('../services/tripMembershipService');
+const TripInviteService = require('../services/tripInviteService');
+const ItineraryService = require('../services/itineraryService');
 const logger = require('../utils/logger');
+const {
+  TRIP_PERMISSIONS, CO_ORGANIZER_PERMISSIONS, getTripPermissions, hasTripPermission, isTripOwner
+} = require('../utils/tripPermissions');
 
 const router = express.Router();
 
+// Private and invite-only trips are visible to their members and invitees
+// only, friends-only trips also to the creator's friends (users who follow
+// each other)
+const canViewTrip = async (trip, userId) => {
+  if (!['private', 'invite-only', 'friends-only'].includes(trip.privacy)) return true;
+
+  const creatorId = (trip.creator._id || trip.creator).toString();
+  const participant = trip.getParticipant(userId);
+  if (creatorId === userId || (participant && ['accepted', 'invited', 'offered'].includes(participant.status))) return true;
+
+  return trip.privacy === 'friends-only' && FollowService.areFriends(creatorId, userId);
+};
+
+// The itinerary version a change was based on, from the If-Match header:
+// undefined when not sent, NaN when it is not a version
+const getExpectedVersion = (req) => {
+  const header = req.get('If-Match');
+  if (header === undefined) return undefined;
+
+  const value = header.trim().replace(/^W\//, '').replace(/^"(.*)"$/, '$1');
+  return /^\d+$/.test(value) ? Number(value) : NaN;
+};
+
+// 409 with the current itinerary, so the client can redo its change on it
+const sendItineraryConflict = async (res, tripId) => {
+  const current = await ItineraryService.getItinerary(tripId);
+  if (current) res.set('ETag', `"${current.version}"`);
+
+  return res.status(409).json({
+    success: false,
+    message: 'The itinerary was changed by someone else; reload it and try again',
+    data: current
+  });
+};
+
+// Members plus places held for outstanding seat offers
+const getTakenSeats = (trip) => trip.currentParticipants + (trip.reservedSeats || 0);
+
+const getCapacityMessage = (trip) =>
+  `The trip already has ${trip.currentParticipants} members and ${trip.reservedSeats || 0} open seat offers`;
+
+// Trip fields PUT /:id can change. Membership, counters, likes, comments and
+// the like have their own endpoints or are kept by the server.
+const UPDATABLE_FIELDS = [
+  'title', 'description', 'destination', 'startDate', 'endDate', 'travelMode', 'budget', 'interests',
+  'travelStyle', 'isOpenToPartners', 'maxParticipants', 'waitlist', 'privacy', 'itinerary', 'status',
+  'completionData', 'emergencyInfo'
+];
+
+// Permission needed to update each trip field; other fields are trip details
+const UPDATE_PERMISSIONS = {
+  itinerary: TRIP_PERMISSIONS.EDIT_ITINERARY,
+  budget: TRIP_PERMISSIONS.MANAGE_BUDGET,
+  maxParticipants: TRIP_PERMISSIONS.MANAGE_REQUESTS,
+  isOpenToPartners: TRIP_PERMISSIONS.MANAGE_REQUESTS,
+  waitlist: TRIP_PERMISSIONS.MANAGE_REQUESTS
+};
+
 // @route   POST /api/trips
 // @desc    Create a new trip
 // @access  Private
@@ -35,7 +103,9 @@ router.post('/', [
       budget,
       travelMode,
       interests,
+      isOpenToPartners,
       openToPartners,
+      maxParticipants,
       privacy,
       description,
       itinerary
@@ -57,13 +127,15 @@ router.post('/', [
       budget,
       travelMode,
       interests: interests || [],
-      openToPartners: openToPartners || false,
+      isOpenToPartners: (isOpenToPartners ?? openToPartners) || false,
+      maxParticipants,
       privacy: privacy || 'public',
       description,
       itinerary: itinerary || []
     });
 
     await trip.save();
+    await PassportService.refreshTripCounts(req.user.id);
     await trip.populate('creator', 'name profilePicture verificationStatus');
 
     res.status(201).json({
@@ -97,7 +169,16 @@ router.get('/', auth, async (req, res) => {
       sort = '-createdAt'
     } = req.query;
 
-    let query = { privacy: 'public' };
+    const friendIds = await FollowService.getFriendIds(req.user.id);
+
+    let query = {
+      $and: [{
+        $or: [
+          { privacy: 'public' },
+          { privacy: 'friends-only', creator: { $in: friendIds } }
+        ]
+      }]
+    };
 
     if (destination) {
       query.destination = { $regex: destination, $options: 'i' };
@@ -139,7 +220,7 @@ router.get('/', auth, async (req, res) => {
 
     const trips = await Trip.find(query)
       .populate('creator', 'name profilePicture verificationStatus')
-      .populate('participants', 'name profilePicture')
+      .populate('participants.user', 'name profilePicture')
       .limit(limit * 1)
       .skip((page - 1) * limit)
       .sort(sort);
@@ -149,7 +230,10 @@ router.get('/', auth, async (req, res) => {
     res.json({
       success: true,
       data: {
-        trips,
+        trips: trips.map(trip => ({
+          ...trip.toObject(),
+          participants: TripMembershipService.visibleParticipants(trip, req.user.id)
+        })),
         pagination: {
           current: parseInt(page),
           pages: Math.ceil(total / limit),
@@ -176,7 +260,11 @@ router.get('/my', auth, async (req, res) => {
     let query = {
       $or: [
         { creator: req.user.id },
-        { participants: req.user.id }
+        {
+          participants: {
+            $elemMatch: { user: req.user.id, status: { $in: TripMembershipService.ACTIVE_STATUSES } }
+          }
+        }
       ]
     };
 
@@ -186,7 +274,7 @@ router.get('/my', auth, async (req, res) => {
 
     const trips = await Trip.find(query)
       .populate('creator', 'name profilePicture verificationStatus')
-      .populate('participants', 'name profilePicture')
+      .populate('participants.user', 'name profilePicture')
       .limit(limit * 1)
       .skip((page - 1) * limit)
       .sort('-createdAt');
@@ -196,7 +284,10 @@ router.get('/my', auth, async (req, res) => {
     res.json({
       success: true,
       data: {
-        trips,
+        trips: trips.map(trip => ({
+          ...trip.toObject(),
+          participants: TripMembershipService.visibleParticipants(trip, req.user.id)
+        })),
         pagination: {
           current: parseInt(page),
           pages: Math.ceil(total / limit),
@@ -220,8 +311,7 @@ router.get('/:id', auth, async (req, res) => {
   try {
     const trip = await Trip.findById(req.params.id)
       .populate('creator', 'name profilePicture verificationStatus bio')
-      .populate('participants', 'name profilePicture verificationStatus')
-      .populate('joinRequests.user', 'name profilePicture verificationStatus');
+      .populate('participants.user', 'name profilePicture verificationStatus');
 
     if (!trip) {
       return res.status(404).json({
@@ -230,10 +320,8 @@ router.get('/:id', auth, async (req, res) => {
       });
     }
 
-    // Check if user has access to private trip
-    if (trip.privacy === 'private' && 
-        trip.creator._id.toString() !== req.user.id &&
-        !trip.participants.some(p => p._id.toString() === req.user.id)) {
+    // Check if user has access to a private or friends-only trip
+    if (!(await canViewTrip(trip, req.user.id))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -242,7 +330,11 @@ router.get('/:id', auth, async (req, res) => {
 
     res.json({
       success: true,
-      data: trip
+      data: {
+        ...trip.toObject(),
+        participants: TripMembershipService.visibleParticipants(trip, req.user.id),
+        permissions: getTripPermissions(trip, req.user.id)
+      }
     });
   } catch (error) {
     logger.error('Get trip error:', error);
@@ -256,8 +348,21 @@ router.get('/:id', auth, async (req, res) => {
 // @route   PUT /api/trips/:id
 // @desc    Update trip
 // @access  Private
-router.put('/:id', auth, async (req, res) => {
+router.put('/:id', [
+  auth,
+  body('maxParticipants').optional().isInt({ min: 1, max: 20 })
+    .withMessage('Max participants must be a whole number from 1 to 20').toInt()
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
     const trip = await Trip.findById(req.params.id);
 
     if (!trip) {
@@ -267,21 +372,128 @@ router.put('/:id', auth, async (req, res) => {
       });
     }
 
-    // Only creator can update trip
-    if (trip.creator.toString() !== req.user.id) {
+    // Whole fields only: a dotted path or operator could reach into
+    // participants or the itinerary past the permission checks below
+    const invalidKeys = Object.keys(req.body).filter(key => key.includes('.') || key.startsWith('$'));
+    if (invalidKeys.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Send whole trip fields, not paths or operators',
+        fields: invalidKeys
+      });
+    }
+
+    const updates = Object.fromEntries(
+      Object.entries(req.body).filter(([field]) => UPDATABLE_FIELDS.includes(field))
+    );
+
+    // Organizers may only change what their permissions cover
+    const permissions = getTripPermissions(trip, req.user.id);
+    const deniedFields = Object.keys(updates)
+      .filter(field => !permissions.includes(UPDATE_PERMISSIONS[field] || TRIP_PERMISSIONS.EDIT_DETAILS));
+    if (permissions.length === 0 || deniedFields.length > 0) {
       return res.status(403).json({
         success: false,
-        message: 'Not authorized to update this trip'
+        message: 'Not authorized to update this trip',
+        ...(permissions.length > 0 && { fields: deniedFields })
       });
     }
 
-    const updates = req.body;
-    const updatedTrip = await Trip.findByIdAndUpdate(
-      req.params.id,
-      { $set: updates },
-      { new: true, runValidators: true }
-    ).populate('creator', 'name profilePicture verificationStatus')
-     .populate('participants', 'name profilePicture');
+    // Places held for outstanding seat offers count as taken
+    const resizing = updates.maxParticipants !== undefined;
+    if (resizing && getTakenSeats(trip) > updates.maxParticipants) {
+      return res.status(400).json({
+        success: false,
+        message: getCapacityMessage(trip)
+      });
+    }
+
+    // New dates regenerate the itinerary's days
+    if (updates.startDate !== undefined || updates.endDate !== undefined) {
+      const startDate = new Date(updates.startDate ?? trip.startDate);
+      const endDate = new Date(updates.endDate ?? trip.endDate);
+
+      if (Number.isNaN(startDate.getTime()) || Number.isNaN(endDate.getTime()) || endDate < startDate) {
+        return res.status(400).json({
+          success: false,
+          message: 'End date must be on or after start date'
+        });
+      }
+
+      const { days, dropped } = ItineraryService.buildDays(
+        startDate, endDate, updates.itinerary ?? trip.toObject().itinerary
+      );
+      if (dropped.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Day ${dropped.join(', ')} of the itinerary would fall outside the new dates; move or delete its plans first`,
+          days: dropped
+        });
+      }
+
+      updates.itinerary = days;
+      updates.duration = Math.ceil((endDate - startDate) / (1000 * 60 * 60 * 24));
+    }
+
+    // Itinerary changes, however they are addressed, must not overwrite one
+    // made in the meantime
+    const filter = { _id: trip._id };
+    const update = { $set: updates };
+    if (Object.keys(updates).some(field => field === 'itinerary' || field.startsWith('itinerary.'))) {
+      const expectedVersion = getExpectedVersion(req);
+      if (Number.isNaN(expectedVersion)) {
+        return res.status(400).json({
+          success: false,
+          message: 'If-Match must be an itinerary version'
+        });
+      }
+
+      filter.itineraryVersion = ItineraryService.versionFilter(expectedVersion ?? trip.itineraryVersion);
+      update.$inc = { itineraryVersion: 1 };
+    }
+
+    // Members who joined or accepted an offer since the check above must
+    // still fit
+    if (resizing) {
+      filter.$expr = {
+        $lte: [{ $add: ['$currentParticipants', { $ifNull: ['$reservedSeats', 0] }] }, updates.maxParticipants]
+      };
+    }
+
+    const updatedTrip = await Trip.findOneAndUpdate(filter, update, { new: true, runValidators: true })
+      .populate('creator', 'name profilePicture verificationStatus')
+      .populate('participants.user', 'name profilePicture');
+
+    if (!updatedTrip) {
+      const current = await Trip.findById(trip._id);
+
+      if (current && resizing && getTakenSeats(current) > updates.maxParticipants) {
+        return res.status(409).json({
+          success: false,
+          message: getCapacityMessage(current)
+        });
+      }
+      if (current && update.$inc) return sendItineraryConflict(res, trip._id);
+
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found'
+      });
+    }
+
+    // Completed trips count towards every member's trust score
+    if (trip.status !== 'completed' && updatedTrip.status === 'completed') {
+      await TrustScoreService.recalculateMany(TripMembershipService.getMemberIds(trip), 'trip-completed');
+    }
+
+    if (trip.status !== updatedTrip.status) {
+      await PassportService.refreshTripCounts(TripMembershipService.getMemberIds(trip));
+    }
+
+    // More places go to the waitlist first
+    if (updatedTrip.maxParticipants > trip.maxParticipants) {
+      await TripMembershipService.fillOpenSeats(trip._id);
+    }
 
     res.json({
       success: true,
@@ -311,8 +523,8 @@ router.delete('/:id', auth, async (req, res) => {
       });
     }
 
-    // Only creator can delete trip
-    if (trip.creator.toString() !== req.user.id) {
+    // Only the owner can delete trip
+    if (!isTripOwner(trip, req.user.id)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this trip'
@@ -320,6 +532,7 @@ router.delete('/:id', auth, async (req, res) => {
     }
 
     await Trip.findByIdAndDelete(req.params.id);
+    await PassportService.refreshTripCounts(TripMembershipService.getMemberIds(trip));
 
     res.json({
       success: true,
@@ -334,11 +547,95 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
+// HTTP status and message for each reason a membership change is refused
+const MEMBERSHIP_ERRORS = {
+  forbidden: [403, 'Not authorized to make this change'],
+  'invalid-transition': [400, 'This membership change is not allowed'],
+  blocked: [403, 'This traveler cannot join the trip'],
+  closed: [400, 'This trip does not take join requests'],
+  full: [409, 'This trip is full'],
+  'offer-expired': [409, 'This seat offer has expired'],
+  conflict: [409, 'The membership changed in the meantime, please try again'],
+  'invalid-order': [400, 'The order must list everyone on the waitlist exactly once'],
+  'invalid-role': [400, 'This role cannot be given'],
+  'not-member': [400, 'The traveler must be an accepted participant of the trip'],
+  'invalid-invite': [400, 'This invite link is invalid or no longer works'],
+  'invite-not-found': [404, 'Invite not found'],
+  'user-not-found': [404, 'User not found']
+};
+
+// The trip's participants as the viewer may see them, and its capacity
+const formatParticipants = (trip, viewerId) => ({
+  participants: TripMembershipService.visibleParticipants(trip, viewerId),
+  currentParticipants: trip.currentParticipants,
+  reservedSeats: trip.reservedSeats,
+  maxParticipants: trip.maxParticipants
+});
+
+// Invite results are either the invite(s) or a reason from MEMBERSHIP_ERRORS
+const sendInviteResult = (res, result, successMessage, status = 200) => {
+  if (!result) {
+    return res.status(404).json({
+      success: false,
+      message: 'Trip not found'
+    });
+  }
+
+  if (typeof result === 'string') {
+    const [errorStatus, message] = MEMBERSHIP_ERRORS[result];
+    return res.status(errorStatus).json({
+      success: false,
+      message
+    });
+  }
+
+  res.status(status).json({
+    success: true,
+    data: result,
+    ...(successMessage && { message: successMessage })
+  });
+};
+
+const sendMembershipResult = (req, res, result, successMessage) => {
+  if (!result) {
+    return res.status(404).json({
+      success: false,
+      message: 'Trip not found'
+    });
+  }
+
+  if (typeof result === 'string') {
+    const [status, message] = MEMBERSHIP_ERRORS[result];
+    return res.status(status).json({
+      success: false,
+      message
+    });
+  }
+
+  res.json({
+    success: true,
+    data: formatParticipants(result, req.user.id),
+    message: typeof successMessage === 'function' ? successMessage(result) : successMessage
+  });
+};
+
 // @route   POST /api/trips/:id/join
 // @desc    Request to join a trip
 // @access  Private
-router.post('/:id/join', auth, async (req, res) => {
+router.post('/:id/join', [
+  auth,
+  body('message').optional().isString().trim().isLength({ max: 500 })
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
     const trip = await Trip.findById(req.params.id);
 
     if (!trip) {
@@ -348,47 +645,226 @@ router.post('/:id/join', auth, async (req, res) => {
       });
     }
 
-    if (!trip.openToPartners) {
+    if (!(await canViewTrip(trip, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const result = await TripMembershipService.changeStatus(trip._id, req.user.id, 'requested', req.user.id, {
+      message: req.body.message
+    });
+
+    sendMembershipResult(req, res, result, updated => (
+      updated.getParticipant(req.user.id).status === 'waitlisted'
+        ? 'The trip is full, you are on the waitlist'
+        : 'Join request sent successfully'
+    ));
+  } catch (error) {
+    logger.error('Join trip error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/trips/:id/participants
+// @desc    Trip participants with their membership history
+// @access  Private
+router.get('/:id/participants', auth, async (req, res) => {
+  try {
+    const trip = await Trip.findById(req.params.id)
+      .populate('participants.user', 'name profilePicture verificationStatus')
+      .populate('participants.history.changedBy', 'name');
+
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found'
+      });
+    }
+
+    if (!(await canViewTrip(trip, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatParticipants(trip, req.user.id)
+    });
+  } catch (error) {
+    logger.error('Get trip participants error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/trips/:id/participants/:userId
+// @desc    Change a participant's membership status
+// @access  Private
+router.put('/:id/participants/:userId', [
+  auth,
+  param('userId').isMongoId(),
+  body('status').isIn(Trip.MEMBERSHIP_STATUSES)
+    .withMessage(`Status must be one of: ${Trip.MEMBERSHIP_STATUSES.join(', ')}`),
+  body('message').optional().isString().trim().isLength({ max: 500 }),
+  body('reason').optional().isString().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'This trip is not open to partners'
+        message: 'Validation errors',
+        errors: errors.array()
       });
     }
 
-    // Check if user is already a participant
-    if (trip.participants.includes(req.user.id)) {
+    const { status, message, reason } = req.body;
+
+    // Asking to join or joining the waitlist needs the same access as
+    // viewing the trip
+    if (TripMembershipService.JOINING_STATUSES.includes(status)) {
+      const trip = await Trip.findById(req.params.id);
+      if (trip && !(await canViewTrip(trip, req.user.id))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+    }
+
+    const result = await TripMembershipService.changeStatus(
+      req.params.id, req.params.userId, status, req.user.id, { message, reason }
+    );
+
+    sendMembershipResult(req, res, result, `Participant ${status}`);
+  } catch (error) {
+    logger.error('Update participant error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/trips/:id/participants/:userId/role
+// @desc    Promote a participant to co-organizer, or demote them
+// @access  Private (trip:manage-roles)
+router.put('/:id/participants/:userId/role', [
+  auth,
+  param('userId').isMongoId(),
+  body('role').isIn(TripMembershipService.ASSIGNABLE_ROLES)
+    .withMessage(`Role must be one of: ${TripMembershipService.ASSIGNABLE_ROLES.join(', ')}`),
+  body('permissions').optional().isArray(),
+  body('permissions.*').isIn(CO_ORGANIZER_PERMISSIONS)
+    .withMessage(`Permissions must be among: ${CO_ORGANIZER_PERMISSIONS.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'You are already a participant'
+        message: 'Validation errors',
+        errors: errors.array()
       });
     }
 
-    // Check if user already has a pending request
-    const existingRequest = trip.joinRequests.find(
-      request => request.user.toString() === req.user.id
+    const { role, permissions } = req.body;
+    const result = await TripMembershipService.changeRole(
+      req.params.id, req.params.userId, role, permissions, req.user.id
     );
 
-    if (existingRequest) {
+    sendMembershipResult(
+      req, res, result, role === 'co-organizer' ? 'Participant promoted to co-organizer' : 'Participant role updated'
+    );
+  } catch (error) {
+    logger.error('Change participant role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/trips/:id/transfer-ownership
+// @desc    Hand the trip to an accepted participant; the owner stays on as co-organizer
+// @access  Private (trip:manage-roles)
+router.post('/:id/transfer-ownership', [
+  auth,
+  body('userId').isMongoId().withMessage('The new owner is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'You already have a pending request'
+        message: 'Validation errors',
+        errors: errors.array()
       });
     }
 
-    trip.joinRequests.push({
-      user: req.user.id,
-      message: req.body.message || '',
-      status: 'pending'
+    const result = await TripMembershipService.transferOwnership(req.params.id, req.body.userId, req.user.id);
+
+    sendMembershipResult(req, res, result, 'Ownership transferred');
+  } catch (error) {
+    logger.error('Transfer trip ownership error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
     });
+  }
+});
 
-    await trip.save();
+// @route   GET /api/trips/:id/waitlist
+// @desc    The waitlist in offer order, with outstanding offers first
+// @access  Private
+router.get('/:id/waitlist', [auth, param('id').isMongoId()], async (req, res) => {
+  try {
+    let trip = validationResult(req).isEmpty() ? await Trip.findById(req.params.id) : null;
+
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found'
+      });
+    }
+
+    if (!(await canViewTrip(trip, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    // Offers that ran out move down the list before an organizer looks at it
+    if (hasTripPermission(trip, req.user.id, TRIP_PERMISSIONS.MANAGE_REQUESTS)) {
+      await TripMembershipService.expireOffers(trip._id);
+    }
+
+    trip = await Trip.findById(trip._id)
+      .populate('participants.user', 'name profilePicture isVerified');
+
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found'
+      });
+    }
 
     res.json({
       success: true,
-      message: 'Join request sent successfully'
+      data: TripMembershipService.describeWaitlist(trip, req.user.id)
     });
   } catch (error) {
-    logger.error('Join trip error:', error);
+    logger.error('Get waitlist error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -396,59 +872,476 @@ router.post('/:id/join', auth, async (req, res) => {
   }
 });
 
-// @route   PUT /api/trips/:id/join-requests/:requestId
-// @desc    Accept or reject join request
+// @route   PUT /api/trips/:id/waitlist
+// @desc    Reorder the waitlist
 // @access  Private
-router.put('/:id/join-requests/:requestId', auth, async (req, res) => {
+router.put('/:id/waitlist', [
+  auth,
+  body('order').isArray().withMessage('Order must list the waiting travelers'),
+  body('order.*').isMongoId()
+], async (req, res) => {
   try {
-    const { action } = req.body; // 'accept' or 'reject'
-    
-    const trip = await Trip.findById(req.params.id);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
 
-    if (!trip) {
+    const result = await TripMembershipService.reorderWaitlist(req.params.id, req.body.order, req.user.id);
+
+    if (!result) {
       return res.status(404).json({
         success: false,
         message: 'Trip not found'
       });
     }
 
-    // Only creator can manage join requests
-    if (trip.creator.toString() !== req.user.id) {
-      return res.status(403).json({
+    if (typeof result === 'string') {
+      const [status, message] = MEMBERSHIP_ERRORS[result];
+      return res.status(status).json({
         success: false,
-        message: 'Not authorized'
+        message
       });
     }
 
-    const requestIndex = trip.joinRequests.findIndex(
-      request => request._id.toString() === req.params.requestId
-    );
+    res.json({
+      success: true,
+      data: TripMembershipService.describeWaitlist(result, req.user.id),
+      message: 'Waitlist reordered'
+    });
+  } catch (error) {
+    logger.error('Reorder waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/trips/:id/invites
+// @desc    Invite links and direct invitations with usage stats
+// @access  Private (trip:manage-requests)
+router.get('/:id/invites', auth, async (req, res) => {
+  try {
+    const result = await TripInviteService.getInvites(req.params.id, req.user.id);
 
-    if (requestIndex === -1) {
+    sendInviteResult(res, result);
+  } catch (error) {
+    logger.error('Get trip invites error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/trips/:id/invite-links
+// @desc    Create a shareable invite link
+// @access  Private (trip:manage-requests)
+router.post('/:id/invite-links', [
+  auth,
+  body('expiresAt').optional().isISO8601().withMessage('Expiry must be a date')
+    .custom(value => new Date(value) > new Date()).withMessage('Expiry must be in the future'),
+  body('maxUses').optional().isInt({ min: 1, max: 1000 }).withMessage('Max uses must be between 1 and 1000')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { expiresAt, maxUses } = req.body;
+    const result = await TripInviteService.createLink(req.params.id, req.user.id, {
+      expiresAt: expiresAt ? new Date(expiresAt) : undefined,
+      maxUses: maxUses !== undefined ? Number(maxUses) : undefined
+    });
+
+    sendInviteResult(res, result, 'Invite link created', 201);
+  } catch (error) {
+    logger.error('Create invite link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/trips/:id/invites
+// @desc    Invite a traveler by user ID or email
+// @access  Private (trip:manage-requests)
+router.post('/:id/invites', [
+  auth,
+  body('userId').optional().isMongoId(),
+  body('email').optional().isEmail().normalizeEmail(),
+  body().custom(value => Boolean(value.userId) !== Boolean(value.email))
+    .withMessage('Either userId or email is required'),
+  body('message').optional().isString().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { userId, email, message } = req.body;
+    const result = await TripInviteService.inviteUser(req.params.id, req.user.id, { userId, email, message });
+
+    sendInviteResult(res, result, 'Invitation sent', 201);
+  } catch (error) {
+    logger.error('Invite traveler error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/trips/:id/invites/:inviteId
+// @desc    Revoke an invite link or withdraw a direct invitation
+// @access  Private (trip:manage-requests)
+router.delete('/:id/invites/:inviteId', [
+  auth,
+  param('inviteId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const result = await TripInviteService.revoke(req.params.id, req.params.inviteId, req.user.id);
+
+    sendInviteResult(res, result, 'Invite revoked');
+  } catch (error) {
+    logger.error('Revoke invite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/trips/invite-links/:token
+// @desc    Preview the trip an invite link is for
+// @access  Private
+router.get('/invite-links/:token', auth, async (req, res) => {
+  try {
+    const preview = await TripInviteService.previewLink(req.params.token, req.user.id);
+
+    if (!preview) {
       return res.status(404).json({
         success: false,
-        message: 'Join request not found'
+        message: 'Invite not found'
       });
     }
 
-    const joinRequest = trip.joinRequests[requestIndex];
+    res.json({
+      success: true,
+      data: preview
+    });
+  } catch (error) {
+    logger.error('Preview invite link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/trips/invite-links/:token/accept
+// @desc    Join a trip with an invite link
+// @access  Private
+router.post('/invite-links/:token/accept', auth, async (req, res) => {
+  try {
+    const result = await TripInviteService.redeemLink(req.params.token, req.user.id);
+
+    sendMembershipResult(req, res, result, 'You joined the trip');
+  } catch (error) {
+    logger.error('Accept invite link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Fields of an itinerary activity clients can set
+const ACTIVITY_FIELDS = ['activity', 'time', 'endTime', 'location', 'estimatedCost', 'notes'];
+
+const pickActivityFields = (body) => Object.fromEntries(
+  ACTIVITY_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// Validation for activity fields; `activity` is only required when adding
+const activityValidators = (isNew) => [
+  isNew
+    ? body('activity').isString().trim().notEmpty().isLength({ max: 200 }).withMessage('Activity is required')
+    : body('activity').optional().isString().trim().notEmpty().isLength({ max: 200 }),
+  body('time').optional({ values: 'null' }).matches(ItineraryService.TIME_PATTERN)
+    .withMessage('Time must be HH:mm'),
+  body('endTime').optional({ values: 'null' }).matches(ItineraryService.TIME_PATTERN)
+    .withMessage('End time must be HH:mm'),
+  body('location').optional({ values: 'null' }).isObject(),
+  body('location.name').optional().isString().trim().isLength({ max: 200 }),
+  body('location.address').optional().isString().trim().isLength({ max: 300 }),
+  body('location.coordinates').optional().isArray({ min: 2, max: 2 })
+    .withMessage('Coordinates must be [longitude, latitude]'),
+  body('location.coordinates.*').optional().isFloat(),
+  body('estimatedCost').optional({ values: 'null' }).isFloat({ min: 0 }),
+  body('notes').optional({ values: 'null' }).isString().trim().isLength({ max: 1000 }),
+  body('position').optional().isInt({ min: 0 })
+];
+
+const ITINERARY_ERRORS = {
+  forbidden: [403, 'Not authorized to edit the itinerary'],
+  'day-not-found': [404, 'The trip has no such day'],
+  'activity-not-found': [404, 'Activity not found'],
+  'invalid-times': [400, 'An activity needs a start time before its end time'],
+  overlap: [409, 'The activity overlaps another activity on that day']
+};
+
+// Itinerary edits need the version they were based on in If-Match
+const requireItineraryVersion = (req, res) => {
+  const version = getExpectedVersion(req);
+
+  if (version === undefined) {
+    res.status(428).json({
+      success: false,
+      message: 'Send the itinerary version in the If-Match header'
+    });
+    return null;
+  }
+
+  if (Number.isNaN(version)) {
+    res.status(400).json({
+      success: false,
+      message: 'If-Match must be an itinerary version'
+    });
+    return null;
+  }
+
+  return version;
+};
+
+const sendItineraryResult = async (req, res, result, successMessage, status = 200) => {
+  if (!result) {
+    return res.status(404).json({
+      success: false,
+      message: 'Trip not found'
+    });
+  }
+
+  if (result === 'version-conflict') {
+    return sendItineraryConflict(res, req.params.id);
+  }
+
+  if (typeof result === 'string') {
+    const [errorStatus, message] = ITINERARY_ERRORS[result];
+    return res.status(errorStatus).json({
+      success: false,
+      message
+    });
+  }
+
+  res.set('ETag', `"${result.itineraryVersion}"`);
+  res.status(status).json({
+    success: true,
+    data: {
+      version: result.itineraryVersion,
+      itinerary: result.itinerary
+    },
+    message: successMessage
+  });
+};
 
-    if (action === 'accept') {
-      // Add user to participants
-      trip.participants.push(joinRequest.user);
-      joinRequest.status = 'accepted';
-    } else if (action === 'reject') {
-      joinRequest.status = 'rejected';
+// @route   GET /api/trips/:id/itinerary
+// @desc    The itinerary, a day per day of the trip, with its version
+// @access  Private
+router.get('/:id/itinerary', auth, async (req, res) => {
+  try {
+    const trip = await Trip.findById(req.params.id);
+
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found'
+      });
     }
 
-    await trip.save();
+    if (!(await canViewTrip(trip, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
 
+    res.set('ETag', `"${trip.itineraryVersion}"`);
     res.json({
       success: true,
-      message: `Join request ${action}ed successfully`
+      data: {
+        version: trip.itineraryVersion,
+        itinerary: ItineraryService.getDays(trip)
+      }
     });
   } catch (error) {
-    logger.error('Manage join request error:', error);
+    logger.error('Get itinerary error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/trips/:id/itinerary/days/:day/activities
+// @desc    Add an activity to a day
+// @access  Private (trip:edit-itinerary)
+router.post('/:id/itinerary/days/:day/activities', [
+  auth,
+  param('day').isInt({ min: 1 }),
+  ...activityValidators(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const version = requireItineraryVersion(req, res);
+    if (version === null) return;
+
+    const result = await ItineraryService.addActivity(req.params.id, req.user.id, version, {
+      day: Number(req.params.day),
+      position: req.body.position !== undefined ? Number(req.body.position) : undefined,
+      activity: pickActivityFields(req.body)
+    });
+
+    await sendItineraryResult(req, res, result, 'Activity added', 201);
+  } catch (error) {
+    logger.error('Add itinerary activity error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/trips/:id/itinerary/activities/:activityId
+// @desc    Update an activity
+// @access  Private (trip:edit-itinerary)
+router.put('/:id/itinerary/activities/:activityId', [
+  auth,
+  param('activityId').isMongoId(),
+  ...activityValidators(false)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const version = requireItineraryVersion(req, res);
+    if (version === null) return;
+
+    const result = await ItineraryService.updateActivity(
+      req.params.id, req.user.id, version, req.params.activityId, pickActivityFields(req.body)
+    );
+
+    await sendItineraryResult(req, res, result, 'Activity updated');
+  } catch (error) {
+    logger.error('Update itinerary activity error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/trips/:id/itinerary/activities/:activityId/move
+// @desc    Move an activity within its day or to another day
+// @access  Private (trip:edit-itinerary)
+router.put('/:id/itinerary/activities/:activityId/move', [
+  auth,
+  param('activityId').isMongoId(),
+  body('day').optional().isInt({ min: 1 }),
+  body('position').optional().isInt({ min: 0 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const version = requireItineraryVersion(req, res);
+    if (version === null) return;
+
+    const { day, position } = req.body;
+    const result = await ItineraryService.moveActivity(req.params.id, req.user.id, version, req.params.activityId, {
+      day: day !== undefined ? Number(day) : undefined,
+      position: position !== undefined ? Number(position) : undefined
+    });
+
+    await sendItineraryResult(req, res, result, 'Activity moved');
+  } catch (error) {
+    logger.error('Move itinerary activity error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/trips/:id/itinerary/activities/:activityId
+// @desc    Delete an activity
+// @access  Private (trip:edit-itinerary)
+router.delete('/:id/itinerary/activities/:activityId', [
+  auth,
+  param('activityId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const version = requireItineraryVersion(req, res);
+    if (version === null) return;
+
+    const result = await ItineraryService.deleteActivity(req.params.id, req.user.id, version, req.params.activityId);
+
+    await sendItineraryResult(req, res, result, 'Activity deleted');
+  } catch (error) {
+    logger.error('Delete itinerary activity error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -1,12 +1,43 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const User = require('../models/User');
-const auth = require('../middleware/auth');
-const upload = require('../middleware/upload');
+const DataExport = require('../models/DataExport');
+const { auth } = require('../middleware/auth');
+const { upload } = require('../middleware/upload');
+const { bruteForceProtection } = require('../middleware/bruteForce');
+const DataExportService = require('../services/dataExportService');
+const AccountDeletionService = require('../services/accountDeletionService');
+const ContactVerificationService = require('../services/contactVerificationService');
+const IdentityVerificationService = require('../services/identityVerificationService');
+const BlockService = require('../services/blockService');
+const DiscoveryService = require('../services/discoveryService');
+const FollowService = require('../services/followService');
+const TrustScoreService = require('../services/trustScoreService');
+const ProfileService = require('../services/profileService');
+const OnboardingService = require('../services/onboardingService');
+const { normalizePhone } = require('../utils/phone');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+// Profile fields users may edit directly. Email, phone and anything
+// security- or trust-related go through their own flows.
+const EDITABLE_PROFILE_FIELDS = [
+  'name', 'age', 'gender', 'nationality', 'bio', 'languages', 'socialLinks', 'travelInterests',
+  'travelStyle', 'budgetRange', 'privacy', 'notificationSettings', 'aiPreferences'
+];
+
+// Expand a nested settings object into dotted paths, so updating one
+// setting leaves the others as they are
+const toDottedPaths = (prefix, value, paths = {}) => {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    Object.entries(value).forEach(([key, nested]) => toDottedPaths(`${prefix}.${key}`, nested, paths));
+  } else {
+    paths[prefix] = value;
+  }
+  return paths;
+};
+
 // @route   GET /api/users/profile
 // @desc    Get current user profile
 // @access  Private
@@ -33,7 +64,10 @@ router.put('/profile', [
   auth,
   body('name').optional().trim().isLength({ min: 2 }),
   body('age').optional().isInt({ min: 18, max: 100 }),
-  body('bio').optional().isLength({ max: 500 })
+  body('bio').optional().isLength({ max: 500 }),
+  body('socialLinks.*').optional().isString().isLength({ max: 200 }),
+  body('privacy.fieldVisibility.*').optional().isIn(User.PROFILE_VISIBILITY)
+    .withMessage(`Visibility must be one of: ${User.PROFILE_VISIBILITY.join(', ')}`)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -45,13 +79,32 @@ router.put('/profile', [
       });
     }
 
-    const updates = req.body;
+    const updates = {};
+    EDITABLE_PROFILE_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .forEach(field => {
+        if (field === 'privacy') {
+          toDottedPaths('privacy', req.body.privacy, updates);
+        } else {
+          updates[field] = req.body[field];
+        }
+      });
+
     const user = await User.findByIdAndUpdate(
       req.user.id,
       { $set: updates },
       { new: true, runValidators: true }
     ).select('-password');
 
+    // Going public lets everyone waiting in
+    if (updates['privacy.privateAccount'] !== undefined && !user.privacy.privateAccount) {
+      await FollowService.acceptPendingRequests(user._id);
+    }
+
+    // Editing the profile answers the matching onboarding steps
+    const changedPaths = Object.keys(updates).flatMap(path => Object.keys(toDottedPaths(path, updates[path])));
+    await OnboardingService.recordProfileUpdate(user._id, changedPaths);
+
     res.json({
       success: true,
       data: user,
@@ -109,37 +162,51 @@ router.post('/verify-identity', [
   ])
 ], async (req, res) => {
   try {
-    const { verificationType } = req.body;
+    const { verificationType = 'government-id', mrz, documentExpiry } = req.body;
     
-    if (!req.files.idDocument) {
+    if (!req.files || !req.files.idDocument) {
       return res.status(400).json({
         success: false,
         message: 'ID document is required'
       });
     }
 
-    const verificationData = {
+    if (!IdentityVerificationService.DOCUMENT_TYPES.includes(verificationType)) {
+      return res.status(400).json({
+        success: false,
+        message: `Verification type must be one of: ${IdentityVerificationService.DOCUMENT_TYPES.join(', ')}`
+      });
+    }
+
+    if (documentExpiry && isNaN(new Date(documentExpiry).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Document expiry must be a date'
+      });
+    }
+
+    const user = await IdentityVerificationService.submit(req.user.id, {
       type: verificationType,
-      documents: {
-        idDocument: req.files.idDocument[0].path,
-        selfie: req.files.selfie ? req.files.selfie[0].path : null
-      },
-      status: 'pending',
-      submittedAt: new Date()
-    };
+      idDocument: req.files.idDocument[0].path,
+      selfie: req.files.selfie ? req.files.selfie[0].path : null,
+      mrz,
+      documentExpiry
+    });
 
-    const user = await User.findByIdAndUpdate(
-      req.user.id,
-      { 
-        verification: verificationData,
-        verificationStatus: 'pending'
-      },
-      { new: true }
-    ).select('-password');
+    if (!user) {
+      return res.status(409).json({
+        success: false,
+        message: 'Your identity is already verified'
+      });
+    }
 
     res.json({
       success: true,
-      data: user,
+      data: {
+        status: user.verification.identity.status,
+        type: user.verification.identity.type,
+        submittedAt: user.verification.identity.submittedAt
+      },
       message: 'Identity verification submitted successfully'
     });
   } catch (error) {
@@ -151,52 +218,28 @@ router.post('/verify-identity', [
   }
 });
 
-// @route   GET /api/users/search
-// @desc    Search users by name or interests
+// @route   GET /api/users/verify-identity
+// @desc    Get the status of the user's identity verification
 // @access  Private
-router.get('/search', auth, async (req, res) => {
+router.get('/verify-identity', auth, async (req, res) => {
   try {
-    const { q, interests, location, page = 1, limit = 10 } = req.query;
-    
-    let query = { _id: { $ne: req.user.id } };
-    
-    if (q) {
-      query.$or = [
-        { name: { $regex: q, $options: 'i' } },
-        { bio: { $regex: q, $options: 'i' } }
-      ];
-    }
-    
-    if (interests) {
-      const interestArray = interests.split(',');
-      query.travelInterests = { $in: interestArray };
-    }
-    
-    if (location) {
-      query.nationality = { $regex: location, $options: 'i' };
-    }
-
-    const users = await User.find(query)
-      .select('-password -email')
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .sort({ createdAt: -1 });
-
-    const total = await User.countDocuments(query);
+    const user = await User.findById(req.user.id).select('isVerified verificationMethod verification.identity');
+    const identity = user.verification?.identity;
 
     res.json({
       success: true,
       data: {
-        users,
-        pagination: {
-          current: page,
-          pages: Math.ceil(total / limit),
-          total
-        }
+        isVerified: user.isVerified,
+        verificationMethod: user.verificationMethod,
+        status: identity?.status || null,
+        type: identity?.type,
+        submittedAt: identity?.submittedAt,
+        reviewedAt: identity?.reviewedAt,
+        rejectionReason: identity?.status === 'rejected' ? identity.rejectionReason : undefined
       }
     });
   } catch (error) {
-    logger.error('Search users error:', error);
+    logger.error('Get identity verification error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -204,53 +247,226 @@ router.get('/search', auth, async (req, res) => {
   }
 });
 
-// @route   POST /api/users/:id/follow
-// @desc    Follow a user
+// @route   GET /api/users/me/trust
+// @desc    Explain the user's trust score factor by factor
 // @access  Private
-router.post('/:id/follow', auth, async (req, res) => {
+router.get('/me/trust', auth, async (req, res) => {
   try {
-    const targetUserId = req.params.id;
-    
-    if (targetUserId === req.user.id) {
+    const trust = await TrustScoreService.explain(req.user.id);
+
+    res.json({
+      success: true,
+      data: trust
+    });
+  } catch (error) {
+    logger.error('Get trust score error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/users/me/onboarding
+// @desc    Onboarding steps answered so far, the next step and profile completeness
+// @access  Private
+router.get('/me/onboarding', auth, async (req, res) => {
+  try {
+    const status = await OnboardingService.getStatusForUser(req.user.id);
+
+    if (!status) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    logger.error('Get onboarding error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/users/me/onboarding/:step
+// @desc    Save the answers to one onboarding step
+// @access  Private
+router.put('/me/onboarding/:step', [
+  auth,
+  param('step').isIn(OnboardingService.STEP_NAMES)
+    .withMessage(`Step must be one of: ${OnboardingService.STEP_NAMES.join(', ')}`),
+  body('travelInterests').optional().isArray({ min: 1 }).withMessage('Pick at least one interest'),
+  body('travelInterests.*').isIn(User.TRAVEL_INTERESTS),
+  body('travelStyle').optional().isIn(User.TRAVEL_STYLES),
+  body('aiPreferences.personalityType').optional().isString().trim().isLength({ max: 50 }),
+  body('aiPreferences.riskTolerance').optional().isIn(User.RISK_TOLERANCE),
+  body('aiPreferences.preferredActivities').optional().isArray({ max: 20 }),
+  body('aiPreferences.preferredActivities.*').isString().trim().isLength({ min: 1, max: 50 }),
+  body('aiPreferences.avoidedActivities').optional().isArray({ max: 20 }),
+  body('aiPreferences.avoidedActivities.*').isString().trim().isLength({ min: 1, max: 50 }),
+  body('nationality').optional().isString().trim().isLength({ max: 60 }),
+  body('languages').optional().isArray({ max: 20 }),
+  body('languages.*').isString().trim().isLength({ min: 1, max: 40 }),
+  body('budgetRange.min').optional().isInt({ min: 0 }).toInt(),
+  body('budgetRange.max').optional().isInt({ min: 0 }).toInt()
+    .custom((max, { req }) => req.body.budgetRange.min === undefined || max >= req.body.budgetRange.min)
+    .withMessage('Maximum budget must not be below the minimum'),
+  body('bio').optional().isString().isLength({ max: 500 }),
+  body('age').optional().isInt({ min: 18, max: 100 }).toInt(),
+  body('gender').optional().isIn(User.GENDERS)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'Cannot follow yourself'
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const status = await OnboardingService.saveStep(req.user.id, req.params.step, req.body);
+
+    if (status === 'empty') {
+      return res.status(400).json({
+        success: false,
+        message: 'No answers for this step'
       });
     }
 
-    const targetUser = await User.findById(targetUserId);
-    if (!targetUser) {
+    if (!status) {
       return res.status(404).json({
         success: false,
         message: 'User not found'
       });
     }
 
-    const currentUser = await User.findById(req.user.id);
-    
-    if (currentUser.following.includes(targetUserId)) {
-      return res.status(400).json({
+    res.json({
+      success: true,
+      data: status,
+      message: 'Answers saved'
+    });
+  } catch (error) {
+    logger.error('Save onboarding step error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/users/me/onboarding/complete
+// @desc    Finish onboarding, skipping any unanswered steps
+// @access  Private
+router.post('/me/onboarding/complete', auth, async (req, res) => {
+  try {
+    const status = await OnboardingService.complete(req.user.id);
+
+    if (!status) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: status,
+      message: 'Onboarding completed'
+    });
+  } catch (error) {
+    logger.error('Complete onboarding error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/users/me/completeness
+// @desc    Profile completeness percentage and the fields still missing
+// @access  Private
+router.get('/me/completeness', auth, async (req, res) => {
+  try {
+    const status = await OnboardingService.getStatusForUser(req.user.id);
+
+    if (!status) {
+      return res.status(404).json({
         success: false,
-        message: 'Already following this user'
+        message: 'User not found'
       });
     }
 
-    // Add to following list
-    await User.findByIdAndUpdate(req.user.id, {
-      $push: { following: targetUserId }
+    res.json({
+      success: true,
+      data: status.completeness
+    });
+  } catch (error) {
+    logger.error('Get profile completeness error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
     });
+  }
+});
+
+// Shape an export record for the client
+const formatExport = (dataExport) => ({
+  id: dataExport._id,
+  status: dataExport.status,
+  fileSize: dataExport.fileSize,
+  requestedAt: dataExport.createdAt,
+  completedAt: dataExport.completedAt,
+  expiresAt: dataExport.expiresAt
+});
+
+// @route   POST /api/users/me/export
+// @desc    Request a zip archive of all the user's data
+// @access  Private
+router.post('/me/export', auth, async (req, res) => {
+  try {
+    const dataExport = await DataExportService.requestExport(req.user.id);
 
-    // Add to followers list
-    await User.findByIdAndUpdate(targetUserId, {
-      $push: { followers: req.user.id }
+    res.status(202).json({
+      success: true,
+      data: formatExport(dataExport),
+      message: 'Your data export is being prepared. We will email you when it is ready.'
+    });
+  } catch (error) {
+    logger.error('Request data export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
     });
+  }
+});
+
+// @route   GET /api/users/me/export/:exportId
+// @desc    Get the status of a data export
+// @access  Private
+router.get('/me/export/:exportId', auth, async (req, res) => {
+  try {
+    const dataExport = await DataExport.findOne({ _id: req.params.exportId, user: req.user.id });
+
+    if (!dataExport) {
+      return res.status(404).json({
+        success: false,
+        message: 'Export not found'
+      });
+    }
 
     res.json({
       success: true,
-      message: 'User followed successfully'
+      data: formatExport(dataExport)
     });
   } catch (error) {
-    logger.error('Follow user error:', error);
+    logger.error('Get data export error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -258,29 +474,1082 @@ router.post('/:id/follow', auth, async (req, res) => {
   }
 });
 
-// @route   DELETE /api/users/:id/follow
-// @desc    Unfollow a user
+// @route   GET /api/users/me/export/:exportId/download
+// @desc    Download a finished data export
 // @access  Private
-router.delete('/:id/follow', auth, async (req, res) => {
+router.get('/me/export/:exportId/download', auth, async (req, res) => {
   try {
-    const targetUserId = req.params.id;
+    const dataExport = await DataExport.findOne({ _id: req.params.exportId, user: req.user.id });
+
+    if (!dataExport || dataExport.status !== 'ready' || dataExport.expiresAt <= new Date()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Export not found or not ready'
+      });
+    }
 
-    // Remove from following list
-    await User.findByIdAndUpdate(req.user.id, {
-      $pull: { following: targetUserId }
+    res.download(dataExport.filePath, 'travio-data-export.zip');
+  } catch (error) {
+    logger.error('Download data export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
     });
+  }
+});
+
+// @route   DELETE /api/users/me
+// @desc    Schedule deletion of the user's account after a grace period
+// @access  Private
+router.delete('/me', auth, async (req, res) => {
+  try {
+    const { password, confirmation } = req.body;
+
+    const user = await User.findById(req.user.id);
+
+    // Password accounts confirm with the password, social-only accounts by
+    // typing DELETE
+    const confirmed = user.password
+      ? password && await user.comparePassword(password)
+      : confirmation === 'DELETE';
+
+    if (!confirmed) {
+      return res.status(401).json({
+        success: false,
+        message: user.password
+          ? 'Password is incorrect'
+          : 'Send confirmation "DELETE" to delete your account'
+      });
+    }
 
-    // Remove from followers list
-    await User.findByIdAndUpdate(targetUserId, {
-      $pull: { followers: req.user.id }
+    const scheduledFor = await AccountDeletionService.scheduleDeletion(user, { ipAddress: req.ip });
+
+    res.json({
+      success: true,
+      data: { scheduledFor },
+      message: 'Your account will be deleted on the scheduled date. To keep it, log in and cancel with POST /api/users/me/deletion/cancel before then.'
+    });
+  } catch (error) {
+    logger.error('Delete account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
     });
+  }
+});
+
+// @route   POST /api/users/me/deletion/cancel
+// @desc    Cancel a scheduled account deletion
+// @access  Private
+router.post('/me/deletion/cancel', auth, async (req, res) => {
+  try {
+    const cancelled = await AccountDeletionService.cancelDeletion(req.userDoc, { ipAddress: req.ip });
+
+    if (!cancelled) {
+      return res.status(400).json({
+        success: false,
+        message: 'No account deletion is scheduled'
+      });
+    }
 
     res.json({
       success: true,
-      message: 'User unfollowed successfully'
+      message: 'Account deletion cancelled'
     });
   } catch (error) {
-    logger.error('Unfollow user error:', error);
+    logger.error('Cancel account deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/users/me/email
+// @desc    Start an email change, confirmed from both the old and new address
+// @access  Private
+router.post('/me/email', [
+  auth,
+  bruteForceProtection('email-change', req => req.user.id),
+  body('newEmail').trim().isEmail().toLowerCase()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { newEmail, password } = req.body;
+    const user = await User.findById(req.user.id);
+
+    if (user.password && !(password && await user.comparePassword(password))) {
+      await req.bruteForce.fail();
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    await req.bruteForce.succeed();
+
+    if (newEmail === user.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'This is already your email address'
+      });
+    }
+
+    if (await User.exists({ email: newEmail })) {
+      return res.status(409).json({
+        success: false,
+        message: 'This email address is already in use'
+      });
+    }
+
+    await ContactVerificationService.startEmailChange(user, newEmail, { ipAddress: req.ip });
+
+    res.json({
+      success: true,
+      message: 'Check both your current and new inbox to confirm the change'
+    });
+  } catch (error) {
+    logger.error('Start email change error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/users/me/email/confirm
+// @desc    Confirm an email change from either address
+// @access  Public
+router.post('/me/email/confirm', bruteForceProtection('email-change-confirm'), async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    const status = token && await ContactVerificationService.confirmEmailChange(token);
+
+    if (!status) {
+      await req.bruteForce.fail();
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired confirmation link'
+      });
+    }
+
+    if (status === 'conflict') {
+      return res.status(409).json({
+        success: false,
+        message: 'The new email address is already in use; the change was cancelled'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { status },
+      message: status === 'completed'
+        ? 'Your email address has been changed'
+        : 'Confirmed. The change completes once the other address is confirmed too.'
+    });
+  } catch (error) {
+    logger.error('Confirm email change error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/users/me/email/deny
+// @desc    Cancel an email change you did not ask for and sign out everywhere
+// @access  Public
+router.post('/me/email/deny', bruteForceProtection('email-change-confirm'), async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    const denied = token && await ContactVerificationService.denyEmailChange(token, { ipAddress: req.ip });
+
+    if (!denied) {
+      await req.bruteForce.fail();
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired link'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'The email change was cancelled and all sessions were signed out. Please change your password.'
+    });
+  } catch (error) {
+    logger.error('Deny email change error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/users/me/phone
+// @desc    Send a verification code to a phone number
+// @access  Private
+router.post('/me/phone', [
+  auth,
+  bruteForceProtection('phone-verify-send', req => req.user.id),
+  body('phone').isMobilePhone('any').withMessage('Valid phone number is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    // Every code sent counts as an attempt, to stop SMS flooding
+    await req.bruteForce.fail();
+
+    const phone = normalizePhone(req.body.phone);
+
+    const claimed = await User.exists({
+      _id: { $ne: req.user.id },
+      phone,
+      'verification.phone.isVerified': true
+    });
+
+    if (claimed) {
+      return res.status(409).json({
+        success: false,
+        message: 'This phone number is already verified on another account'
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    await ContactVerificationService.startPhoneVerification(user, phone);
+
+    res.json({
+      success: true,
+      message: 'Verification code sent'
+    });
+  } catch (error) {
+    logger.error('Start phone verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/users/me/phone/verify
+// @desc    Verify a phone number with the texted code
+// @access  Private
+router.post('/me/phone/verify', [
+  auth,
+  bruteForceProtection('phone-verify', req => req.user.id),
+  body('code').isLength({ min: 6, max: 6 }).isNumeric().withMessage('A 6-digit code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await ContactVerificationService.verifyPhone(req.user.id, req.body.code);
+
+    if (!user) {
+      await req.bruteForce.fail();
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired code'
+      });
+    }
+
+    await req.bruteForce.succeed();
+
+    res.json({
+      success: true,
+      data: {
+        phone: user.phone,
+        verifiedAt: user.verification.phone.verifiedAt,
+        trustScore: user.trustScore
+      },
+      message: 'Phone number verified'
+    });
+  } catch (error) {
+    logger.error('Verify phone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Split a comma-separated query parameter into trimmed values
+const parseList = (value) => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : []);
+
+// @route   PUT /api/users/location
+// @desc    Share the user's current position for nearby discovery
+// @access  Private
+router.put('/location', [
+  auth,
+  body('coordinates').isArray({ min: 2, max: 2 }).withMessage('Coordinates must be [longitude, latitude]'),
+  body('coordinates.0').isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude'),
+  body('coordinates.1').isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
+  body('address').optional().trim().isLength({ max: 200 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const coordinates = req.body.coordinates.map(Number);
+    const result = await DiscoveryService.updateLocation(req.user.id, {
+      coordinates,
+      address: req.body.address
+    });
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (result.retryAfter) {
+      res.set('Retry-After', String(result.retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: 'Location was updated too recently',
+        retryAfter: result.retryAfter
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.user.currentLocation,
+      message: 'Location updated'
+    });
+  } catch (error) {
+    logger.error('Update location error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/users/nearby
+// @desc    Find travelers near the user's last shared position
+// @access  Private
+router.get('/nearby', [
+  auth,
+  query('radius').optional().isInt({ min: 1000, max: 100000 }),
+  query('verified').optional().isBoolean(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const travelers = await DiscoveryService.findNearby(req.user.id, {
+      radius: parseInt(req.query.radius) || 50000,
+      interests: parseList(req.query.interests),
+      languages: parseList(req.query.languages),
+      verifiedOnly: req.query.verified === 'true',
+      page,
+      limit
+    });
+
+    if (!travelers) {
+      return res.status(400).json({
+        success: false,
+        message: 'Share your location to discover travelers nearby'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        travelers,
+        pagination: {
+          current: page,
+          hasMore: travelers.length === limit
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Find nearby travelers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/users/me/invisible
+// @desc    Hide the user from nearby discovery for a number of hours
+// @access  Private
+router.post('/me/invisible', [
+  auth,
+  body('hours').isInt({ min: 1, max: DiscoveryService.MAX_INVISIBLE_HOURS })
+    .withMessage(`Hours must be between 1 and ${DiscoveryService.MAX_INVISIBLE_HOURS}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const invisibleUntil = await DiscoveryService.goInvisible(req.user.id, parseInt(req.body.hours));
+
+    res.json({
+      success: true,
+      data: { invisibleUntil },
+      message: 'You are hidden from nearby travelers'
+    });
+  } catch (error) {
+    logger.error('Go invisible error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/users/me/invisible
+// @desc    Show the user in nearby discovery again
+// @access  Private
+router.delete('/me/invisible', auth, async (req, res) => {
+  try {
+    await DiscoveryService.becomeVisible(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'You are visible to nearby travelers again'
+    });
+  } catch (error) {
+    logger.error('Become visible error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/users/me/blocked
+// @desc    List the users the current user has blocked or muted
+// @access  Private
+router.get('/me/blocked', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id)
+      .select('blockedUsers mutedUsers')
+      .populate('blockedUsers', 'name profilePicture')
+      .populate('mutedUsers', 'name profilePicture');
+
+    res.json({
+      success: true,
+      data: {
+        blocked: user.blockedUsers,
+        muted: user.mutedUsers
+      }
+    });
+  } catch (error) {
+    logger.error('Get blocked users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/users/:id/block
+// @desc    Block a user
+// @access  Private
+router.post('/:id/block', [auth, param('id').isMongoId()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const targetUserId = req.params.id;
+
+    if (targetUserId === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot block yourself'
+      });
+    }
+
+    const blocked = await BlockService.block(req.user.id, targetUserId);
+
+    if (!blocked) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'User blocked'
+    });
+  } catch (error) {
+    logger.error('Block user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/users/:id/block
+// @desc    Unblock a user
+// @access  Private
+router.delete('/:id/block', [auth, param('id').isMongoId()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    await BlockService.unblock(req.user.id, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'User unblocked'
+    });
+  } catch (error) {
+    logger.error('Unblock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/users/:id/mute
+// @desc    Mute a user's community posts and comments
+// @access  Private
+router.post('/:id/mute', [auth, param('id').isMongoId()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const targetUserId = req.params.id;
+
+    if (targetUserId === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot mute yourself'
+      });
+    }
+
+    const muted = await BlockService.mute(req.user.id, targetUserId);
+
+    if (!muted) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'User muted'
+    });
+  } catch (error) {
+    logger.error('Mute user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/users/:id/mute
+// @desc    Unmute a user
+// @access  Private
+router.delete('/:id/mute', [auth, param('id').isMongoId()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    await BlockService.unmute(req.user.id, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'User unmuted'
+    });
+  } catch (error) {
+    logger.error('Unmute user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/users/search
+// @desc    Search users by name or interests
+// @access  Private
+router.get('/search', auth, async (req, res) => {
+  try {
+    const { q, interests, location, page = 1, limit = 10 } = req.query;
+
+    // Never show users who blocked the searcher, or whom they blocked
+    const hiddenUserIds = await BlockService.getHiddenUserIds(req.user.id);
+    
+    let query = { _id: { $nin: [req.user.id, ...hiddenUserIds] }, isActive: true };
+    
+    if (q) {
+      query.$or = [
+        { name: { $regex: q, $options: 'i' } },
+        { bio: { $regex: q, $options: 'i' } }
+      ];
+    }
+    
+    if (interests) {
+      const interestArray = interests.split(',');
+      query.travelInterests = { $in: interestArray };
+    }
+    
+    if (location) {
+      query.nationality = { $regex: location, $options: 'i' };
+    }
+
+    const users = await User.find(query)
+      .select(ProfileService.PROFILE_FIELDS)
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ createdAt: -1 });
+
+    const total = await User.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        users: await ProfileService.serializeMany(users, req.user.id),
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Search users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/users/me/follow-requests
+// @desc    Pending requests to follow the current (private) account
+// @access  Private
+router.get('/me/follow-requests', [
+  auth,
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const { users, total } = await FollowService.listConnections(req.user.id, 'followers', {
+      page,
+      limit,
+      status: 'pending'
+    });
+
+    res.json({
+      success: true,
+      data: {
+        requests: users,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get follow requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/users/me/follow-requests/:userId
+// @desc    Accept or decline a follow request
+// @access  Private
+router.put('/me/follow-requests/:userId', [
+  auth,
+  param('userId').isMongoId(),
+  body('action').isIn(['accept', 'decline']).withMessage('Action must be accept or decline')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const accept = req.body.action === 'accept';
+    const request = await FollowService.respondToRequest(req.user.id, req.params.userId, accept);
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Follow request not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Follow request ${accept ? 'accepted' : 'declined'}`
+    });
+  } catch (error) {
+    logger.error('Respond to follow request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/users/me/followers/:userId
+// @desc    Remove a follower
+// @access  Private
+router.delete('/me/followers/:userId', [auth, param('userId').isMongoId()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const removed = await FollowService.removeFollower(req.user.id, req.params.userId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'This user does not follow you'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Follower removed'
+    });
+  } catch (error) {
+    logger.error('Remove follower error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/users/me/suggestions
+// @desc    People you may know, from shared trips, mutual follows and interests
+// @access  Private
+router.get('/me/suggestions', [
+  auth,
+  query('limit').optional().isInt({ min: 1, max: 50 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const suggestions = await FollowService.getSuggestions(req.user.id, {
+      limit: parseInt(req.query.limit) || 10
+    });
+
+    res.json({
+      success: true,
+      data: suggestions
+    });
+  } catch (error) {
+    logger.error('Get follow suggestions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/users/:id/follow
+// @desc    Follow a user, or request to follow a private account
+// @access  Private
+router.post('/:id/follow', [auth, param('id').isMongoId()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const targetUserId = req.params.id;
+
+    if (targetUserId === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot follow yourself'
+      });
+    }
+
+    const follow = await FollowService.follow(req.user.id, targetUserId);
+
+    if (!follow) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (follow === 'blocked') {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot follow this user'
+      });
+    }
+
+    if (follow === 'exists') {
+      return res.status(409).json({
+        success: false,
+        message: 'You already follow or requested to follow this user'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: { status: follow.status },
+      message: follow.status === 'pending' ? 'Follow request sent' : 'User followed successfully'
+    });
+  } catch (error) {
+    logger.error('Follow user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/users/:id/follow
+// @desc    Unfollow a user, or withdraw a follow request
+// @access  Private
+router.delete('/:id/follow', [auth, param('id').isMongoId()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const removed = await FollowService.unfollow(req.user.id, req.params.id);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'You do not follow this user'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'User unfollowed successfully'
+    });
+  } catch (error) {
+    logger.error('Unfollow user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Shared handler for a user's followers and following lists
+const listConnections = (direction) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ _id: req.params.id, isActive: true }).select('privacy.privateAccount');
+    const hiddenUserIds = await BlockService.getHiddenUserIds(req.user.id);
+
+    if (!user || hiddenUserIds.has(user._id.toString())) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!(await FollowService.canViewConnections(req.user.id, user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'This account is private'
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const { users, total } = await FollowService.listConnections(user._id, direction, { page, limit });
+
+    res.json({
+      success: true,
+      data: {
+        users: users.filter(entry => !hiddenUserIds.has(entry.user._id.toString())),
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+  } catch (error) {
+    logger.error(`Get ${direction} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+const connectionListValidators = [
+  auth,
+  param('id').isMongoId(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 })
+];
+
+// @route   GET /api/users/:id/followers
+// @desc    Users following a user
+// @access  Private
+router.get('/:id/followers', connectionListValidators, listConnections('followers'));
+
+// @route   GET /api/users/:id/following
+// @desc    Users a user follows
+// @access  Private
+router.get('/:id/following', connectionListValidators, listConnections('following'));
+
+// @route   GET /api/users/:id
+// @desc    Get a user's profile, showing only the fields the viewer may see
+// @access  Private
+router.get('/:id', [auth, param('id').isMongoId()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const profile = await ProfileService.getProfile(req.params.id, req.user.id);
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: profile
+    });
+  } catch (error) {
+    logger.error('Get user profile error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -288,4 +1557,4 @@ router.delete('/:id/follow', auth, async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,171 @@
+const fs = require('fs');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const LoginToken = require('../models/LoginToken');
+const AuditLog = require('../models/AuditLog');
+const Review = require('../models/Review');
+const TripInvite = require('../models/TripInvite');
+const { Match, ChatRoom, Message } = require('../models/Match');
+const DataExportService = require('./dataExportService');
+const ReviewService = require('./reviewService');
+const FollowService = require('./followService');
+const TokenService = require('./tokenService');
+const { resolveUploadPath } = require('../utils/uploads');
+const logger = require('../utils/logger');
+
+const DELETED_MESSAGE = 'This message was deleted';
+
+const getGraceDays = () => parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+
+class AccountDeletionService {
+  /**
+   * Schedule the account for deletion after the grace period and sign it
+   * out everywhere. Returns the scheduled date.
+   */
+  static async scheduleDeletion(user, { ipAddress } = {}) {
+    const requestedAt = new Date();
+    const scheduledFor = new Date(requestedAt.getTime() + getGraceDays() * 24 * 60 * 60 * 1000);
+
+    user.deletion = { requestedAt, scheduledFor };
+    await user.save();
+
+    await TokenService.revokeAllSessions(user._id, 'account-deletion');
+
+    await AuditLog.record({
+      actor: user._id,
+      action: 'account.deletion-scheduled',
+      targetUser: user._id,
+      details: { scheduledFor },
+      ipAddress
+    });
+
+    logger.info(`Account deletion scheduled for ${user.email} on ${scheduledFor.toISOString()}`);
+
+    return scheduledFor;
+  }
+
+  /**
+   * Cancel a scheduled deletion during the grace period. Returns false when
+   * nothing was scheduled.
+   */
+  static async cancelDeletion(user, { ipAddress } = {}) {
+    if (!user.deletion || !user.deletion.scheduledFor) return false;
+
+    user.deletion = undefined;
+    await user.save();
+
+    await AuditLog.record({
+      actor: user._id,
+      action: 'account.deletion-cancelled',
+      targetUser: user._id,
+      ipAddress
+    });
+
+    logger.info(`Account deletion cancelled for ${user.email}`);
+
+    return true;
+  }
+
+  /**
+   * Purge every account whose grace period has ended
+   */
+  static async processDueDeletions() {
+    const due = await User.find({
+      'deletion.scheduledFor': { $lte: new Date() },
+      'deletion.completedAt': null
+    }).select('_id');
+
+    let purged = 0;
+    for (const { _id } of due) {
+      try {
+        await this.purgeAccount(_id);
+        purged++;
+      } catch (error) {
+        logger.error(`Account purge failed for ${_id}:`, error);
+      }
+    }
+
+    return purged;
+  }
+
+  /**
+   * Erase personal data. The user document is replaced by an anonymous
+   * tombstone so trips, posts and comments they wrote stay readable but no
+   * longer identify them.
+   */
+  static async purgeAccount(userId) {
+    const user = await User.findById(userId).lean();
+    if (!user) return;
+
+    await this.removeFiles(user);
+
+    // Private messages are blanked rather than attributed to a tombstone
+    await Message.updateMany(
+      { sender: userId },
+      {
+        $set: { content: DELETED_MESSAGE, isDeleted: true, attachments: [] },
+        $unset: { location: 1 }
+      }
+    );
+    await ChatRoom.updateMany(
+      { 'lastMessage.sender': userId },
+      { $set: { 'lastMessage.content': DELETED_MESSAGE } }
+    );
+
+    // Reviews about the user go; reviews they wrote keep their rating so
+    // partners' averages do not change, but lose their text
+    await Review.deleteMany({ reviewee: userId });
+    const written = await Review.find({ reviewer: userId }).select('reviewee');
+    await Review.updateMany({ reviewer: userId }, { $unset: { comment: 1 } });
+    for (const revieweeId of new Set(written.map(review => review.reviewee.toString()))) {
+      await ReviewService.refreshRating(revieweeId);
+    }
+
+    await FollowService.removeAllForUser(userId);
+    await Match.deleteMany({ $or: [{ requester: userId }, { recipient: userId }] });
+    await TripInvite.deleteMany({ type: 'direct', $or: [{ invitee: userId }, { email: user.email }] });
+    await Session.deleteMany({ user: userId });
+    await LoginToken.deleteMany({ user: userId });
+    await DataExportService.removeAllForUser(userId);
+
+    const now = new Date();
+    await User.collection.replaceOne({ _id: user._id }, {
+      email: `deleted-${user._id}@deleted.travio.invalid`,
+      name: 'Deleted user',
+      isActive: false,
+      roles: [],
+      devices: [],
+      deletion: {
+        requestedAt: user.deletion && user.deletion.requestedAt,
+        scheduledFor: user.deletion && user.deletion.scheduledFor,
+        completedAt: now
+      },
+      createdAt: user.createdAt,
+      updatedAt: now
+    });
+
+    await AuditLog.record({
+      action: 'account.deleted',
+      targetUser: user._id,
+      details: { requestedAt: user.deletion && user.deletion.requestedAt }
+    });
+
+    logger.info(`Account ${user._id} purged`);
+  }
+
+  // Remove the avatar and every identity verification document
+  static async removeFiles(user) {
+    const verificationPaths = [
+      ...(user.verificationDocuments || []),
+      ...Object.values(user.verification?.identity?.documents || {})
+    ].map(storedPath => resolveUploadPath(storedPath, 'verification'));
+
+    const paths = [...verificationPaths, resolveUploadPath(user.profilePicture, 'avatars')].filter(Boolean);
+
+    for (const filePath of paths) {
+      await fs.promises.rm(filePath, { force: true });
+    }
+  }
+}
+
+module.exports = AccountDeletionService;
@@ -1,4 +1,16 @@
-const { User, Trip } = require('../models');
+const User = require('../models/User');
+const Trip = require('../models/Trip');
+
+// How much each factor counts towards compatibility unless the user has
+// their own weights from onboarding
+const DEFAULT_MATCH_WEIGHTS = {
+  destinationMatch: 0.30,
+  dateOverlap: 0.25,
+  interestSimilarity: 0.20,
+  budgetCompatibility: 0.15,
+  travelStyleMatch: 0.05,
+  languageMatch: 0.05
+};
 
 class AIService {
   /**
@@ -38,11 +50,11 @@ class AIService {
     }
 
     // Interest similarity (20% weight)
-    if (requester.interests && recipient.interests) {
-      const commonInterests = requester.interests.filter(interest =>
-        recipient.interests.includes(interest)
+    if (requester.travelInterests && recipient.travelInterests) {
+      const commonInterests = requester.travelInterests.filter(interest =>
+        recipient.travelInterests.includes(interest)
       );
-      const totalInterests = new Set([...requester.interests, ...recipient.interests]).size;
+      const totalInterests = new Set([...requester.travelInterests, ...recipient.travelInterests]).size;
       factors.interestSimilarity = totalInterests > 0 ? (commonInterests.length / totalInterests) * 100 : 0;
     }
 
@@ -67,15 +79,9 @@ class AIService {
       factors.languageMatch = commonLanguages.length > 0 ? 100 : 0;
     }
 
-    // Calculate weighted score
-    const weights = {
-      destinationMatch: 0.30,
-      dateOverlap: 0.25,
-      interestSimilarity: 0.20,
-      budgetCompatibility: 0.15,
-      travelStyleMatch: 0.05,
-      languageMatch: 0.05
-    };
+    // Calculate weighted score, using the requester's own weights when
+    // onboarding seeded them
+    const weights = this.getMatchWeights(requester);
 
     const totalScore = Object.keys(factors).reduce((sum, factor) => {
       return sum + (factors[factor] * weights[factor]);
@@ -87,6 +93,18 @@ class AIService {
     };
   }
 
+  /**
+   * The user's matching weights, falling back to the defaults for any
+   * factor they have no weight for
+   */
+  static getMatchWeights(user) {
+    const own = user.matchingWeights || {};
+    return Object.keys(DEFAULT_MATCH_WEIGHTS).reduce((weights, factor) => {
+      weights[factor] = typeof own[factor] === 'number' ? own[factor] : DEFAULT_MATCH_WEIGHTS[factor];
+      return weights;
+    }, {});
+  }
+
   /**
    * Calculate date overlap percentage
    */
@@ -408,4 +426,6 @@ class AIService {
   }
 }
 
+AIService.DEFAULT_MATCH_WEIGHTS = DEFAULT_MATCH_WEIGHTS;
+
 module.exports = AIService;
\ No newline at end of file
@@ -0,0 +1,118 @@
+const logger = require('../utils/logger');
+
+/**
+ * Expiring counters used for attempt tracking. Both stores expose the same
+ * async interface so callers do not care where the counters live.
+ */
+class MemoryAttemptStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  getEntry(key) {
+    const entry = this.entries.get(key);
+
+    if (entry && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    return entry || null;
+  }
+
+  // Increment a counter; the expiry is set when the counter is created
+  async increment(key, ttlMs) {
+    const entry = this.getEntry(key);
+
+    if (!entry) {
+      this.entries.set(key, { value: 1, expiresAt: Date.now() + ttlMs });
+      return 1;
+    }
+
+    entry.value += 1;
+    return entry.value;
+  }
+
+  async get(key) {
+    const entry = this.getEntry(key);
+    return entry ? entry.value : null;
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+  }
+
+  // Remaining time to live in milliseconds, 0 when the key does not exist
+  async ttl(key) {
+    const entry = this.getEntry(key);
+    return entry ? entry.expiresAt - Date.now() : 0;
+  }
+
+  async del(...keys) {
+    keys.forEach(key => this.entries.delete(key));
+  }
+}
+
+class RedisAttemptStore {
+  constructor(client) {
+    this.client = client;
+  }
+
+  async increment(key, ttlMs) {
+    const value = await this.client.incr(key);
+
+    if (value === 1) {
+      await this.client.pexpire(key, ttlMs);
+    }
+
+    return value;
+  }
+
+  async get(key) {
+    const value = await this.client.get(key);
+    return value === null ? null : parseInt(value);
+  }
+
+  async set(key, value, ttlMs) {
+    await this.client.set(key, value, 'PX', ttlMs);
+  }
+
+  async ttl(key) {
+    return Math.max(await this.client.pttl(key), 0);
+  }
+
+  async del(...keys) {
+    await this.client.del(...keys);
+  }
+}
+
+/**
+ * Pick the store from ATTEMPT_STORE ('memory' or 'redis'). Defaults to Redis
+ * when REDIS_URL is set, except in tests.
+ */
+const createAttemptStore = () => {
+  const storeType = process.env.ATTEMPT_STORE ||
+    (process.env.REDIS_URL && process.env.NODE_ENV !== 'test' ? 'redis' : 'memory');
+
+  if (storeType === 'redis') {
+    const Redis = require('ioredis');
+    const client = new Redis(process.env.REDIS_URL || 'redis://localhost:6379', {
+      lazyConnect: true,
+      maxRetriesPerRequest: 1
+    });
+
+    client.on('error', (error) => {
+      logger.error('Attempt store Redis error:', error);
+    });
+
+    return new RedisAttemptStore(client);
+  }
+
+  return new MemoryAttemptStore();
+};
+
+module.exports = {
+  MemoryAttemptStore,
+  RedisAttemptStore,
+  createAttemptStore
+};
@@ -0,0 +1,114 @@
+const User = require('../models/User');
+const { Match, ChatRoom } = require('../models/Match');
+const logger = require('../utils/logger');
+
+class BlockService {
+  /**
+   * Block a user: cancel pending match requests between the two, close
+   * the chat rooms they share and drop follows in both directions. Returns
+   * null when the target does not exist.
+   */
+  static async block(userId, targetId) {
+    const target = await User.exists({ _id: targetId });
+    if (!target) return null;
+
+    await User.updateOne(
+      { _id: userId },
+      { $addToSet: { blockedUsers: targetId }, $pull: { mutedUsers: targetId } }
+    );
+
+    const pair = [
+      { requester: userId, recipient: targetId },
+      { requester: targetId, recipient: userId }
+    ];
+
+    await Match.updateMany(
+      { $or: pair, status: 'pending' },
+      { $set: { status: 'cancelled', isActive: false } }
+    );
+
+    await ChatRoom.updateMany(
+      { participants: { $all: [userId, targetId] }, isActive: true },
+      { $set: { isActive: false } }
+    );
+
+    // Required here because the follow service depends on this one
+    const FollowService = require('./followService');
+    await FollowService.removeEdgesBetween(userId, targetId);
+
+    logger.info(`User ${userId} blocked ${targetId}`);
+
+    return true;
+  }
+
+  /**
+   * Lift a block. Closed chat rooms stay closed; the two can match again.
+   */
+  static async unblock(userId, targetId) {
+    await User.updateOne({ _id: userId }, { $pull: { blockedUsers: targetId } });
+    logger.info(`User ${userId} unblocked ${targetId}`);
+  }
+
+  static async mute(userId, targetId) {
+    const target = await User.exists({ _id: targetId });
+    if (!target) return null;
+
+    await User.updateOne({ _id: userId }, { $addToSet: { mutedUsers: targetId } });
+    return true;
+  }
+
+  static async unmute(userId, targetId) {
+    await User.updateOne({ _id: userId }, { $pull: { mutedUsers: targetId } });
+  }
+
+  /**
+   * Whether either user has blocked the other
+   */
+  static async isBlockedBetween(userId, otherId) {
+    const blocked = await User.exists({
+      $or: [
+        { _id: userId, blockedUsers: otherId },
+        { _id: otherId, blockedUsers: userId }
+      ]
+    });
+    return Boolean(blocked);
+  }
+
+  /**
+   * Whether any of the given users and the user have blocked each other
+   */
+  static async isBlockedByAny(userId, otherIds) {
+    const blocked = await User.exists({
+      $or: [
+        { _id: userId, blockedUsers: { $in: otherIds } },
+        { _id: { $in: otherIds }, blockedUsers: userId }
+      ]
+    });
+    return Boolean(blocked);
+  }
+
+  /**
+   * Ids of users hidden from the user in either direction: those they
+   * blocked and those who blocked them. With `includeMuted`, also the users
+   * they muted (for community content).
+   */
+  static async getHiddenUserIds(userId, { includeMuted = false } = {}) {
+    const [user, blockedBy] = await Promise.all([
+      User.findById(userId).select('blockedUsers mutedUsers'),
+      User.find({ blockedUsers: userId }).select('_id')
+    ]);
+
+    const hidden = new Set(blockedBy.map(other => other._id.toString()));
+
+    if (user) {
+      user.blockedUsers.forEach(id => hidden.add(id.toString()));
+      if (includeMuted) {
+        user.mutedUsers.forEach(id => hidden.add(id.toString()));
+      }
+    }
+
+    return hidden;
+  }
+}
+
+module.exports = BlockService;
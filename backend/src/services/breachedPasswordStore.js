@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+
+const PREFIX_LENGTH = 5;
+
+// Parse "SUFFIX:COUNT" lines into a Map of suffix -> count
+const parseRange = (content) => {
+  const range = new Map();
+
+  content.split(/\r?\n/).forEach((line) => {
+    const [suffix, count] = line.trim().split(':');
+    if (suffix) {
+      range.set(suffix.toUpperCase(), parseInt(count) || 1);
+    }
+  });
+
+  return range;
+};
+
+/**
+ * Breached-password hashes from a single sorted "SHA1:COUNT" file (the
+ * format of the Have I Been Pwned full download), split into ranges by hash
+ * prefix when first used. Suited to the bundled list and other small lists.
+ */
+class FileRangeStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.ranges = null;
+  }
+
+  load() {
+    this.ranges = new Map();
+
+    const content = fs.readFileSync(this.filePath, 'utf8');
+    content.split(/\r?\n/).forEach((line) => {
+      const [hash, count] = line.trim().split(':');
+      if (!hash || hash.length !== 40) return;
+
+      const prefix = hash.slice(0, PREFIX_LENGTH).toUpperCase();
+      if (!this.ranges.has(prefix)) {
+        this.ranges.set(prefix, new Map());
+      }
+      this.ranges.get(prefix).set(hash.slice(PREFIX_LENGTH).toUpperCase(), parseInt(count) || 1);
+    });
+  }
+
+  async getRange(prefix) {
+    if (!this.ranges) this.load();
+    return this.ranges.get(prefix) || new Map();
+  }
+}
+
+/**
+ * Breached-password hashes stored as one "<PREFIX>.txt" file per 5-character
+ * hash prefix, each holding "SUFFIX:COUNT" lines (the layout written by the
+ * Have I Been Pwned downloader). Only the range being checked is read, so
+ * the full corpus can be used without loading it into memory.
+ */
+class DirectoryRangeStore {
+  constructor(dirPath) {
+    this.dirPath = dirPath;
+  }
+
+  async getRange(prefix) {
+    try {
+      const content = await fs.promises.readFile(path.join(this.dirPath, `${prefix}.txt`), 'utf8');
+      return parseRange(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') return new Map();
+      throw error;
+    }
+  }
+}
+
+const DEFAULT_LIST_PATH = path.join(__dirname, '..', '..', 'data', 'breached-password-hashes.txt');
+
+/**
+ * Open the list at BREACHED_PASSWORDS_PATH (a file or a range directory),
+ * falling back to the bundled list
+ */
+const createBreachedPasswordStore = () => {
+  const listPath = process.env.BREACHED_PASSWORDS_PATH
+    ? path.resolve(process.env.BREACHED_PASSWORDS_PATH)
+    : DEFAULT_LIST_PATH;
+
+  if (fs.existsSync(listPath) && fs.statSync(listPath).isDirectory()) {
+    return new DirectoryRangeStore(listPath);
+  }
+
+  return new FileRangeStore(listPath);
+};
+
+module.exports = {
+  PREFIX_LENGTH,
+  FileRangeStore,
+  DirectoryRangeStore,
+  createBreachedPasswordStore
+};
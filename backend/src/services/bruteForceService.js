@@ -0,0 +1,165 @@
+const User = require('../models/User');
+const { createAttemptStore } = require('./attemptStore');
+const EmailService = require('./emailService');
+const logger = require('../utils/logger');
+
+const WINDOW_MS = 15 * 60 * 1000; // 15 minutes
+const LOCKOUT_MS = 15 * 60 * 1000; // 15 minutes
+const MAX_DELAY_MS = 30 * 1000; // 30 seconds
+
+// Per-action limits. Account counters track one email or user, IP counters
+// track every attempt from one address. After `delayAfter` account failures
+// each further attempt must wait an exponentially growing delay; at
+// `maxAccountFailures` the account is locked for LOCKOUT_MS.
+const POLICIES = {
+  login: { delayAfter: 3, maxAccountFailures: 10, maxIpFailures: 50, notifyOnLockout: true },
+  'two-factor': { delayAfter: 2, maxAccountFailures: 5, maxIpFailures: 30 },
+  'forgot-password': { delayAfter: 2, maxAccountFailures: 5, maxIpFailures: 20 },
+  'reset-password': { maxIpFailures: 20 },
+  'verify-email': { maxIpFailures: 20 },
+  'magic-link': { delayAfter: 2, maxAccountFailures: 5, maxIpFailures: 20 },
+  'magic-link-verify': { maxIpFailures: 20 },
+  'phone-otp': { delayAfter: 2, maxAccountFailures: 5, maxIpFailures: 20 },
+  'phone-otp-verify': { maxIpFailures: 30 },
+  'email-change': { delayAfter: 3, maxAccountFailures: 10, maxIpFailures: 30 },
+  'email-change-confirm': { maxIpFailures: 20 },
+  'phone-verify-send': { delayAfter: 2, maxAccountFailures: 5, maxIpFailures: 20 },
+  'phone-verify': { delayAfter: 3, maxAccountFailures: 10, maxIpFailures: 30 }
+};
+
+// Built on first use, so the store configured in .env is the one used
+let store = null;
+
+const getStore = () => {
+  if (!store) store = createAttemptStore();
+  return store;
+};
+
+const keys = (action, { ip, identifier }) => ({
+  ipCount: `bf:${action}:ip:${ip}`,
+  ipLock: `bf:${action}:ip-lock:${ip}`,
+  accountCount: `bf:${action}:account:${identifier}`,
+  accountDelay: `bf:${action}:delay:${identifier}`,
+  accountLock: `bf:${action}:lock:${identifier}`
+});
+
+class BruteForceService {
+  /**
+   * Swap the counter store (e.g. a fresh memory store in tests)
+   */
+  static setStore(attemptStore) {
+    store = attemptStore;
+  }
+
+  static getPolicy(action) {
+    const policy = POLICIES[action];
+    if (!policy) {
+      throw new Error(`Unknown brute-force action: ${action}`);
+    }
+    return policy;
+  }
+
+  /**
+   * Check whether an attempt may proceed. Returns the reason and the wait
+   * in milliseconds when it may not.
+   */
+  static async check(action, context) {
+    this.getPolicy(action);
+    const k = keys(action, context);
+
+    const ipLockMs = await getStore().ttl(k.ipLock);
+    if (ipLockMs > 0) {
+      return { allowed: false, reason: 'ip-blocked', retryAfterMs: ipLockMs };
+    }
+
+    if (context.identifier) {
+      const lockMs = await getStore().ttl(k.accountLock);
+      if (lockMs > 0) {
+        return { allowed: false, reason: 'locked', retryAfterMs: lockMs };
+      }
+
+      const delayMs = await getStore().ttl(k.accountDelay);
+      if (delayMs > 0) {
+        return { allowed: false, reason: 'delayed', retryAfterMs: delayMs };
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Count a failed attempt, applying delays and lockouts as thresholds are hit
+   */
+  static async recordFailure(action, context) {
+    const policy = this.getPolicy(action);
+    const k = keys(action, context);
+
+    const ipFailures = await getStore().increment(k.ipCount, WINDOW_MS);
+    if (ipFailures >= policy.maxIpFailures) {
+      await getStore().set(k.ipLock, 1, LOCKOUT_MS);
+      await getStore().del(k.ipCount);
+      logger.warn(`Brute-force: IP ${context.ip} blocked for ${action} after ${ipFailures} failures`);
+    }
+
+    if (!context.identifier || !policy.maxAccountFailures) {
+      return { locked: false };
+    }
+
+    const failures = await getStore().increment(k.accountCount, WINDOW_MS);
+
+    if (failures >= policy.maxAccountFailures) {
+      await getStore().set(k.accountLock, 1, LOCKOUT_MS);
+      await getStore().del(k.accountCount, k.accountDelay);
+      logger.warn(`Brute-force: ${action} locked for ${context.identifier} after ${failures} failures`);
+
+      if (policy.notifyOnLockout) {
+        await this.notifyOwner(context.identifier);
+      }
+
+      return { locked: true, retryAfterMs: LOCKOUT_MS };
+    }
+
+    if (failures >= policy.delayAfter) {
+      const delayMs = Math.min(1000 * 2 ** (failures - policy.delayAfter), MAX_DELAY_MS);
+      await getStore().set(k.accountDelay, 1, delayMs);
+      return { locked: false, retryAfterMs: delayMs };
+    }
+
+    return { locked: false };
+  }
+
+  /**
+   * Clear the account counters after a successful attempt
+   */
+  static async recordSuccess(action, context) {
+    if (!context.identifier) return;
+
+    const k = keys(action, context);
+    await getStore().del(k.accountCount, k.accountDelay);
+  }
+
+  /**
+   * Lift locks and counters for an account and/or IP across all actions
+   */
+  static async unlock({ identifier, ip }) {
+    for (const action of Object.keys(POLICIES)) {
+      const k = keys(action, { identifier, ip });
+
+      if (identifier) {
+        await getStore().del(k.accountCount, k.accountDelay, k.accountLock);
+      }
+      if (ip) {
+        await getStore().del(k.ipCount, k.ipLock);
+      }
+    }
+  }
+
+  static async notifyOwner(email) {
+    const user = await User.findOne({ email });
+    if (user) {
+      await EmailService.sendAccountLocked(user, LOCKOUT_MS / 60000);
+    }
+  }
+}
+
+module.exports = BruteForceService;
@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const TokenService = require('./tokenService');
+const TrustScoreService = require('./trustScoreService');
+const TripInviteService = require('./tripInviteService');
+const { notifier } = require('./notifier');
+const logger = require('../utils/logger');
+
+const EMAIL_CHANGE_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const PHONE_CODE_TTL_MS = 10 * 60 * 1000; // 10 minutes
+const MAX_PHONE_CODE_ATTEMPTS = 5;
+
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+class ContactVerificationService {
+  static hashPhoneCode(userId, code) {
+    return crypto.createHmac('sha256', process.env.JWT_SECRET).update(`${userId}:${code}`).digest('hex');
+  }
+
+  /**
+   * Start an email change. The current address gets a link to confirm (or
+   * deny) the change and the new address a link to prove it is reachable;
+   * the change applies once both are confirmed.
+   */
+  static async startEmailChange(user, newEmail, { ipAddress } = {}) {
+    const oldToken = crypto.randomBytes(32).toString('hex');
+    const newToken = crypto.randomBytes(32).toString('hex');
+
+    user.pendingEmailChange = {
+      newEmail,
+      oldTokenHash: TokenService.hashToken(oldToken),
+      newTokenHash: TokenService.hashToken(newToken),
+      expiresAt: new Date(Date.now() + EMAIL_CHANGE_TTL_MS)
+    };
+    await user.save();
+
+    await AuditLog.record({
+      actor: user._id,
+      action: 'account.email-change-requested',
+      targetUser: user._id,
+      details: { newEmail },
+      ipAddress
+    });
+
+    const baseUrl = `${getFrontendUrl()}/account/email-change`;
+
+    await notifier.sendEmail(
+      user.email,
+      'Confirm your Travio email change',
+      [
+        `Hi ${user.name || 'traveler'},`,
+        '',
+        `Someone asked to change the email on your Travio account to ${newEmail}.`,
+        `If this was you, confirm the change: ${baseUrl}/confirm?token=${oldToken}`,
+        '',
+        `If this was not you, cancel it and sign out of every device: ${baseUrl}/deny?token=${oldToken}`
+      ].join('\n')
+    );
+
+    await notifier.sendEmail(
+      newEmail,
+      'Verify your new Travio email',
+      [
+        `Hi ${user.name || 'traveler'},`,
+        '',
+        `Confirm this address for your Travio account: ${baseUrl}/confirm?token=${newToken}`,
+        `The link expires in ${EMAIL_CHANGE_TTL_MS / 3600000} hours.`
+      ].join('\n')
+    );
+  }
+
+  static async findPendingEmailChange(token) {
+    const tokenHash = TokenService.hashToken(token);
+
+    const user = await User.findOne({
+      $or: [
+        { 'pendingEmailChange.oldTokenHash': tokenHash },
+        { 'pendingEmailChange.newTokenHash': tokenHash }
+      ],
+      'pendingEmailChange.expiresAt': { $gt: new Date() }
+    }).select('+pendingEmailChange.oldTokenHash +pendingEmailChange.newTokenHash');
+
+    if (!user) return null;
+
+    const side = user.pendingEmailChange.oldTokenHash === tokenHash ? 'old' : 'new';
+    return { user, side };
+  }
+
+  /**
+   * Confirm one side of an email change. Returns 'pending' until both
+   * addresses have confirmed, 'completed' once the email is changed,
+   * 'conflict' if the new address was taken in the meantime, or null for an
+   * invalid or expired token.
+   */
+  static async confirmEmailChange(token) {
+    const pending = await this.findPendingEmailChange(token);
+    if (!pending) return null;
+
+    const { user, side } = pending;
+    const change = user.pendingEmailChange;
+
+    change[side === 'old' ? 'oldConfirmedAt' : 'newConfirmedAt'] = new Date();
+
+    if (!change.oldConfirmedAt || !change.newConfirmedAt) {
+      await user.save();
+      return 'pending';
+    }
+
+    const taken = await User.exists({ email: change.newEmail, _id: { $ne: user._id } });
+    if (taken) {
+      user.pendingEmailChange = undefined;
+      await user.save();
+      return 'conflict';
+    }
+
+    const oldEmail = user.email;
+    user.email = change.newEmail;
+    user.verification.email.isVerified = true;
+    user.verification.email.verifiedAt = new Date();
+    user.verification.email.token = undefined;
+    user.verification.email.expiresAt = undefined;
+    user.pendingEmailChange = undefined;
+    await user.save();
+    user.trustScore = await TrustScoreService.recalculate(user._id, 'email-verified');
+    await TripInviteService.claimEmailInvites(user);
+
+    await AuditLog.record({
+      actor: user._id,
+      action: 'account.email-changed',
+      targetUser: user._id,
+      details: { oldEmail, newEmail: user.email }
+    });
+
+    logger.info(`Email changed for user ${user._id}`);
+
+    await notifier.sendEmail(
+      oldEmail,
+      'Your Travio email was changed',
+      `The email on your Travio account is now ${user.email}. If you did not make this change, contact support right away.`
+    ).catch(error => logger.error('Email change notification error:', error));
+
+    return 'completed';
+  }
+
+  /**
+   * Reject an email change from the current address. The request is
+   * dropped and every session is revoked, since whoever started it may have
+   * been signed in as the user. Returns false for an invalid token.
+   */
+  static async denyEmailChange(token, { ipAddress } = {}) {
+    const pending = await this.findPendingEmailChange(token);
+    if (!pending || pending.side !== 'old') return false;
+
+    const { user } = pending;
+    const { newEmail } = user.pendingEmailChange;
+
+    user.pendingEmailChange = undefined;
+    await user.save();
+
+    await TokenService.revokeAllSessions(user._id, 'email-change-denied');
+
+    await AuditLog.record({
+      actor: user._id,
+      action: 'account.email-change-denied',
+      targetUser: user._id,
+      details: { newEmail },
+      ipAddress
+    });
+
+    logger.warn(`Email change to ${newEmail} denied by owner of ${user.email}; sessions revoked`);
+
+    return true;
+  }
+
+  /**
+   * Text a 6-digit code to a phone number the user wants to verify
+   */
+  static async startPhoneVerification(user, phone) {
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+    user.phoneVerification = {
+      phone,
+      codeHash: this.hashPhoneCode(user._id, code),
+      attempts: 0,
+      expiresAt: new Date(Date.now() + PHONE_CODE_TTL_MS)
+    };
+    await user.save();
+
+    await notifier.sendSms(
+      phone,
+      `Your Travio verification code is ${code}. It expires in ${PHONE_CODE_TTL_MS / 60000} minutes.`
+    );
+  }
+
+  /**
+   * Check a phone verification code. On success the number becomes the
+   * account phone, marked verified, and is released from any other account
+   * that listed it without verifying. Returns the user, or null.
+   */
+  static async verifyPhone(userId, code) {
+    const user = await User.findOneAndUpdate(
+      {
+        _id: userId,
+        'phoneVerification.expiresAt': { $gt: new Date() },
+        'phoneVerification.attempts': { $lt: MAX_PHONE_CODE_ATTEMPTS }
+      },
+      { $inc: { 'phoneVerification.attempts': 1 } },
+      { new: true }
+    ).select('+phoneVerification.codeHash');
+
+    if (!user) return null;
+
+    const expected = Buffer.from(user.phoneVerification.codeHash);
+    const actual = Buffer.from(this.hashPhoneCode(user._id, String(code).trim()));
+
+    if (!crypto.timingSafeEqual(expected, actual)) return null;
+
+    const { phone } = user.phoneVerification;
+
+    await User.updateMany(
+      { _id: { $ne: user._id }, phone, 'verification.phone.isVerified': { $ne: true } },
+      { $unset: { phone: 1 } }
+    );
+
+    user.phone = phone;
+    user.verification.phone.isVerified = true;
+    user.verification.phone.verifiedAt = new Date();
+    user.phoneVerification = undefined;
+    await user.save();
+    user.trustScore = await TrustScoreService.recalculate(user._id, 'phone-verified');
+
+    logger.info(`Phone verified for user ${user._id}`);
+
+    return user;
+  }
+}
+
+module.exports = ContactVerificationService;
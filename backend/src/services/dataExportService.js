@@ -0,0 +1,253 @@
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const User = require('../models/User');
+const Trip = require('../models/Trip');
+const DataExport = require('../models/DataExport');
+const Review = require('../models/Review');
+const Follow = require('../models/Follow');
+const { Match, Message } = require('../models/Match');
+const { CommunityPost, Event } = require('../models/Community');
+const jobQueue = require('./jobQueue');
+const { notifier } = require('./notifier');
+const { resolveUploadPath } = require('../utils/uploads');
+const logger = require('../utils/logger');
+
+const EXPORT_TTL_DAYS = 7;
+
+const getExportDir = () => process.env.DATA_EXPORT_DIR || path.join(process.cwd(), 'exports');
+
+class DataExportService {
+  /**
+   * Queue an export for a user. An export that is already queued or running
+   * is returned instead of starting another.
+   */
+  static async requestExport(userId) {
+    const inProgress = await DataExport.findOne({
+      user: userId,
+      status: { $in: ['pending', 'processing'] }
+    });
+
+    if (inProgress) return inProgress;
+
+    const dataExport = await DataExport.create({ user: userId });
+    this.enqueue(dataExport._id);
+
+    return dataExport;
+  }
+
+  static enqueue(exportId) {
+    jobQueue.enqueue(`data-export:${exportId}`, () => this.processExport(exportId));
+  }
+
+  /**
+   * Re-queue exports interrupted by a restart
+   */
+  static async resumePending() {
+    const pending = await DataExport.find({ status: { $in: ['pending', 'processing'] } }).select('_id');
+    pending.forEach(dataExport => this.enqueue(dataExport._id));
+    return pending.length;
+  }
+
+  static async processExport(exportId) {
+    const dataExport = await DataExport.findByIdAndUpdate(
+      exportId,
+      { status: 'processing', startedAt: new Date() },
+      { new: true }
+    );
+
+    if (!dataExport) return;
+
+    try {
+      const { documents, uploads } = await this.collectUserData(dataExport.user);
+
+      await fs.promises.mkdir(getExportDir(), { recursive: true });
+      const filePath = path.join(getExportDir(), `travio-export-${dataExport.user}-${dataExport._id}.zip`);
+
+      await this.writeArchive(filePath, documents, uploads);
+      const { size } = await fs.promises.stat(filePath);
+
+      dataExport.status = 'ready';
+      dataExport.filePath = filePath;
+      dataExport.fileSize = size;
+      dataExport.completedAt = new Date();
+      dataExport.expiresAt = new Date(Date.now() + EXPORT_TTL_DAYS * 24 * 60 * 60 * 1000);
+      await dataExport.save();
+
+      logger.info(`Data export ${dataExport._id} ready for user ${dataExport.user}`);
+
+      await this.notifyReady(dataExport);
+    } catch (error) {
+      logger.error(`Data export ${exportId} failed:`, error);
+      dataExport.status = 'failed';
+      dataExport.error = error.message;
+      await dataExport.save();
+    }
+  }
+
+  /**
+   * Gather everything stored about a user. Returns JSON documents keyed by
+   * archive file name, and the local uploads to include under files/.
+   */
+  static async collectUserData(userId) {
+    const user = await User.findById(userId).lean();
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const [
+      createdTrips, joinedTrips, matches, messages, posts, commentedPosts, events, reviewsWritten, reviewsReceived,
+      following, followers
+    ] = await Promise.all([
+      Trip.find({ creator: userId }).lean(),
+      Trip.find({ 'participants.user': userId, creator: { $ne: userId } })
+        .select('title destination startDate endDate status participants')
+        .lean(),
+      Match.find({ $or: [{ requester: userId }, { recipient: userId }] }).lean(),
+      Message.find({ sender: userId }).sort({ createdAt: 1 }).lean(),
+      CommunityPost.find({ author: userId }).lean(),
+      CommunityPost.find({ 'comments.user': userId, author: { $ne: userId } }).select('title comments').lean(),
+      Event.find({ organizer: userId }).lean(),
+      Review.find({ reviewer: userId }).select('-reports').lean(),
+      Review.find({ reviewee: userId, publishedAt: { $ne: null } }).select('-reports').lean(),
+      Follow.find({ follower: userId }).populate('following', 'name').lean(),
+      Follow.find({ following: userId }).populate('follower', 'name').lean()
+    ]);
+
+    const { emergencyHistory = [], emergencyContacts = [], locationShares = [], ...profile } = user;
+    delete profile.password;
+    // Live email verification and password reset tokens would let anyone
+    // holding the archive take over the account
+    for (const step of ['email', 'passwordReset']) {
+      if (profile.verification && profile.verification[step]) {
+        delete profile.verification[step].token;
+      }
+    }
+
+    const isMine = (id) => id && id.toString() === userId.toString();
+
+    const documents = {
+      'profile.json': profile,
+      'trips.json': {
+        created: createdTrips,
+        joined: joinedTrips.map(({ participants, ...trip }) => ({
+          ...trip,
+          participation: participants.find(p => isMine(p.user))
+        }))
+      },
+      'matches.json': matches,
+      'messages.json': messages,
+      'reviews.json': {
+        written: reviewsWritten,
+        received: reviewsReceived
+      },
+      'follows.json': {
+        following,
+        followers
+      },
+      'community.json': {
+        posts,
+        comments: commentedPosts.flatMap(post => post.comments
+          .filter(comment => isMine(comment.user))
+          .map(comment => ({ postId: post._id, postTitle: post.title, ...comment }))),
+        events
+      },
+      'emergency.json': {
+        contacts: emergencyContacts,
+        history: emergencyHistory,
+        locationShares
+      }
+    };
+
+    const uploads = [
+      user.profilePicture,
+      ...(user.verificationDocuments || []),
+      ...Object.values(user.verification?.identity?.documents || {}),
+      ...posts.flatMap(post => (post.images || []).map(image => image.url)),
+      ...messages.flatMap(message => (message.attachments || []).map(attachment => attachment.url)),
+      ...createdTrips.flatMap(trip => (trip.attachments || [])
+        .filter(attachment => isMine(attachment.uploadedBy))
+        .map(attachment => attachment.url))
+    ]
+      .map(storedPath => resolveUploadPath(storedPath))
+      .filter(Boolean);
+
+    return { documents, uploads: [...new Set(uploads)] };
+  }
+
+  static writeArchive(filePath, documents, uploads) {
+    return new Promise((resolve, reject) => {
+      const output = fs.createWriteStream(filePath);
+      const archive = archiver('zip', { zlib: { level: 9 } });
+
+      output.on('close', resolve);
+      archive.on('error', reject);
+      archive.on('warning', (warning) => logger.warn('Data export archive warning:', warning));
+
+      archive.pipe(output);
+
+      Object.entries(documents).forEach(([name, data]) => {
+        archive.append(JSON.stringify(data, null, 2), { name });
+      });
+
+      uploads
+        .filter(uploadPath => fs.existsSync(uploadPath))
+        .forEach(uploadPath => {
+          archive.file(uploadPath, { name: `files/${path.basename(uploadPath)}` });
+        });
+
+      archive.finalize();
+    });
+  }
+
+  static async notifyReady(dataExport) {
+    const user = await User.findById(dataExport.user).select('email name');
+    if (!user) return;
+
+    try {
+      await notifier.sendEmail(
+        user.email,
+        'Your Travio data export is ready',
+        [
+          `Hi ${user.name || 'traveler'},`,
+          '',
+          'The copy of your Travio data you asked for is ready to download from your account settings.',
+          `It will be available for ${EXPORT_TTL_DAYS} days.`
+        ].join('\n')
+      );
+    } catch (error) {
+      logger.error('Data export notification error:', error);
+    }
+  }
+
+  /**
+   * Delete an export archive and its record
+   */
+  static async removeExport(dataExport) {
+    if (dataExport.filePath) {
+      await fs.promises.rm(dataExport.filePath, { force: true });
+    }
+    await DataExport.deleteOne({ _id: dataExport._id });
+  }
+
+  static async removeAllForUser(userId) {
+    const exports = await DataExport.find({ user: userId });
+    for (const dataExport of exports) {
+      await this.removeExport(dataExport);
+    }
+  }
+
+  /**
+   * Delete archives past their download window
+   */
+  static async purgeExpired() {
+    const expired = await DataExport.find({ expiresAt: { $lte: new Date() } });
+    for (const dataExport of expired) {
+      await this.removeExport(dataExport);
+    }
+    return expired.length;
+  }
+}
+
+module.exports = DataExportService;
@@ -0,0 +1,148 @@
+const User = require('../models/User');
+const BlockService = require('./blockService');
+const ProfileService = require('./profileService');
+const { toRadians, haversineDistance } = require('../utils/geo');
+const logger = require('../utils/logger');
+
+const MIN_UPDATE_INTERVAL_MS = 60 * 1000; // 1 minute
+const LOCATION_MAX_AGE_MS = 24 * 60 * 60 * 1000; // 24 hours
+const MAX_INVISIBLE_HOURS = 7 * 24;
+const FUZZ_METERS = 1000;
+const METERS_PER_DEGREE = 111320;
+
+// Distances are only ever shown as one of these ranges
+const DISTANCE_BUCKETS = [
+  { maxMeters: 1000, label: 'under 1 km' },
+  { maxMeters: 5000, label: '1-5 km' },
+  { maxMeters: 10000, label: '5-10 km' },
+  { maxMeters: 25000, label: '10-25 km' },
+  { maxMeters: 50000, label: '25-50 km' },
+  { maxMeters: Infinity, label: 'over 50 km' }
+];
+
+// Profile fields plus the position needed to place nearby results
+const NEARBY_FIELDS = `${ProfileService.PROFILE_FIELDS} currentLocation`;
+
+class DiscoveryService {
+  /**
+   * Store the user's position. Returns `{ retryAfter }` in seconds when the
+   * last update was too recent, or null when the user does not exist.
+   */
+  static async updateLocation(userId, { coordinates, address }) {
+    const now = new Date();
+
+    const user = await User.findOneAndUpdate(
+      {
+        _id: userId,
+        $or: [
+          { 'currentLocation.lastUpdated': null },
+          { 'currentLocation.lastUpdated': { $lte: new Date(now.getTime() - MIN_UPDATE_INTERVAL_MS) } }
+        ]
+      },
+      {
+        $set: {
+          currentLocation: {
+            type: 'Point',
+            coordinates,
+            address,
+            lastUpdated: now
+          }
+        }
+      },
+      { new: true }
+    ).select('currentLocation privacy');
+
+    if (user) return { user };
+
+    const existing = await User.findById(userId).select('currentLocation.lastUpdated');
+    if (!existing) return null;
+
+    const nextUpdate = existing.currentLocation.lastUpdated.getTime() + MIN_UPDATE_INTERVAL_MS;
+    return { retryAfter: Math.max(1, Math.ceil((nextUpdate - now.getTime()) / 1000)) };
+  }
+
+  /**
+   * Hide the user from nearby discovery for a number of hours
+   */
+  static async goInvisible(userId, hours) {
+    const invisibleUntil = new Date(Date.now() + Math.min(hours, MAX_INVISIBLE_HOURS) * 60 * 60 * 1000);
+    await User.updateOne({ _id: userId }, { $set: { 'privacy.invisibleUntil': invisibleUntil } });
+    logger.info(`User ${userId} invisible until ${invisibleUntil.toISOString()}`);
+    return invisibleUntil;
+  }
+
+  static async becomeVisible(userId) {
+    await User.updateOne({ _id: userId }, { $unset: { 'privacy.invisibleUntil': 1 } });
+  }
+
+  /**
+   * Snap a position to the centre of a grid cell about FUZZ_METERS wide, so
+   * everyone in the same cell shows at the same point and repeated requests
+   * cannot be averaged out
+   */
+  static fuzzCoordinates([lng, lat]) {
+    const latStep = FUZZ_METERS / METERS_PER_DEGREE;
+    const fuzzedLat = (Math.floor(lat / latStep) + 0.5) * latStep;
+
+    const lngStep = FUZZ_METERS / (METERS_PER_DEGREE * Math.max(Math.cos(toRadians(fuzzedLat)), 0.01));
+    const fuzzedLng = (Math.floor(lng / lngStep) + 0.5) * lngStep;
+
+    return [
+      Math.round(Math.max(-180, Math.min(180, fuzzedLng)) * 1e4) / 1e4,
+      Math.round(Math.max(-90, Math.min(90, fuzzedLat)) * 1e4) / 1e4
+    ];
+  }
+
+  static getDistanceBucket(meters) {
+    return DISTANCE_BUCKETS.find(bucket => meters < bucket.maxMeters).label;
+  }
+
+  /**
+   * Travelers near the user's own last shared position, nearest first.
+   * Returns null when the user has not shared a recent position. Results
+   * carry fuzzed positions and distance ranges, never exact coordinates.
+   */
+  static async findNearby(userId, { radius, interests, languages, verifiedOnly, page, limit }) {
+    const since = new Date(Date.now() - LOCATION_MAX_AGE_MS);
+    const user = await User.findById(userId).select('currentLocation');
+
+    if (!user || !user.currentLocation.lastUpdated || user.currentLocation.lastUpdated < since) {
+      return null;
+    }
+
+    const hiddenUserIds = await BlockService.getHiddenUserIds(userId);
+    const filters = { _id: { $nin: [userId, ...hiddenUserIds] } };
+
+    if (interests && interests.length > 0) {
+      filters.travelInterests = { $in: interests };
+    }
+    if (languages && languages.length > 0) {
+      filters.languages = { $in: languages };
+    }
+    if (verifiedOnly) {
+      filters.isVerified = true;
+    }
+
+    const origin = user.currentLocation.coordinates;
+
+    const travelers = await User.findNearby(origin, radius, { since, filters })
+      .select(NEARBY_FIELDS)
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    const relationships = await ProfileService.getRelationships(userId, travelers.map(traveler => traveler._id));
+
+    return travelers.map(traveler => ({
+      ...traveler.getPublicProfile(relationships.get(traveler._id.toString())),
+      approximateLocation: {
+        type: 'Point',
+        coordinates: this.fuzzCoordinates(traveler.currentLocation.coordinates)
+      },
+      distance: this.getDistanceBucket(haversineDistance(origin, traveler.currentLocation.coordinates))
+    }));
+  }
+}
+
+DiscoveryService.MAX_INVISIBLE_HOURS = MAX_INVISIBLE_HOURS;
+
+module.exports = DiscoveryService;
@@ -0,0 +1,66 @@
+const nodemailer = require('nodemailer');
+const logger = require('../utils/logger');
+
+class EmailService {
+  constructor() {
+    this.transporter = null;
+  }
+
+  /**
+   * The mail transport, created on first use so it follows the settings
+   * loaded from .env. Without SendGrid credentials (development, tests)
+   * messages are only rendered and logged instead of being delivered.
+   */
+  getTransporter() {
+    if (!this.transporter) {
+      this.transporter = process.env.SENDGRID_API_KEY
+        ? nodemailer.createTransport({
+          host: 'smtp.sendgrid.net',
+          port: 587,
+          auth: {
+            user: 'apikey',
+            pass: process.env.SENDGRID_API_KEY
+          }
+        })
+        : nodemailer.createTransport({ jsonTransport: true });
+    }
+    return this.transporter;
+  }
+
+  /**
+   * Send a plain-text email. Failures are logged, never thrown, so a mail
+   * outage does not break the request that triggered it.
+   */
+  async send({ to, subject, text }) {
+    try {
+      const from = process.env.FROM_EMAIL || 'noreply@travio.com';
+      await this.getTransporter().sendMail({ from, to, subject, text });
+      logger.info(`Email sent to ${to}: ${subject}`);
+      return true;
+    } catch (error) {
+      logger.error(`Send email error (${subject}):`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Tell the account owner that repeated failed logins locked their account
+   */
+  async sendAccountLocked(user, lockoutMinutes) {
+    return this.send({
+      to: user.email,
+      subject: 'Your Travio account has been temporarily locked',
+      text: [
+        `Hi ${user.name || 'traveler'},`,
+        '',
+        `We noticed several failed sign-in attempts on your account, so we locked it for ${lockoutMinutes} minutes.`,
+        'If this was you, you can try again once the lock expires or reset your password.',
+        'If it was not you, we recommend resetting your password and enabling two-factor authentication.',
+        '',
+        'The Travio Team'
+      ].join('\n')
+    });
+  }
+}
+
+module.exports = new EmailService();
@@ -0,0 +1,276 @@
+const User = require('../models/User');
+const Trip = require('../models/Trip');
+const Follow = require('../models/Follow');
+const BlockService = require('./blockService');
+const logger = require('../utils/logger');
+
+const PUBLIC_FIELDS = 'name profilePicture bio isVerified followersCount followingCount';
+
+// Weight of each reason a user is suggested, keyed by the counter it bumps
+const SUGGESTION_WEIGHTS = {
+  sharedTrips: 3,
+  mutualFollows: 2,
+  sharedInterests: 1
+};
+const SUGGESTION_CANDIDATE_LIMIT = 200;
+
+const adjustCounts = (followerId, followingId, delta) => Promise.all([
+  User.updateOne({ _id: followerId }, { $inc: { followingCount: delta } }),
+  User.updateOne({ _id: followingId }, { $inc: { followersCount: delta } })
+]);
+
+class FollowService {
+  /**
+   * Follow a user, or ask to when their account is private. Returns the
+   * edge, null when the target does not exist, 'blocked' when either user
+   * blocked the other, or 'exists' when an edge is already there.
+   */
+  static async follow(followerId, targetId) {
+    const target = await User.findOne({ _id: targetId, isActive: true }).select('privacy.privateAccount');
+    if (!target) return null;
+
+    if (await BlockService.isBlockedBetween(followerId, targetId)) return 'blocked';
+
+    const isPrivate = Boolean(target.privacy && target.privacy.privateAccount);
+    let edge;
+
+    try {
+      edge = await Follow.create({
+        follower: followerId,
+        following: targetId,
+        status: isPrivate ? 'pending' : 'accepted',
+        acceptedAt: isPrivate ? undefined : new Date()
+      });
+    } catch (error) {
+      if (error.code === 11000) return 'exists';
+      throw error;
+    }
+
+    if (edge.status === 'accepted') {
+      await adjustCounts(followerId, targetId, 1);
+    }
+
+    logger.info(`User ${followerId} ${isPrivate ? 'requested to follow' : 'followed'} ${targetId}`);
+
+    return edge;
+  }
+
+  /**
+   * Remove an edge, whether accepted or still pending. Returns false when
+   * there was none.
+   */
+  static async removeEdge(followerId, followingId) {
+    const edge = await Follow.findOneAndDelete({ follower: followerId, following: followingId });
+    if (!edge) return false;
+
+    if (edge.status === 'accepted') {
+      await adjustCounts(followerId, followingId, -1);
+    }
+    return true;
+  }
+
+  static async unfollow(followerId, targetId) {
+    return this.removeEdge(followerId, targetId);
+  }
+
+  static async removeFollower(userId, followerId) {
+    return this.removeEdge(followerId, userId);
+  }
+
+  /**
+   * Drop every edge between two users, e.g. when one blocks the other
+   */
+  static async removeEdgesBetween(userId, otherId) {
+    await this.removeEdge(userId, otherId);
+    await this.removeEdge(otherId, userId);
+  }
+
+  /**
+   * Drop every edge touching a user and fix the other side's counts
+   */
+  static async removeAllForUser(userId) {
+    const edges = await Follow.find({ $or: [{ follower: userId }, { following: userId }] });
+
+    for (const edge of edges) {
+      await this.removeEdge(edge.follower, edge.following);
+    }
+  }
+
+  /**
+   * Accept or decline a pending follow request. Returns null when there is
+   * no such request.
+   */
+  static async respondToRequest(userId, followerId, accept) {
+    if (!accept) {
+      return Follow.findOneAndDelete({ follower: followerId, following: userId, status: 'pending' });
+    }
+
+    const edge = await Follow.findOneAndUpdate(
+      { follower: followerId, following: userId, status: 'pending' },
+      { $set: { status: 'accepted', acceptedAt: new Date() } },
+      { new: true }
+    );
+
+    if (edge) {
+      await adjustCounts(followerId, userId, 1);
+    }
+    return edge;
+  }
+
+  /**
+   * Accept every pending request, e.g. once the account is made public
+   */
+  static async acceptPendingRequests(userId) {
+    const pending = await Follow.find({ following: userId, status: 'pending' }).select('follower');
+
+    for (const edge of pending) {
+      await this.respondToRequest(userId, edge.follower, true);
+    }
+  }
+
+  /**
+   * Whether the viewer may see the user's follow lists: always for public
+   * accounts, and for private ones only the owner and accepted followers
+   */
+  static async canViewConnections(viewerId, user) {
+    if (!user.privacy || !user.privacy.privateAccount) return true;
+    if (user._id.toString() === viewerId.toString()) return true;
+
+    return Boolean(await Follow.exists({ follower: viewerId, following: user._id, status: 'accepted' }));
+  }
+
+  /**
+   * Page through accepted followers ('followers') or followed users
+   * ('following') of a user, newest first
+   */
+  static async listConnections(userId, direction, { page = 1, limit = 20, status = 'accepted' } = {}) {
+    const isFollowers = direction === 'followers';
+    const filter = isFollowers ? { following: userId, status } : { follower: userId, status };
+    const otherSide = isFollowers ? 'follower' : 'following';
+
+    const [edges, total] = await Promise.all([
+      Follow.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate(otherSide, PUBLIC_FIELDS),
+      Follow.countDocuments(filter)
+    ]);
+
+    return {
+      users: edges
+        .filter(edge => edge[otherSide])
+        .map(edge => ({ user: edge[otherSide], since: edge.acceptedAt || edge.createdAt })),
+      total
+    };
+  }
+
+  /**
+   * Ids of the user's friends: users they follow who follow them back
+   */
+  static async getFriendIds(userId) {
+    const following = await Follow.find({ follower: userId, status: 'accepted' }).select('following');
+    const followingIds = following.map(edge => edge.following);
+
+    const mutual = await Follow.find({
+      follower: { $in: followingIds },
+      following: userId,
+      status: 'accepted'
+    }).select('follower');
+
+    return mutual.map(edge => edge.follower);
+  }
+
+  static async areFriends(userId, otherId) {
+    const [outgoing, incoming] = await Promise.all([
+      Follow.exists({ follower: userId, following: otherId, status: 'accepted' }),
+      Follow.exists({ follower: otherId, following: userId, status: 'accepted' })
+    ]);
+    return Boolean(outgoing && incoming);
+  }
+
+  /**
+   * "People you may know": users who travelled with the user, are followed
+   * by people they follow, or share their travel interests, best first
+   */
+  static async getSuggestions(userId, { limit = 10 } = {}) {
+    const user = await User.findById(userId).select('travelInterests');
+    if (!user) return [];
+
+    const [existing, hiddenUserIds, trips] = await Promise.all([
+      Follow.find({ follower: userId }).select('following'),
+      BlockService.getHiddenUserIds(userId),
+      Trip.find({
+        $or: [
+          { creator: userId },
+          { participants: { $elemMatch: { user: userId, status: 'accepted' } } }
+        ]
+      }).select('creator participants')
+    ]);
+
+    const excluded = new Set([userId.toString(), ...hiddenUserIds, ...existing.map(edge => edge.following.toString())]);
+    const candidates = new Map();
+
+    const addReason = (candidateId, reason) => {
+      const id = candidateId.toString();
+      if (excluded.has(id)) return;
+
+      if (!candidates.has(id)) {
+        candidates.set(id, { score: 0, sharedTrips: 0, mutualFollows: 0, sharedInterests: 0 });
+      }
+      const candidate = candidates.get(id);
+      candidate[reason] += 1;
+      candidate.score += SUGGESTION_WEIGHTS[reason];
+    };
+
+    // Travel partners
+    trips.forEach((trip) => {
+      addReason(trip.creator, 'sharedTrips');
+      trip.participants
+        .filter(participant => participant.status === 'accepted' && participant.user)
+        .forEach(participant => addReason(participant.user, 'sharedTrips'));
+    });
+
+    // Followed by people the user follows
+    const secondDegree = await Follow.find({
+      follower: { $in: existing.map(edge => edge.following) },
+      status: 'accepted'
+    })
+      .select('following')
+      .limit(SUGGESTION_CANDIDATE_LIMIT * 5);
+    secondDegree.forEach(edge => addReason(edge.following, 'mutualFollows'));
+
+    // Shared travel interests
+    if (user.travelInterests.length > 0) {
+      const alike = await User.find({
+        _id: { $nin: [...excluded] },
+        isActive: true,
+        travelInterests: { $in: user.travelInterests }
+      })
+        .select('travelInterests')
+        .sort({ trustScore: -1 })
+        .limit(SUGGESTION_CANDIDATE_LIMIT);
+
+      alike.forEach((other) => {
+        other.travelInterests
+          .filter(interest => user.travelInterests.includes(interest))
+          .forEach(() => addReason(other._id, 'sharedInterests'));
+      });
+    }
+
+    const ranked = [...candidates.entries()]
+      .sort(([, a], [, b]) => b.score - a.score)
+      .slice(0, limit * 2);
+
+    const profiles = await User.find({ _id: { $in: ranked.map(([id]) => id) }, isActive: true })
+      .select(PUBLIC_FIELDS);
+    const profilesById = new Map(profiles.map(profile => [profile._id.toString(), profile]));
+
+    return ranked
+      .filter(([id]) => profilesById.has(id))
+      .slice(0, limit)
+      .map(([id, { score, ...reasons }]) => ({ user: profilesById.get(id), reasons }));
+  }
+}
+
+module.exports = FollowService;
@@ -0,0 +1,285 @@
+const fs = require('fs');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { notifier } = require('./notifier');
+const { identityVerifier } = require('./identityVerifier');
+const TrustScoreService = require('./trustScoreService');
+const jobQueue = require('./jobQueue');
+const { resolveUploadPath } = require('../utils/uploads');
+const logger = require('../utils/logger');
+
+// Identity documents users can submit; each maps to a `verificationMethod`
+const DOCUMENT_TYPES = ['government-id', 'passport'];
+
+// Files a submission can include
+const DOCUMENT_NAMES = ['idDocument', 'selfie'];
+
+class IdentityVerificationService {
+  /**
+   * Store a new submission, replacing any earlier one that was not
+   * approved, and queue the automated checks. Returns null when the user is
+   * already verified.
+   */
+  static async submit(userId, { type, idDocument, selfie, mrz, documentExpiry }) {
+    const user = await User.findById(userId);
+    if (!user || user.isVerified) return null;
+
+    const previous = user.verification.identity?.documents;
+    if (previous) {
+      await this.removeDocuments(
+        DOCUMENT_NAMES.map(name => previous[name]).filter(storedPath => storedPath !== idDocument && storedPath !== selfie)
+      );
+    }
+
+    user.verification.identity = {
+      type: DOCUMENT_TYPES.includes(type) ? type : 'government-id',
+      documents: { idDocument, selfie },
+      mrz,
+      documentExpiry,
+      status: 'pending',
+      submittedAt: new Date()
+    };
+
+    await user.save();
+
+    logger.info(`Identity verification submitted by user ${user._id}`);
+
+    this.enqueueAutomatedCheck(user._id, user.verification.identity.submittedAt);
+
+    return user;
+  }
+
+  static enqueueAutomatedCheck(userId, submittedAt) {
+    jobQueue.enqueue(`identity-check:${userId}`, () => this.runAutomatedCheck(userId, submittedAt));
+  }
+
+  /**
+   * Re-queue checks for submissions received before a restart
+   */
+  static async resumeAutomatedChecks() {
+    const pending = await User.find({
+      'verification.identity.status': 'pending',
+      'verification.identity.automatedCheck.checkedAt': null
+    }).select('verification.identity.submittedAt');
+
+    pending.forEach(user => this.enqueueAutomatedCheck(user._id, user.verification.identity.submittedAt));
+    return pending.length;
+  }
+
+  /**
+   * Run the configured verifier on a pending submission and record the
+   * result. Clear accepts and rejects are decided straight away; anything
+   * else stays in the reviewer queue. Skipped when the submission was
+   * replaced or decided in the meantime.
+   */
+  static async runAutomatedCheck(userId, submittedAt) {
+    const submission = {
+      _id: userId,
+      'verification.identity.status': 'pending',
+      'verification.identity.submittedAt': submittedAt
+    };
+
+    const user = await User.findOne(submission).select('verification.identity');
+    if (!user) return null;
+
+    const identity = user.verification.identity;
+    const result = await identityVerifier.verify({
+      type: identity.type,
+      idDocumentPath: resolveUploadPath(identity.documents.idDocument, 'verification'),
+      selfiePath: resolveUploadPath(identity.documents.selfie, 'verification'),
+      mrz: identity.mrz,
+      documentExpiry: identity.documentExpiry
+    });
+
+    const automatedCheck = { ...result, checkedAt: new Date() };
+    const updated = await User.updateOne(submission, { $set: { 'verification.identity.automatedCheck': automatedCheck } });
+    if (!updated.modifiedCount) return null;
+
+    logger.info(`Automated identity check for user ${userId}: ${result.outcome}`);
+
+    if (result.outcome === 'manual-review') return automatedCheck;
+
+    const approved = result.outcome === 'accept';
+    await this.decide(userId, null, {
+      approved,
+      reason: approved
+        ? undefined
+        : result.checks.filter(c => c.status === 'fail').map(c => c.detail).join('. ') ||
+          'Your selfie does not match the photo on your document',
+      verificationMethod: approved ? 'face-match' : undefined,
+      submittedAt
+    });
+
+    return automatedCheck;
+  }
+
+  /**
+   * Pending submissions, oldest first
+   */
+  static async listPending({ page = 1, limit = 20 } = {}) {
+    const query = { 'verification.identity.status': 'pending' };
+
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .select('name email profilePicture createdAt verification.identity')
+        .sort({ 'verification.identity.submittedAt': 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(query)
+    ]);
+
+    return { submissions: users.map(user => this.formatSubmission(user)), total };
+  }
+
+  static formatSubmission(user) {
+    const identity = user.verification.identity;
+
+    return {
+      userId: user._id,
+      name: user.name,
+      email: user.email,
+      accountCreatedAt: user.createdAt,
+      type: identity.type,
+      status: identity.status,
+      documentExpiry: identity.documentExpiry,
+      submittedAt: identity.submittedAt,
+      automatedCheck: identity.automatedCheck,
+      reviewedAt: identity.reviewedAt,
+      reviewedBy: identity.reviewedBy,
+      rejectionReason: identity.rejectionReason,
+      documents: DOCUMENT_NAMES.filter(name => identity.documents?.[name])
+    };
+  }
+
+  /**
+   * Absolute path of a submitted document, or null when it is missing or
+   * stored outside uploads/verification/
+   */
+  static async getDocumentPath(userId, documentName) {
+    const user = await User.findById(userId).select('verification.identity');
+    const storedPath = user?.verification?.identity?.documents?.[documentName];
+    const filePath = resolveUploadPath(storedPath, 'verification');
+
+    return filePath && fs.existsSync(filePath) ? filePath : null;
+  }
+
+  /**
+   * Approve or reject a pending submission. Only one reviewer can decide a
+   * submission; a null reviewer is the automated check, which also passes
+   * the `submittedAt` it checked. Returns the updated user, or null when
+   * nothing is pending.
+   */
+  static async decide(userId, reviewerId, { approved, reason, ipAddress, verificationMethod, submittedAt }) {
+    const decision = {
+      'verification.identity.status': approved ? 'approved' : 'rejected',
+      'verification.identity.reviewedAt': new Date(),
+      'verification.identity.reviewedBy': reviewerId
+    };
+    if (!approved) {
+      decision['verification.identity.rejectionReason'] = reason;
+    }
+
+    const filter = { _id: userId, 'verification.identity.status': 'pending' };
+    if (submittedAt) {
+      filter['verification.identity.submittedAt'] = submittedAt;
+    }
+
+    const user = await User.findOneAndUpdate(
+      filter,
+      { $set: decision },
+      { new: true }
+    );
+
+    if (!user) return null;
+
+    if (approved) {
+      user.isVerified = true;
+      user.verificationMethod = verificationMethod || user.verification.identity.type;
+    }
+    await user.save();
+    user.trustScore = await TrustScoreService.recalculate(user._id, approved ? 'identity-verified' : 'identity-rejected');
+
+    await AuditLog.record({
+      actor: reviewerId,
+      action: approved ? 'verification.approve' : 'verification.reject',
+      targetUser: user._id,
+      details: {
+        type: user.verification.identity.type,
+        automated: !reviewerId,
+        faceMatchScore: user.verification.identity.automatedCheck?.faceMatchScore
+      },
+      reason,
+      ipAddress
+    });
+
+    logger.info(`Identity verification ${approved ? 'approved' : 'rejected'} for user ${user._id} by ${reviewerId || 'automated checks'}`);
+
+    await this.notifyDecision(user, approved, reason);
+
+    return user;
+  }
+
+  /**
+   * Record that a reviewer opened one of a user's documents
+   */
+  static async recordDocumentView(userId, reviewerId, documentName, ipAddress) {
+    await AuditLog.record({
+      actor: reviewerId,
+      action: 'verification.document-viewed',
+      targetUser: userId,
+      details: { document: documentName },
+      ipAddress
+    });
+  }
+
+  static async notifyDecision(user, approved, reason) {
+    const text = approved
+      ? [
+        `Hi ${user.name || 'traveler'},`,
+        '',
+        'Your identity has been verified. Your profile now shows the verified badge and you can use every Travio feature.'
+      ]
+      : [
+        `Hi ${user.name || 'traveler'},`,
+        '',
+        'We could not verify your identity from the documents you sent.',
+        `Reason: ${reason}`,
+        '',
+        'You can submit new documents from your account settings.'
+      ];
+
+    try {
+      await notifier.sendEmail(
+        user.email,
+        approved ? 'Your Travio identity is verified' : 'Your Travio identity verification needs attention',
+        text.join('\n')
+      );
+    } catch (error) {
+      logger.error('Verification decision notification error:', error);
+    }
+
+    const io = global.io;
+    if (io) {
+      io.to(`user-${user._id}`).emit('verification-decision', {
+        status: approved ? 'approved' : 'rejected',
+        reason: approved ? undefined : reason
+      });
+    }
+  }
+
+  // Delete the files of a replaced submission
+  static async removeDocuments(storedPaths) {
+    const paths = storedPaths
+      .map(storedPath => resolveUploadPath(storedPath, 'verification'))
+      .filter(Boolean);
+
+    for (const filePath of paths) {
+      await fs.promises.rm(filePath, { force: true });
+    }
+  }
+}
+
+IdentityVerificationService.DOCUMENT_TYPES = DOCUMENT_TYPES;
+IdentityVerificationService.DOCUMENT_NAMES = DOCUMENT_NAMES;
+
+module.exports = IdentityVerificationService;
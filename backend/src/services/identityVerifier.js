@@ -0,0 +1,284 @@
+const path = require('path');
+const { parsePassportMrz } = require('../utils/mrz');
+const logger = require('../utils/logger');
+
+/**
+ * Verifiers check an identity submission `{ type, idDocumentPath,
+ * selfiePath, mrz, documentExpiry }` and resolve to `{ checks,
+ * faceMatchScore }`. Each check is `{ name, status, detail }` with status
+ * 'pass', 'fail' or 'inconclusive'; faceMatchScore is the selfie-to-ID
+ * similarity from 0 to 1, or null when it could not be computed.
+ */
+
+// Minimum dimensions in pixels for a readable document and a usable selfie
+const MIN_DOCUMENT_SIZE = { width: 800, height: 500 };
+const MIN_SELFIE_SIZE = { width: 320, height: 320 };
+// Mean brightness (0-255) outside this range means a dark or washed-out photo
+const BRIGHTNESS_RANGE = { min: 40, max: 225 };
+// Below this the Laplacian-based sharpness estimate indicates a blurred photo
+const MIN_SHARPNESS = 1;
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp'];
+
+const check = (name, status, detail) => ({ name, status, detail });
+
+const isImage = (filePath) => Boolean(filePath) && IMAGE_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+
+/**
+ * Deterministic verifier that runs entirely on this machine. Document
+ * checks are real: MRZ parsing and check digits, expiry dates and image
+ * quality. The face match compares perceptual fingerprints of the two
+ * images rather than detecting faces, so the same inputs always give the
+ * same score; it is meant for tests, where identical or unrelated fixture
+ * photos give clear results. The score is only shown to reviewers and never
+ * approves or rejects a submission by itself.
+ */
+class LocalVerifier {
+  constructor() {
+    this.name = 'local';
+    this.faceMatchIsAdvisory = true;
+    this.sharp = null;
+  }
+
+  getSharp() {
+    if (!this.sharp) {
+      this.sharp = require('sharp');
+    }
+    return this.sharp;
+  }
+
+  async verify({ type, idDocumentPath, selfiePath, mrz, documentExpiry }) {
+    const checks = [];
+    let expiryDate = documentExpiry ? new Date(documentExpiry) : null;
+
+    if (type === 'passport') {
+      const mrzCheck = this.checkMrz(mrz);
+      checks.push(mrzCheck.check);
+      if (mrzCheck.parsed && mrzCheck.parsed.expiryDate) {
+        expiryDate = mrzCheck.parsed.expiryDate;
+      }
+    }
+
+    checks.push(this.checkExpiry(expiryDate));
+    checks.push(await this.checkImageQuality('document-quality', idDocumentPath, MIN_DOCUMENT_SIZE));
+
+    let faceMatchScore = null;
+
+    if (selfiePath) {
+      checks.push(await this.checkImageQuality('selfie-quality', selfiePath, MIN_SELFIE_SIZE));
+      faceMatchScore = await this.compareFaces(idDocumentPath, selfiePath);
+    }
+
+    return { checks, faceMatchScore };
+  }
+
+  checkMrz(mrz) {
+    if (!mrz) {
+      return { check: check('mrz', 'inconclusive', 'No machine-readable zone was provided') };
+    }
+
+    const parsed = parsePassportMrz(mrz);
+
+    if (!parsed) {
+      return { check: check('mrz', 'fail', 'The machine-readable zone could not be read') };
+    }
+
+    if (!parsed.valid) {
+      const failed = Object.keys(parsed.checks).filter(field => !parsed.checks[field]);
+      return { parsed, check: check('mrz', 'fail', `Machine-readable zone check digits do not match (${failed.join(', ')})`) };
+    }
+
+    return { parsed, check: check('mrz', 'pass', 'Machine-readable zone is valid') };
+  }
+
+  checkExpiry(expiryDate) {
+    if (!expiryDate || isNaN(expiryDate.getTime())) {
+      return check('expiry', 'inconclusive', 'The document expiry date is unknown');
+    }
+
+    if (expiryDate.getTime() < Date.now()) {
+      return check('expiry', 'fail', 'The document has expired');
+    }
+
+    return check('expiry', 'pass', `Valid until ${expiryDate.toISOString().slice(0, 10)}`);
+  }
+
+  async checkImageQuality(name, filePath, minSize) {
+    if (!isImage(filePath)) {
+      return check(name, 'inconclusive', 'Image quality can only be checked on photos');
+    }
+
+    try {
+      const image = this.getSharp()(filePath);
+      const { width, height } = await image.metadata();
+
+      if (width < minSize.width || height < minSize.height) {
+        return check(name, 'fail', `The photo is too small (${width}x${height}, at least ${minSize.width}x${minSize.height} needed)`);
+      }
+
+      const { channels, sharpness } = await image.stats();
+      const colourChannels = channels.slice(0, 3);
+      const brightness = colourChannels.reduce((sum, channel) => sum + channel.mean, 0) / colourChannels.length;
+
+      if (brightness < BRIGHTNESS_RANGE.min) {
+        return check(name, 'fail', 'The photo is too dark');
+      }
+      if (brightness > BRIGHTNESS_RANGE.max) {
+        return check(name, 'fail', 'The photo is overexposed');
+      }
+      if (sharpness < MIN_SHARPNESS) {
+        return check(name, 'fail', 'The photo is blurry');
+      }
+
+      return check(name, 'pass', 'Photo quality is sufficient');
+    } catch (error) {
+      logger.warn(`Image quality check failed for ${filePath}:`, error.message);
+      return check(name, 'inconclusive', 'The photo could not be analysed');
+    }
+  }
+
+  // Difference hash: one bit per horizontally adjacent pixel pair of a 9x8
+  // greyscale thumbnail
+  async fingerprint(filePath) {
+    const pixels = await this.getSharp()(filePath)
+      .greyscale()
+      .resize(9, 8, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+
+    const bits = [];
+    for (let row = 0; row < 8; row++) {
+      for (let col = 0; col < 8; col++) {
+        bits.push(pixels[row * 9 + col] > pixels[row * 9 + col + 1]);
+      }
+    }
+    return bits;
+  }
+
+  async compareFaces(idDocumentPath, selfiePath) {
+    if (!isImage(idDocumentPath) || !isImage(selfiePath)) return null;
+
+    try {
+      const [documentBits, selfieBits] = await Promise.all([
+        this.fingerprint(idDocumentPath),
+        this.fingerprint(selfiePath)
+      ]);
+
+      const distance = documentBits.filter((bit, i) => bit !== selfieBits[i]).length;
+      return 1 - distance / documentBits.length;
+    } catch (error) {
+      logger.warn('Face comparison failed:', error.message);
+      return null;
+    }
+  }
+}
+
+/**
+ * Verifier that checks nothing, so every submission goes to a reviewer
+ */
+class ManualReviewVerifier {
+  constructor() {
+    this.name = 'manual';
+  }
+
+  async verify() {
+    return {
+      checks: [check('automated-checks', 'inconclusive', 'Automated checks are disabled')],
+      faceMatchScore: null
+    };
+  }
+}
+
+/**
+ * Pick the verifier from IDENTITY_VERIFIER: 'manual', the path of a module
+ * exporting a verifier class (e.g. a hosted KYC provider adapter), or
+ * 'local' when running tests. Defaults to manual review.
+ */
+const createVerifier = () => {
+  const verifierType = process.env.IDENTITY_VERIFIER || 'manual';
+
+  switch (verifierType) {
+    case 'local':
+      if (process.env.NODE_ENV !== 'test') {
+        logger.warn('IDENTITY_VERIFIER=local is only available when NODE_ENV=test; using manual review');
+        return new ManualReviewVerifier();
+      }
+      return new LocalVerifier();
+    case 'manual':
+      return new ManualReviewVerifier();
+    default: {
+      const Verifier = require(path.resolve(verifierType));
+      return new Verifier();
+    }
+  }
+};
+
+/**
+ * Thresholds for the selfie-to-ID score: at or above `accept` the faces
+ * match, below `reject` they clearly do not, anything between needs a
+ * reviewer
+ */
+const getFaceMatchThresholds = () => ({
+  accept: parseFloat(process.env.FACE_MATCH_ACCEPT_SCORE) || 0.9,
+  reject: parseFloat(process.env.FACE_MATCH_REJECT_SCORE) || 0.5
+});
+
+/**
+ * Turn verifier results into 'accept', 'reject' or 'manual-review'. A
+ * failed check or a clear face mismatch rejects; only a submission where
+ * every check passed and the faces clearly match is accepted.
+ */
+const getOutcome = ({ checks, faceMatchScore }) => {
+  const thresholds = getFaceMatchThresholds();
+
+  if (checks.some(result => result.status === 'fail')) return 'reject';
+  if (faceMatchScore !== null && faceMatchScore < thresholds.reject) return 'reject';
+
+  if (checks.every(result => result.status === 'pass') &&
+      faceMatchScore !== null && faceMatchScore >= thresholds.accept) {
+    return 'accept';
+  }
+
+  return 'manual-review';
+};
+
+class IdentityVerifier {
+  constructor(verifier = null) {
+    this.verifier = verifier;
+  }
+
+  setVerifier(verifier) {
+    this.verifier = verifier;
+  }
+
+  // Picked on first use so IDENTITY_VERIFIER from .env is honoured
+  getVerifier() {
+    if (!this.verifier) this.verifier = createVerifier();
+    return this.verifier;
+  }
+
+  /**
+   * Run the configured verifier. Returns its checks and face match score
+   * with the resulting outcome. Advisory face match scores are recorded for
+   * reviewers but do not count towards the outcome.
+   */
+  async verify(submission) {
+    const verifier = this.getVerifier();
+    const { checks, faceMatchScore = null } = await verifier.verify(submission);
+    const result = { checks, faceMatchScore };
+
+    return {
+      verifier: verifier.name || verifier.constructor.name,
+      ...result,
+      outcome: getOutcome(verifier.faceMatchIsAdvisory ? { checks, faceMatchScore: null } : result)
+    };
+  }
+}
+
+module.exports = {
+  identityVerifier: new IdentityVerifier(),
+  IdentityVerifier,
+  LocalVerifier,
+  ManualReviewVerifier,
+  getOutcome
+};
@@ -0,0 +1,230 @@
+const Trip = require('../models/Trip');
+const { TRIP_PERMISSIONS, hasTripPermission } = require('../utils/tripPermissions');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Activity times are 24-hour "HH:mm"
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const toDayNumber = (date) => Math.floor(new Date(date).getTime() / DAY_MS);
+
+const toMinutes = (time) => {
+  if (typeof time !== 'string' || !TIME_PATTERN.test(time)) return null;
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const hasPlans = (day) => (day.activities || []).length > 0 || Boolean(day.accommodation && day.accommodation.name);
+
+class ItineraryService {
+  /**
+   * One itinerary day per calendar day of the trip, each with its date.
+   * Plans already made are kept by day number. Days past the new end that
+   * have plans are returned as `dropped` instead of being thrown away.
+   */
+  static buildDays(startDate, endDate, itinerary = []) {
+    const first = toDayNumber(startDate);
+    const count = Math.max(toDayNumber(endDate) - first + 1, 1);
+    const byNumber = new Map(itinerary.map(day => [day.day, day]));
+
+    const days = [];
+    for (let number = 1; number <= count; number += 1) {
+      const existing = byNumber.get(number);
+      days.push({
+        ...(existing || {}),
+        day: number,
+        date: new Date((first + number - 1) * DAY_MS),
+        activities: existing ? existing.activities || [] : []
+      });
+    }
+
+    const dropped = itinerary.filter(day => day.day > count && hasPlans(day)).map(day => day.day);
+
+    return { days, dropped };
+  }
+
+  /**
+   * The trip's itinerary with a day for every day of the trip
+   */
+  static getDays(trip) {
+    const itinerary = trip.toObject().itinerary || [];
+    const { days } = this.buildDays(trip.startDate, trip.endDate, itinerary);
+
+    // Keep plans on days outside the trip's dates so they are not lost
+    return [...days, ...itinerary.filter(day => day.day > days.length)];
+  }
+
+  /**
+   * Query condition for the itinerary still being at `version`. Trips
+   * created before versions were kept have none, which counts as 0.
+   */
+  static versionFilter(version) {
+    return version === 0 ? { $in: [0, null] } : version;
+  }
+
+  static async getItinerary(tripId) {
+    const trip = await Trip.findById(tripId).select('startDate endDate itinerary itineraryVersion');
+    if (!trip) return null;
+
+    return { version: trip.itineraryVersion, itinerary: this.getDays(trip) };
+  }
+
+  /**
+   * 'invalid-times' when an activity has an end time without a start time
+   * or one that is not after its start time
+   */
+  static checkTimes(activity) {
+    if (activity.endTime == null) return null;
+    if (activity.time == null) return 'invalid-times';
+    return toMinutes(activity.endTime) > toMinutes(activity.time) ? null : 'invalid-times';
+  }
+
+  /**
+   * The first two activities whose times overlap, or null. An activity
+   * without an end time takes up its start time only; activities without a
+   * time never overlap.
+   */
+  static findOverlap(activities) {
+    const timed = activities
+      .map(activity => ({
+        activity,
+        start: toMinutes(activity.time),
+        end: toMinutes(activity.endTime)
+      }))
+      .filter(({ start }) => start !== null)
+      .map(entry => ({ ...entry, end: entry.end !== null && entry.end > entry.start ? entry.end : entry.start }))
+      .sort((a, b) => a.start - b.start);
+
+    let latest = null;
+    for (const entry of timed) {
+      if (latest && (entry.start < latest.end || entry.start === latest.start)) {
+        return [latest.activity, entry.activity];
+      }
+      if (!latest || entry.end > latest.end) latest = entry;
+    }
+
+    return null;
+  }
+
+  static findActivity(days, activityId) {
+    for (const day of days) {
+      const index = day.activities.findIndex(activity => activity._id && activity._id.toString() === activityId.toString());
+      if (index !== -1) return { day, index };
+    }
+    return null;
+  }
+
+  /**
+   * Apply `edit` to the itinerary when `version` is still its current
+   * version, and bump the version. `edit` changes the days in place and
+   * returns nothing, or a reason to refuse the change. Returns the updated
+   * trip, null when the trip does not exist, or one of:
+   * - 'forbidden': the actor may not edit the itinerary
+   * - 'version-conflict': someone else changed the itinerary since `version`
+   * - whatever `edit` refused the change with
+   */
+  static async editItinerary(tripId, actorId, version, edit) {
+    const trip = await Trip.findById(tripId);
+    if (!trip) return null;
+    if (!hasTripPermission(trip, actorId, TRIP_PERMISSIONS.EDIT_ITINERARY)) return 'forbidden';
+    if (trip.itineraryVersion !== version) return 'version-conflict';
+
+    const days = this.getDays(trip);
+    const refused = edit(days);
+    if (refused) return refused;
+
+    // Only applies while nobody else saved a change in the meantime
+    const updated = await Trip.findOneAndUpdate(
+      { _id: trip._id, itineraryVersion: this.versionFilter(version) },
+      { $set: { itinerary: days }, $inc: { itineraryVersion: 1 } },
+      { new: true, runValidators: true }
+    );
+    if (!updated) return 'version-conflict';
+
+    logger.info(`Trip ${tripId}: itinerary version ${updated.itineraryVersion} saved by ${actorId}`);
+    return updated;
+  }
+
+  /**
+   * Add an activity to a day, at `position` within it or at the end.
+   * Refuses with 'day-not-found', 'invalid-times' or 'overlap'.
+   */
+  static addActivity(tripId, actorId, version, { day, position, activity }) {
+    return this.editItinerary(tripId, actorId, version, (days) => {
+      const target = days.find(entry => entry.day === day);
+      if (!target) return 'day-not-found';
+
+      const timesError = this.checkTimes(activity);
+      if (timesError) return timesError;
+      if (this.findOverlap([...target.activities, activity])) return 'overlap';
+
+      const index = position === undefined ? target.activities.length : Math.min(position, target.activities.length);
+      target.activities.splice(index, 0, activity);
+      return null;
+    });
+  }
+
+  /**
+   * Change some of an activity's fields; fields set to null are cleared.
+   * Refuses with 'activity-not-found', 'invalid-times' or 'overlap'.
+   */
+  static updateActivity(tripId, actorId, version, activityId, changes) {
+    return this.editItinerary(tripId, actorId, version, (days) => {
+      const found = this.findActivity(days, activityId);
+      if (!found) return 'activity-not-found';
+
+      const { day, index } = found;
+      const activity = { ...day.activities[index], ...changes };
+      Object.keys(changes).filter(field => changes[field] === null).forEach((field) => { delete activity[field]; });
+
+      const timesError = this.checkTimes(activity);
+      if (timesError) return timesError;
+
+      const others = day.activities.filter((entry, i) => i !== index);
+      if (this.findOverlap([...others, activity])) return 'overlap';
+
+      day.activities[index] = activity;
+      return null;
+    });
+  }
+
+  /**
+   * Refuses with 'activity-not-found'
+   */
+  static deleteActivity(tripId, actorId, version, activityId) {
+    return this.editItinerary(tripId, actorId, version, (days) => {
+      const found = this.findActivity(days, activityId);
+      if (!found) return 'activity-not-found';
+
+      found.day.activities.splice(found.index, 1);
+      return null;
+    });
+  }
+
+  /**
+   * Move an activity to `position` on `day` (its own day when not given),
+   * or to the end of that day. Refuses with 'activity-not-found',
+   * 'day-not-found' or 'overlap'.
+   */
+  static moveActivity(tripId, actorId, version, activityId, { day, position }) {
+    return this.editItinerary(tripId, actorId, version, (days) => {
+      const found = this.findActivity(days, activityId);
+      if (!found) return 'activity-not-found';
+
+      const target = day === undefined ? found.day : days.find(entry => entry.day === day);
+      if (!target) return 'day-not-found';
+
+      const [activity] = found.day.activities.splice(found.index, 1);
+      if (target !== found.day && this.findOverlap([...target.activities, activity])) return 'overlap';
+
+      const index = position === undefined ? target.activities.length : Math.min(position, target.activities.length);
+      target.activities.splice(index, 0, activity);
+      return null;
+    });
+  }
+}
+
+ItineraryService.TIME_PATTERN = TIME_PATTERN;
+
+module.exports = ItineraryService;
@@ -0,0 +1,41 @@
+const logger = require('../utils/logger');
+
+/**
+ * In-process background job runner. Jobs run one at a time after the
+ * current request has been answered; a failing job is logged and does not
+ * stop the queue. Work that must survive a restart should keep its own
+ * state in the database and be re-enqueued at startup.
+ */
+class JobQueue {
+  constructor() {
+    this.jobs = [];
+    this.running = false;
+  }
+
+  enqueue(name, handler) {
+    this.jobs.push({ name, handler });
+    setImmediate(() => this.drain());
+  }
+
+  async drain() {
+    if (this.running) return;
+    this.running = true;
+
+    while (this.jobs.length > 0) {
+      const { name, handler } = this.jobs.shift();
+      try {
+        await handler();
+      } catch (error) {
+        logger.error(`Background job ${name} failed:`, error);
+      }
+    }
+
+    this.running = false;
+  }
+
+  get size() {
+    return this.jobs.length;
+  }
+}
+
+module.exports = new JobQueue();
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+const EmailService = require('./emailService');
+const logger = require('../utils/logger');
+
+/**
+ * Transports deliver a message `{ channel, to, subject, text }` where
+ * channel is 'email' or 'sms'. Console and file transports are for local
+ * use: they print or append messages (login links, codes) instead of
+ * sending them.
+ */
+class ConsoleTransport {
+  async deliver(message) {
+    logger.info(`[notifier:${message.channel}] to ${message.to}${message.subject ? ` - ${message.subject}` : ''}\n${message.text}`);
+  }
+}
+
+class FileTransport {
+  constructor(filePath = path.join(process.cwd(), 'logs', 'notifications.log')) {
+    this.filePath = filePath;
+  }
+
+  async deliver(message) {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.appendFile(
+      this.filePath,
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }) + '\n'
+    );
+  }
+}
+
+class LiveTransport {
+  constructor() {
+    this.smsClient = null;
+  }
+
+  getSmsClient() {
+    if (!this.smsClient) {
+      const twilio = require('twilio');
+      this.smsClient = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+    }
+    return this.smsClient;
+  }
+
+  async deliver({ channel, to, subject, text }) {
+    if (channel === 'email') {
+      const sent = await EmailService.send({ to, subject, text });
+      if (!sent) {
+        throw new Error('Email delivery failed');
+      }
+      return;
+    }
+
+    if (channel === 'sms') {
+      await this.getSmsClient().messages.create({
+        from: process.env.TWILIO_PHONE_NUMBER,
+        to,
+        body: text
+      });
+      return;
+    }
+
+    throw new Error(`Unsupported notification channel: ${channel}`);
+  }
+}
+
+/**
+ * Pick the transport from NOTIFIER_TRANSPORT ('console', 'file' or 'live').
+ * Defaults to live delivery in production and the console elsewhere.
+ */
+const createTransport = () => {
+  const transportType = process.env.NOTIFIER_TRANSPORT ||
+    (process.env.NODE_ENV === 'production' ? 'live' : 'console');
+
+  switch (transportType) {
+    case 'live':
+      return new LiveTransport();
+    case 'file':
+      return new FileTransport(process.env.NOTIFIER_FILE_PATH);
+    case 'console':
+    default:
+      return new ConsoleTransport();
+  }
+};
+
+class Notifier {
+  constructor(transport = null) {
+    this.transport = transport;
+  }
+
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  // Picked on first use so NOTIFIER_TRANSPORT from .env is honoured
+  getTransport() {
+    if (!this.transport) this.transport = createTransport();
+    return this.transport;
+  }
+
+  async sendEmail(to, subject, text) {
+    return this.getTransport().deliver({ channel: 'email', to, subject, text });
+  }
+
+  async sendSms(to, text) {
+    return this.getTransport().deliver({ channel: 'sms', to, text });
+  }
+}
+
+module.exports = {
+  notifier: new Notifier(),
+  Notifier,
+  ConsoleTransport,
+  FileTransport,
+  LiveTransport
+};
@@ -0,0 +1,260 @@
+const User = require('../models/User');
+const AIService = require('./aiService');
+
+// Onboarding steps in the order the app asks them, and the profile fields
+// (as dotted paths) each one fills
+const STEPS = [
+  { step: 'interests', title: 'What do you love about travelling?', fields: ['travelInterests'] },
+  {
+    step: 'style',
+    title: 'How do you like to travel?',
+    fields: ['travelStyle', 'aiPreferences.personalityType', 'aiPreferences.riskTolerance']
+  },
+  { step: 'languages', title: 'Where are you from and what do you speak?', fields: ['nationality', 'languages'] },
+  { step: 'budget', title: 'What do you usually spend on a trip?', fields: ['budgetRange.min', 'budgetRange.max'] },
+  {
+    step: 'activities',
+    title: 'What do you enjoy doing, and what do you avoid?',
+    fields: ['aiPreferences.preferredActivities', 'aiPreferences.avoidedActivities']
+  },
+  { step: 'about', title: 'Tell other travelers about yourself', fields: ['bio', 'age', 'gender'] }
+];
+
+// Answers to these steps shape the user's matching weights
+const WEIGHT_STEPS = ['interests', 'style'];
+
+// What makes a profile complete and how much each part is worth, out of
+// 100. Fields with schema defaults count once the user answered their step.
+const COMPLETENESS_ITEMS = [
+  { field: 'profilePicture', label: 'Profile photo', points: 10, isComplete: user => Boolean(user.profilePicture) },
+  { field: 'bio', label: 'Bio', step: 'about', points: 10, isComplete: user => Boolean(user.bio && user.bio.trim()) },
+  { field: 'age', label: 'Age', step: 'about', points: 5, isComplete: user => user.age != null },
+  { field: 'gender', label: 'Gender', step: 'about', points: 5, isComplete: (user, answered) => answered.has('about') },
+  { field: 'nationality', label: 'Nationality', step: 'languages', points: 5, isComplete: user => Boolean(user.nationality) },
+  {
+    field: 'languages',
+    label: 'Languages',
+    step: 'languages',
+    points: 10,
+    isComplete: user => (user.languages || []).length > 0
+  },
+  {
+    field: 'travelInterests',
+    label: 'Travel interests',
+    step: 'interests',
+    points: 20,
+    isComplete: user => (user.travelInterests || []).length > 0
+  },
+  {
+    field: 'travelStyle',
+    label: 'Travel style',
+    step: 'style',
+    points: 10,
+    isComplete: (user, answered) => answered.has('style')
+  },
+  {
+    field: 'budgetRange',
+    label: 'Budget range',
+    step: 'budget',
+    points: 10,
+    isComplete: (user, answered) => answered.has('budget')
+  },
+  {
+    field: 'aiPreferences.personalityType',
+    label: 'Travel personality',
+    step: 'style',
+    points: 5,
+    isComplete: user => Boolean(user.aiPreferences?.personalityType)
+  },
+  {
+    field: 'aiPreferences.preferredActivities',
+    label: 'Favourite activities',
+    step: 'activities',
+    points: 10,
+    isComplete: user => (user.aiPreferences?.preferredActivities || []).length > 0
+  }
+];
+
+// Fields read to report onboarding progress
+const STATUS_FIELDS = [
+  'profilePicture', 'bio', 'age', 'gender', 'nationality', 'languages', 'travelInterests', 'travelStyle',
+  'budgetRange', 'aiPreferences', 'matchingWeights', 'onboarding'
+].join(' ');
+
+// Extra weight a travel style puts on some factors before the weights are
+// scaled back to add up to 1
+const STYLE_EMPHASIS = {
+  budget: { budgetCompatibility: 0.10 },
+  luxury: { budgetCompatibility: 0.10 },
+  solo: { travelStyleMatch: 0.05, languageMatch: 0.05 },
+  group: { interestSimilarity: 0.05, travelStyleMatch: 0.05 },
+  mixed: {}
+};
+
+// Interests that say something about money, and the weight each adds
+const BUDGET_INTERESTS = ['backpacking', 'luxury'];
+const BUDGET_INTEREST_EMPHASIS = 0.05;
+
+// Every interest past the first makes shared interests count a little more
+const PER_INTEREST_EMPHASIS = 0.02;
+const INTEREST_EMPHASIS_MAX = 0.10;
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+
+class OnboardingService {
+  /**
+   * Matching weights for a user's interests and travel style: the defaults
+   * shifted towards what their answers say matters to them, scaled to add
+   * up to 1
+   */
+  static seedMatchingWeights({ travelInterests = [], travelStyle } = {}) {
+    const weights = { ...AIService.DEFAULT_MATCH_WEIGHTS };
+
+    weights.interestSimilarity += Math.min(
+      Math.max(travelInterests.length - 1, 0) * PER_INTEREST_EMPHASIS,
+      INTEREST_EMPHASIS_MAX
+    );
+
+    travelInterests
+      .filter(interest => BUDGET_INTERESTS.includes(interest))
+      .forEach(() => { weights.budgetCompatibility += BUDGET_INTEREST_EMPHASIS; });
+
+    Object.entries(STYLE_EMPHASIS[travelStyle] || {}).forEach(([factor, extra]) => {
+      weights[factor] += extra;
+    });
+
+    const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+    Object.keys(weights).forEach((factor) => {
+      weights[factor] = Math.round((weights[factor] / total) * 1000) / 1000;
+    });
+
+    return weights;
+  }
+
+  /**
+   * How complete the profile is, as a percentage, and what is missing
+   */
+  static getCompleteness(user) {
+    const answered = new Set(user.onboarding?.answeredSteps || []);
+    const missing = COMPLETENESS_ITEMS.filter(item => !item.isComplete(user, answered));
+    const missingPoints = missing.reduce((sum, item) => sum + item.points, 0);
+
+    return {
+      percentage: 100 - missingPoints,
+      missing: missing.map(({ field, label, step }) => ({ field, label, step: step || null }))
+    };
+  }
+
+  /**
+   * The steps with the ones answered so far, the next one to ask and the
+   * profile's completeness
+   */
+  static getStatus(user) {
+    const answered = new Set(user.onboarding?.answeredSteps || []);
+    const nextStep = STEPS.find(({ step }) => !answered.has(step));
+
+    return {
+      steps: STEPS.map(({ step, title, fields }) => ({ step, title, fields, answered: answered.has(step) })),
+      nextStep: nextStep ? nextStep.step : null,
+      completedAt: user.onboarding?.completedAt || null,
+      completeness: this.getCompleteness(user),
+      matchingWeights: AIService.getMatchWeights(user)
+    };
+  }
+
+  static async getStatusForUser(userId) {
+    const user = await User.findById(userId).select(STATUS_FIELDS);
+    return user ? this.getStatus(user) : null;
+  }
+
+  /**
+   * Save the answers to one step. Answers may be partial; fields left out
+   * keep their current values. Returns the updated status, 'empty' when the
+   * answers contain nothing for the step, or null when the user does not exist.
+   */
+  static async saveStep(userId, step, answers) {
+    const definition = STEPS.find(entry => entry.step === step);
+    if (!definition) return null;
+
+    const updates = {};
+    definition.fields.forEach((field) => {
+      const value = getPath(answers, field);
+      if (value !== undefined) updates[field] = value;
+    });
+
+    if (Object.keys(updates).length === 0) return 'empty';
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { $set: updates, $addToSet: { 'onboarding.answeredSteps': step } },
+      { new: true, runValidators: true }
+    ).select(STATUS_FIELDS);
+
+    if (!user) return null;
+
+    await this.afterAnswers(user, [step]);
+
+    return this.getStatus(user);
+  }
+
+  /**
+   * Count profile edits made outside onboarding as answers to the steps
+   * they cover. `changedPaths` are the dotted paths that were set.
+   */
+  static async recordProfileUpdate(userId, changedPaths) {
+    const changed = new Set(changedPaths);
+    const steps = STEPS
+      .filter(({ fields }) => fields.some(field => changed.has(field)))
+      .map(({ step }) => step);
+
+    if (steps.length === 0) return;
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { $addToSet: { 'onboarding.answeredSteps': { $each: steps } } },
+      { new: true }
+    ).select(STATUS_FIELDS);
+
+    if (user) await this.afterAnswers(user, steps);
+  }
+
+  /**
+   * Finish onboarding, whether or not every step was answered
+   */
+  static async complete(userId) {
+    const user = await User.findById(userId).select(STATUS_FIELDS);
+    if (!user) return null;
+
+    if (!user.onboarding?.completedAt) {
+      user.onboarding.completedAt = new Date();
+      await User.updateOne({ _id: userId }, { $set: { 'onboarding.completedAt': user.onboarding.completedAt } });
+    }
+
+    return this.getStatus(user);
+  }
+
+  // Reseed matching weights when interests or style were answered, and mark
+  // onboarding finished once every step is
+  static async afterAnswers(user, steps) {
+    const updates = {};
+
+    if (steps.some(step => WEIGHT_STEPS.includes(step))) {
+      updates.matchingWeights = this.seedMatchingWeights(user);
+    }
+
+    const answered = new Set(user.onboarding.answeredSteps);
+    if (!user.onboarding.completedAt && STEPS.every(({ step }) => answered.has(step))) {
+      updates['onboarding.completedAt'] = new Date();
+    }
+
+    if (Object.keys(updates).length === 0) return;
+
+    await User.updateOne({ _id: user._id }, { $set: updates });
+    user.set(updates);
+  }
+}
+
+OnboardingService.STEPS = STEPS;
+OnboardingService.STEP_NAMES = STEPS.map(({ step }) => step);
+
+module.exports = OnboardingService;
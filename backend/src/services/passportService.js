@@ -0,0 +1,239 @@
+const User = require('../models/User');
+const Trip = require('../models/Trip');
+const { haversineDistance } = require('../utils/geo');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TRIP_FIELDS = 'title destination startDate endDate creator isManualEntry';
+
+// Trips the user created or was accepted on
+const memberFilter = (userId) => ({
+  $or: [
+    { creator: userId },
+    { participants: { $elemMatch: { user: userId, status: 'accepted' } } }
+  ]
+});
+
+// Whole UTC days, so a trip from Monday to Wednesday counts three days
+const toDayNumber = (date) => Math.floor(new Date(date).getTime() / DAY_MS);
+
+// Days covered by a set of date ranges, counting overlapping trips once
+const countDistinctDays = (ranges) => {
+  const sorted = ranges
+    .map(({ startDate, endDate }) => [toDayNumber(startDate), toDayNumber(endDate)])
+    .sort(([a], [b]) => a - b);
+
+  let total = 0;
+  let coveredUntil = -Infinity;
+
+  sorted.forEach(([start, end]) => {
+    const from = Math.max(start, coveredUntil + 1);
+    if (end >= from) {
+      total += end - from + 1;
+      coveredUntil = end;
+    }
+  });
+
+  return total;
+};
+
+const hasCoordinates = (trip) => {
+  const coordinates = trip.destination?.coordinates?.coordinates;
+  return Array.isArray(coordinates) && coordinates.length === 2;
+};
+
+class PassportService {
+  /**
+   * Completed trips in the user's passport, oldest first. Trips the user
+   * hid are left out unless `includeHidden` is set, and then flagged.
+   */
+  static async getTrips(userId, { includeHidden = false } = {}) {
+    const user = await User.findById(userId).select('passport');
+    if (!user) return null;
+
+    const hidden = new Set((user.passport?.hiddenTrips || []).map(id => id.toString()));
+
+    const trips = await Trip.find({ ...memberFilter(userId), status: 'completed' })
+      .sort({ startDate: 1 })
+      .select(TRIP_FIELDS)
+      .lean();
+
+    return trips
+      .filter(trip => includeHidden || !hidden.has(trip._id.toString()))
+      .map(trip => ({
+        id: trip._id,
+        // Titles of trips other people created are theirs to share
+        title: includeHidden || trip.creator.toString() === userId.toString() ? trip.title : undefined,
+        city: trip.destination.city,
+        country: trip.destination.country,
+        coordinates: hasCoordinates(trip) ? trip.destination.coordinates.coordinates : null,
+        startDate: trip.startDate,
+        endDate: trip.endDate,
+        days: toDayNumber(trip.endDate) - toDayNumber(trip.startDate) + 1,
+        isManualEntry: Boolean(trip.isManualEntry),
+        hidden: includeHidden ? hidden.has(trip._id.toString()) : undefined
+      }));
+  }
+
+  /**
+   * Countries and cities visited, days travelled and distance covered,
+   * with a per-year breakdown. Distance follows the trips in order, from
+   * one destination to the next.
+   */
+  static computeStats(trips) {
+    const countries = new Map();
+
+    trips.forEach((trip) => {
+      if (!countries.has(trip.country)) {
+        countries.set(trip.country, { country: trip.country, cities: new Set(), trips: 0, ranges: [] });
+      }
+      const entry = countries.get(trip.country);
+      entry.cities.add(trip.city);
+      entry.trips += 1;
+      entry.ranges.push(trip);
+    });
+
+    const located = trips.filter(trip => trip.coordinates);
+    let distanceMeters = 0;
+    for (let i = 1; i < located.length; i++) {
+      distanceMeters += haversineDistance(located[i - 1].coordinates, located[i].coordinates);
+    }
+
+    const years = new Map();
+    trips.forEach((trip) => {
+      const year = new Date(trip.startDate).getUTCFullYear();
+      if (!years.has(year)) years.set(year, []);
+      years.get(year).push(trip);
+    });
+
+    return {
+      totalTrips: trips.length,
+      countriesVisited: countries.size,
+      citiesVisited: new Set(trips.map(trip => `${trip.city}|${trip.country}`)).size,
+      daysTravelled: countDistinctDays(trips),
+      distanceKm: Math.round(distanceMeters / 1000),
+      countries: [...countries.values()]
+        .map(({ country, cities, trips: tripCount, ranges }) => ({
+          country,
+          cities: [...cities].sort(),
+          trips: tripCount,
+          days: countDistinctDays(ranges)
+        }))
+        .sort((a, b) => b.trips - a.trips || a.country.localeCompare(b.country)),
+      byYear: [...years.entries()]
+        .map(([year, yearTrips]) => ({
+          year,
+          trips: yearTrips.length,
+          countries: new Set(yearTrips.map(trip => trip.country)).size,
+          days: countDistinctDays(yearTrips)
+        }))
+        .sort((a, b) => b.year - a.year)
+    };
+  }
+
+  /**
+   * GeoJSON for map clients: a point per trip and, when there are at least
+   * two located trips, a line through them in travel order
+   */
+  static toGeoJSON(trips) {
+    const located = trips.filter(trip => trip.coordinates);
+
+    const features = located.map(trip => ({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: trip.coordinates },
+      properties: {
+        tripId: trip.id,
+        title: trip.title,
+        city: trip.city,
+        country: trip.country,
+        startDate: trip.startDate,
+        endDate: trip.endDate,
+        days: trip.days
+      }
+    }));
+
+    if (located.length > 1) {
+      features.push({
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates: located.map(trip => trip.coordinates) },
+        properties: { kind: 'route' }
+      });
+    }
+
+    return { type: 'FeatureCollection', features };
+  }
+
+  /**
+   * Record a past trip by hand. It is private, already completed and never
+   * open to partners.
+   */
+  static async addManualTrip(userId, { title, destination, startDate, endDate }) {
+    const trip = await Trip.create({
+      title: title || `${destination.city}, ${destination.country}`,
+      creator: userId,
+      isManualEntry: true,
+      destination: {
+        city: destination.city,
+        country: destination.country,
+        coordinates: { type: 'Point', coordinates: destination.coordinates }
+      },
+      startDate,
+      endDate,
+      duration: toDayNumber(endDate) - toDayNumber(startDate) + 1,
+      status: 'completed',
+      privacy: 'private',
+      isOpenToPartners: false
+    });
+
+    await this.refreshTripCounts(userId);
+
+    return trip;
+  }
+
+  /**
+   * Delete a past trip the user added by hand. Returns false when there is
+   * no such entry.
+   */
+  static async removeManualTrip(userId, tripId) {
+    const trip = await Trip.findOneAndDelete({ _id: tripId, creator: userId, isManualEntry: true });
+    if (!trip) return false;
+
+    await User.updateOne({ _id: userId }, { $pull: { 'passport.hiddenTrips': trip._id } });
+    await this.refreshTripCounts(userId);
+
+    return true;
+  }
+
+  /**
+   * Show or hide a completed trip in the user's passport. Returns false when
+   * the trip is not one of theirs.
+   */
+  static async setTripVisibility(userId, tripId, visible) {
+    const trip = await Trip.exists({ _id: tripId, ...memberFilter(userId), status: 'completed' });
+    if (!trip) return false;
+
+    await User.updateOne(
+      { _id: userId },
+      visible ? { $pull: { 'passport.hiddenTrips': tripId } } : { $addToSet: { 'passport.hiddenTrips': tripId } }
+    );
+
+    return true;
+  }
+
+  /**
+   * Recount `totalTrips` (created or joined, not cancelled) and
+   * `completedTrips` for a user or a list of users
+   */
+  static async refreshTripCounts(userIds) {
+    for (const userId of new Set([].concat(userIds).filter(Boolean).map(id => id.toString()))) {
+      const [totalTrips, completedTrips] = await Promise.all([
+        Trip.countDocuments({ ...memberFilter(userId), status: { $ne: 'cancelled' } }),
+        Trip.countDocuments({ ...memberFilter(userId), status: 'completed' })
+      ]);
+
+      await User.updateOne({ _id: userId }, { $set: { totalTrips, completedTrips } });
+    }
+  }
+}
+
+module.exports = PassportService;
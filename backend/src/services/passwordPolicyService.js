@@ -0,0 +1,177 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { PREFIX_LENGTH, createBreachedPasswordStore } = require('./breachedPasswordStore');
+
+const DEFAULT_BANNED_LIST_PATH = path.join(__dirname, '..', '..', 'data', 'banned-passwords.txt');
+
+// Common character substitutions undone before matching the banned list
+const LEET_MAP = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's', '!': 'i' };
+
+// Shorter parts of an email or name are too common to count as personal info
+const MIN_PERSONAL_TOKEN_LENGTH = 4;
+
+let breachedStore = null;
+let bannedPasswords = null;
+
+const normalize = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+class PasswordPolicyService {
+  /**
+   * Current policy, configurable through the environment. The maximum
+   * defaults to 72 because bcrypt ignores anything longer.
+   */
+  static getPolicy() {
+    return {
+      minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
+      maxLength: parseInt(process.env.PASSWORD_MAX_LENGTH) || 72,
+      checkBreached: process.env.PASSWORD_BREACH_CHECK !== 'false',
+      checkPersonalInfo: process.env.PASSWORD_CHECK_PERSONAL_INFO !== 'false'
+    };
+  }
+
+  /**
+   * Swap the breached-password list (e.g. a small fixture in tests)
+   */
+  static setBreachedStore(store) {
+    breachedStore = store;
+  }
+
+  static getBreachedStore() {
+    if (!breachedStore) {
+      breachedStore = createBreachedPasswordStore();
+    }
+    return breachedStore;
+  }
+
+  static getBannedPasswords() {
+    if (!bannedPasswords) {
+      const listPath = process.env.PASSWORD_BANNED_LIST || DEFAULT_BANNED_LIST_PATH;
+      bannedPasswords = new Set(
+        fs.readFileSync(listPath, 'utf8')
+          .split(/\r?\n/)
+          .map(line => line.trim().toLowerCase())
+          .filter(line => line && !line.startsWith('#'))
+      );
+    }
+    return bannedPasswords;
+  }
+
+  static isBanned(password) {
+    const banned = this.getBannedPasswords();
+    const lower = password.toLowerCase();
+    const core = lower.replace(/^[^a-z]+|[^a-z]+$/g, '');
+    const unleet = lower.replace(/[013457@$!]/g, char => LEET_MAP[char]).replace(/[^a-z]/g, '');
+
+    return [lower, core, unleet].some(candidate => candidate && banned.has(candidate));
+  }
+
+  /**
+   * Whether the password is built from the user's email or name: it
+   * contains one of them, or is within a few edits of one
+   */
+  static isSimilarToPersonalInfo(password, { email, name } = {}) {
+    const candidate = normalize(password);
+    // Too little left after normalizing (e.g. only symbols) to resemble
+    // anything; every token would contain it
+    if (candidate.length < MIN_PERSONAL_TOKEN_LENGTH) return false;
+
+    const [localPart = '', domain = ''] = String(email || '').toLowerCase().split('@');
+
+    const tokens = [
+      localPart,
+      ...localPart.split(/[._+-]/),
+      domain.split('.')[0],
+      name,
+      ...String(name || '').split(/\s+/)
+    ]
+      .map(normalize)
+      .filter(token => token.length >= MIN_PERSONAL_TOKEN_LENGTH);
+
+    return tokens.some((token) => {
+      if (candidate.includes(token) || token.includes(candidate)) return true;
+
+      const maxEdits = Math.floor(Math.max(candidate.length, token.length) / 4);
+      return Math.abs(candidate.length - token.length) <= maxEdits &&
+        levenshtein(candidate, token) <= maxEdits;
+    });
+  }
+
+  /**
+   * Times the password appears in the breached list, checked by hash range
+   * (k-anonymity) so only the first characters of the hash are looked up
+   */
+  static async getBreachCount(password) {
+    const hash = crypto.createHash('sha1').update(password).digest('hex').toUpperCase();
+    const range = await this.getBreachedStore().getRange(hash.slice(0, PREFIX_LENGTH));
+    return range.get(hash.slice(PREFIX_LENGTH)) || 0;
+  }
+
+  /**
+   * Check a password against the policy. Returns every failed rule as
+   * `{ code, message }` so clients can show them all at once.
+   */
+  static async validate(password, personalInfo = {}) {
+    const policy = this.getPolicy();
+    const errors = [];
+
+    if (typeof password !== 'string' || password.length < policy.minLength) {
+      errors.push({
+        code: 'too-short',
+        message: `Password must be at least ${policy.minLength} characters`
+      });
+    } else if (password.length > policy.maxLength) {
+      errors.push({
+        code: 'too-long',
+        message: `Password must be at most ${policy.maxLength} characters`
+      });
+    }
+
+    if (typeof password !== 'string' || !password) {
+      return { valid: false, errors };
+    }
+
+    if (this.isBanned(password)) {
+      errors.push({
+        code: 'banned',
+        message: 'This password is too common, please choose another'
+      });
+    }
+
+    if (policy.checkPersonalInfo && this.isSimilarToPersonalInfo(password, personalInfo)) {
+      errors.push({
+        code: 'personal-info',
+        message: 'Password must not be based on your name or email'
+      });
+    }
+
+    if (policy.checkBreached && await this.getBreachCount(password) > 0) {
+      errors.push({
+        code: 'breached',
+        message: 'This password has appeared in a data breach, please choose another'
+      });
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+}
+
+module.exports = PasswordPolicyService;
@@ -0,0 +1,162 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const LoginToken = require('../models/LoginToken');
+const { notifier } = require('./notifier');
+
+const MAGIC_LINK_TTL_MS = 15 * 60 * 1000; // 15 minutes
+const PHONE_OTP_TTL_MS = 5 * 60 * 1000; // 5 minutes
+const MAX_OTP_ATTEMPTS = 5;
+const PURPOSES = {
+  email: 'magic-link',
+  sms: 'phone-otp'
+};
+
+class PasswordlessService {
+  static hashCode(jti, code) {
+    return crypto.createHmac('sha256', process.env.JWT_SECRET).update(`${jti}:${code}`).digest('hex');
+  }
+
+  static signToken(userId, channel, jti, ttlMs) {
+    return jwt.sign(
+      { userId: userId.toString(), purpose: PURPOSES[channel], jti },
+      process.env.JWT_SECRET,
+      { expiresIn: Math.floor(ttlMs / 1000) }
+    );
+  }
+
+  static decodeToken(token, channel) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      return decoded.purpose === PURPOSES[channel] ? decoded : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Issue a new login token, invalidating any unused ones for the same
+   * channel so only the latest link or code works
+   */
+  static async createLoginToken(user, channel, ttlMs, context = {}, code = null) {
+    const jti = crypto.randomBytes(16).toString('hex');
+
+    await LoginToken.updateMany(
+      { user: user._id, channel, usedAt: null },
+      { $set: { usedAt: new Date() } }
+    );
+
+    await LoginToken.create({
+      user: user._id,
+      channel,
+      jti,
+      codeHash: code ? this.hashCode(jti, code) : undefined,
+      expiresAt: new Date(Date.now() + ttlMs),
+      requestedByIp: context.ipAddress
+    });
+
+    return this.signToken(user._id, channel, jti, ttlMs);
+  }
+
+  /**
+   * Email a single-use sign-in link
+   */
+  static async sendMagicLink(user, context = {}) {
+    const token = await this.createLoginToken(user, 'email', MAGIC_LINK_TTL_MS, context);
+    const baseUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const link = `${baseUrl}/auth/magic-link?token=${encodeURIComponent(token)}`;
+
+    await notifier.sendEmail(
+      user.email,
+      'Your Travio sign-in link',
+      [
+        `Hi ${user.name || 'traveler'},`,
+        '',
+        `Use this link to sign in to Travio. It expires in ${MAGIC_LINK_TTL_MS / 60000} minutes and can be used once:`,
+        link,
+        '',
+        'If you did not ask to sign in, you can ignore this email.'
+      ].join('\n')
+    );
+  }
+
+  /**
+   * Redeem a magic link token. Returns the user ID, or null when the token
+   * is invalid, expired or already used.
+   */
+  static async consumeMagicLink(token) {
+    const decoded = this.decodeToken(token, 'email');
+    if (!decoded) return null;
+
+    const loginToken = await LoginToken.findOneAndUpdate(
+      { jti: decoded.jti, channel: 'email', usedAt: null, expiresAt: { $gt: new Date() } },
+      { $set: { usedAt: new Date() } }
+    );
+
+    return loginToken ? loginToken.user.toString() : null;
+  }
+
+  /**
+   * Text a 6-digit code and return the signed token the client sends back
+   * with it
+   */
+  static async sendPhoneOtp(user, context = {}) {
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    const otpToken = await this.createLoginToken(user, 'sms', PHONE_OTP_TTL_MS, context, code);
+
+    await notifier.sendSms(
+      user.phone,
+      `Your Travio sign-in code is ${code}. It expires in ${PHONE_OTP_TTL_MS / 60000} minutes.`
+    );
+
+    return otpToken;
+  }
+
+  /**
+   * Token for phone numbers without an account, so responses look the same
+   * either way. It is never stored and so can never be redeemed.
+   */
+  static createDecoyOtpToken() {
+    return jwt.sign(
+      { userId: '0'.repeat(24), purpose: PURPOSES.sms, jti: crypto.randomBytes(16).toString('hex') },
+      process.env.JWT_SECRET,
+      { expiresIn: Math.floor(PHONE_OTP_TTL_MS / 1000) }
+    );
+  }
+
+  /**
+   * Check a phone code. Each token allows a few guesses and one success.
+   * Returns the user ID, or null.
+   */
+  static async verifyPhoneOtp(otpToken, code) {
+    const decoded = this.decodeToken(otpToken, 'sms');
+    if (!decoded) return null;
+
+    const loginToken = await LoginToken.findOneAndUpdate(
+      {
+        jti: decoded.jti,
+        channel: 'sms',
+        usedAt: null,
+        expiresAt: { $gt: new Date() },
+        attempts: { $lt: MAX_OTP_ATTEMPTS }
+      },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    );
+
+    if (!loginToken) return null;
+
+    const expected = Buffer.from(loginToken.codeHash);
+    const actual = Buffer.from(this.hashCode(decoded.jti, String(code).trim()));
+
+    if (!crypto.timingSafeEqual(expected, actual)) return null;
+
+    const consumed = await LoginToken.findOneAndUpdate(
+      { _id: loginToken._id, usedAt: null },
+      { $set: { usedAt: new Date() } }
+    );
+
+    return consumed ? consumed.user.toString() : null;
+  }
+}
+
+module.exports = PasswordlessService;
@@ -0,0 +1,110 @@
+const User = require('../models/User');
+const Follow = require('../models/Follow');
+const { Match } = require('../models/Match');
+const BlockService = require('./blockService');
+const PassportService = require('./passportService');
+
+// Fields `User.getPublicProfile()` reads. Select these when loading or
+// populating users that will be serialized.
+const PROFILE_FIELDS = [
+  'name', 'profilePicture', 'bio', 'age', 'gender', 'nationality', 'languages', 'socialLinks', 'phone',
+  'travelInterests', 'travelStyle', 'isVerified', 'verificationMethod', 'verification.email.isVerified',
+  'verification.phone.isVerified', 'trustScore', 'averageRating', 'reviews.rating', 'completedTrips',
+  'followersCount', 'followingCount', 'privacy', 'createdAt'
+].join(' ');
+
+// A populated user reference, as opposed to a bare id
+const isUserDocument = (value) => Boolean(value && typeof value.getPublicProfile === 'function');
+
+class ProfileService {
+  /**
+   * How the viewer relates to each user: themselves, an accepted follower,
+   * or a travel partner with an accepted match. Returns a Map keyed by user id.
+   */
+  static async getRelationships(viewerId, userIds) {
+    const viewer = viewerId.toString();
+    const others = [...new Set(userIds.map(id => id.toString()))].filter(id => id !== viewer);
+
+    const [follows, matches] = others.length > 0
+      ? await Promise.all([
+        Follow.find({ follower: viewerId, following: { $in: others }, status: 'accepted' }).select('following'),
+        Match.find({
+          status: 'accepted',
+          $or: [
+            { requester: viewerId, recipient: { $in: others } },
+            { recipient: viewerId, requester: { $in: others } }
+          ]
+        }).select('requester recipient')
+      ])
+      : [[], []];
+
+    const followed = new Set(follows.map(edge => edge.following.toString()));
+    const matched = new Set(matches.map(match => (
+      match.requester.toString() === viewer ? match.recipient : match.requester
+    ).toString()));
+
+    const relationships = new Map([[viewer, { isSelf: true }]]);
+    others.forEach((id) => {
+      relationships.set(id, { isSelf: false, isFollower: followed.has(id), isMatch: matched.has(id) });
+    });
+
+    return relationships;
+  }
+
+  /**
+   * A user's profile as the viewer may see it. Returns null when the user
+   * does not exist, is inactive or either has blocked the other.
+   */
+  static async getProfile(userId, viewerId) {
+    const user = await User.findOne({ _id: userId, isActive: true }).select(PROFILE_FIELDS);
+    if (!user) return null;
+
+    const isSelf = user._id.toString() === viewerId.toString();
+    if (!isSelf && await BlockService.isBlockedBetween(viewerId, user._id)) return null;
+
+    const relationship = (await this.getRelationships(viewerId, [user._id])).get(user._id.toString());
+
+    const tripHistory = User.canSeeField(user.privacy?.fieldVisibility?.tripHistory, relationship)
+      ? await PassportService.getTrips(user._id, { includeHidden: isSelf })
+      : undefined;
+
+    return user.getPublicProfile(relationship, { tripHistory });
+  }
+
+  /**
+   * Serialize a list of users for the viewer
+   */
+  static async serializeMany(users, viewerId) {
+    const relationships = await this.getRelationships(viewerId, users.map(user => user._id));
+    return users.map(user => user.getPublicProfile(relationships.get(user._id.toString())));
+  }
+
+  /**
+   * Turn documents into plain objects with the populated users at `paths`
+   * (single references or arrays) replaced by their profiles as the viewer
+   * may see them. Unpopulated ids are left as they are.
+   */
+  static async serializeRefs(docs, paths, viewerId) {
+    const users = docs.flatMap(doc => paths.flatMap(path => [].concat(doc.get(path) || [])))
+      .filter(isUserDocument);
+    const relationships = await this.getRelationships(viewerId, users.map(user => user._id));
+
+    const serialize = (value) => (isUserDocument(value)
+      ? value.getPublicProfile(relationships.get(value._id.toString()))
+      : value);
+
+    return docs.map((doc) => {
+      const object = doc.toObject();
+      paths.forEach((path) => {
+        const value = doc.get(path);
+        if (value === undefined || value === null) return;
+        object[path] = Array.isArray(value) ? value.map(serialize) : serialize(value);
+      });
+      return object;
+    });
+  }
+}
+
+ProfileService.PROFILE_FIELDS = PROFILE_FIELDS;
+
+module.exports = ProfileService;
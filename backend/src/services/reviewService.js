@@ -0,0 +1,314 @@
+const User = require('../models/User');
+const Trip = require('../models/Trip');
+const Review = require('../models/Review');
+const AuditLog = require('../models/AuditLog');
+const TrustScoreService = require('./trustScoreService');
+const { notifier } = require('./notifier');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getWindowDays = () => parseInt(process.env.REVIEW_WINDOW_DAYS) || 14;
+
+const toId = (value) => (value && value._id ? value._id : value).toString();
+
+class ReviewService {
+  /**
+   * Everyone who travelled on the trip: the creator and accepted participants
+   */
+  static getTripMembers(trip) {
+    const members = [toId(trip.creator)];
+
+    trip.participants
+      .filter(participant => participant.status === 'accepted' && participant.user)
+      .forEach(participant => members.push(toId(participant.user)));
+
+    return [...new Set(members)];
+  }
+
+  /**
+   * When reviews for a trip can no longer be written, and hidden ones are
+   * published
+   */
+  static getWindowClose(trip) {
+    return new Date(trip.endDate.getTime() + getWindowDays() * DAY_MS);
+  }
+
+  /**
+   * Why the reviewer cannot review the reviewee for this trip, or null when
+   * they can
+   */
+  static getIneligibilityReason(trip, reviewerId, revieweeId) {
+    const now = Date.now();
+    const members = this.getTripMembers(trip);
+
+    if (toId(reviewerId) === toId(revieweeId)) {
+      return 'You cannot review yourself';
+    }
+    if (!members.includes(toId(reviewerId)) || !members.includes(toId(revieweeId))) {
+      return 'Only travelers who both took part in this trip can review each other';
+    }
+    if (trip.status === 'cancelled') {
+      return 'Reviews cannot be left for a cancelled trip';
+    }
+    if (trip.endDate.getTime() > now) {
+      return 'Reviews open once the trip has ended';
+    }
+    if (this.getWindowClose(trip).getTime() < now) {
+      return 'The review window for this trip has closed';
+    }
+
+    return null;
+  }
+
+  /**
+   * Trips the user can still leave reviews for, with the partners not yet
+   * reviewed on each
+   */
+  static async listEligible(userId) {
+    const now = new Date();
+
+    const trips = await Trip.find({
+      $or: [
+        { creator: userId },
+        { participants: { $elemMatch: { user: userId, status: 'accepted' } } }
+      ],
+      status: { $ne: 'cancelled' },
+      endDate: { $lte: now, $gte: new Date(now.getTime() - getWindowDays() * DAY_MS) }
+    }).select('title destination startDate endDate creator participants');
+
+    const written = await Review.find({
+      reviewer: userId,
+      trip: { $in: trips.map(trip => trip._id) }
+    }).select('trip reviewee');
+
+    const reviewed = new Set(written.map(review => `${review.trip}:${review.reviewee}`));
+
+    const eligible = trips.map(trip => ({
+      trip,
+      partnerIds: this.getTripMembers(trip)
+        .filter(memberId => memberId !== toId(userId) && !reviewed.has(`${trip._id}:${memberId}`))
+    })).filter(({ partnerIds }) => partnerIds.length > 0);
+
+    const partners = await User.find({
+      _id: { $in: [...new Set(eligible.flatMap(({ partnerIds }) => partnerIds))] },
+      isActive: true
+    }).select('name profilePicture');
+    const partnersById = new Map(partners.map(partner => [partner._id.toString(), partner]));
+
+    return eligible
+      .map(({ trip, partnerIds }) => ({
+        trip: {
+          id: trip._id,
+          title: trip.title,
+          destination: trip.destination,
+          startDate: trip.startDate,
+          endDate: trip.endDate
+        },
+        reviewDeadline: this.getWindowClose(trip),
+        partners: partnerIds.map(id => partnersById.get(id)).filter(Boolean)
+      }))
+      .filter(({ partners: tripPartners }) => tripPartners.length > 0);
+  }
+
+  /**
+   * Create a review. When the reviewee has already reviewed the reviewer for
+   * this trip, both are published. Returns null when the pair already has a
+   * review for the trip.
+   */
+  static async createReview(trip, reviewerId, revieweeId, { rating, comment }) {
+    let review;
+
+    try {
+      review = await Review.create({
+        trip: trip._id,
+        reviewer: reviewerId,
+        reviewee: revieweeId,
+        rating,
+        comment,
+        revealAt: this.getWindowClose(trip)
+      });
+    } catch (error) {
+      if (error.code === 11000) return null;
+      throw error;
+    }
+
+    const counterpart = await Review.findOne({
+      trip: trip._id,
+      reviewer: revieweeId,
+      reviewee: reviewerId
+    });
+
+    if (counterpart) {
+      await this.publish([review, counterpart]);
+      review = await Review.findById(review._id);
+    } else {
+      await this.notifyPendingReview(review, trip);
+    }
+
+    logger.info(`Review ${review._id} written by ${reviewerId} for ${revieweeId} on trip ${trip._id}`);
+
+    return review;
+  }
+
+  /**
+   * Make reviews visible and update the reviewees' ratings
+   */
+  static async publish(reviews) {
+    const ids = reviews.map(review => review._id);
+
+    await Review.updateMany({ _id: { $in: ids }, publishedAt: null }, { $set: { publishedAt: new Date() } });
+
+    const reviewees = [...new Set(reviews.map(review => toId(review.reviewee)))];
+    for (const revieweeId of reviewees) {
+      await this.refreshRating(revieweeId);
+    }
+  }
+
+  /**
+   * Publish reviews whose window closed without a review from the other side
+   */
+  static async publishDue() {
+    const due = await Review.find({ publishedAt: null, revealAt: { $lte: new Date() } }).select('reviewee');
+    if (due.length > 0) {
+      await this.publish(due);
+    }
+    return due.length;
+  }
+
+  /**
+   * Recompute the user's published reviews, average rating and trust score
+   */
+  static async refreshRating(userId) {
+    const user = await User.findById(userId);
+    if (!user || !user.isActive) return null;
+
+    const reviews = await Review.find({
+      reviewee: userId,
+      publishedAt: { $ne: null },
+      'moderation.status': { $ne: 'removed' }
+    }).sort({ publishedAt: -1 });
+
+    user.reviews = reviews.map(review => ({
+      reviewerId: review.reviewer,
+      rating: review.rating,
+      comment: review.comment,
+      tripId: review.trip,
+      createdAt: review.publishedAt
+    }));
+
+    const total = reviews.reduce((sum, review) => sum + review.rating, 0);
+    user.averageRating = reviews.length > 0 ? Math.round((total / reviews.length) * 10) / 10 : 0;
+
+    await user.save();
+    user.trustScore = await TrustScoreService.recalculate(user._id, 'reviews-updated');
+
+    return user;
+  }
+
+  /**
+   * Add or replace the reviewee's reply to a published review. Returns null
+   * when the review does not exist, is not about the user or is not
+   * published yet.
+   */
+  static async respond(reviewId, userId, text) {
+    return Review.findOneAndUpdate(
+      {
+        _id: reviewId,
+        reviewee: userId,
+        publishedAt: { $ne: null },
+        'moderation.status': { $ne: 'removed' }
+      },
+      { $set: { response: { text, createdAt: new Date() } } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Report a published review for moderation. Returns null when the review
+   * cannot be reported by this user and 'duplicate' when they already did.
+   */
+  static async report(reviewId, userId, reason) {
+    const review = await Review.findById(reviewId);
+
+    if (!review || !review.isVisible() || toId(review.reviewer) === toId(userId)) {
+      return null;
+    }
+
+    if (review.reports.some(report => toId(report.user) === toId(userId))) {
+      return 'duplicate';
+    }
+
+    review.reports.push({ user: userId, reason });
+    review.moderation.status = 'pending';
+    await review.save();
+
+    logger.info(`Review ${review._id} reported by ${userId}`);
+
+    return review;
+  }
+
+  /**
+   * Keep or remove a reported review. Removed reviews no longer count
+   * towards the rating. Returns null when the review is not awaiting
+   * moderation.
+   */
+  static async moderate(reviewId, moderatorId, { remove, reason, ipAddress }) {
+    const review = await Review.findOneAndUpdate(
+      { _id: reviewId, 'moderation.status': 'pending' },
+      {
+        $set: {
+          'moderation.status': remove ? 'removed' : 'kept',
+          'moderation.decidedBy': moderatorId,
+          'moderation.decidedAt': new Date(),
+          'moderation.reason': reason
+        }
+      },
+      { new: true }
+    );
+
+    if (!review) return null;
+
+    await AuditLog.record({
+      actor: moderatorId,
+      action: remove ? 'review.remove' : 'review.keep',
+      targetUser: review.reviewer,
+      details: { review: review._id, reviewee: review.reviewee, reports: review.reports.length },
+      reason,
+      ipAddress
+    });
+
+    if (remove) {
+      await this.refreshRating(review.reviewee);
+      await TrustScoreService.recalculate(review.reviewer, 'report-upheld');
+    }
+
+    return review;
+  }
+
+  static async notifyPendingReview(review, trip) {
+    const [reviewer, reviewee] = await Promise.all([
+      User.findById(review.reviewer).select('name'),
+      User.findById(review.reviewee).select('name email')
+    ]);
+    if (!reviewer || !reviewee) return;
+
+    try {
+      await notifier.sendEmail(
+        reviewee.email,
+        `${reviewer.name} reviewed your trip together`,
+        [
+          `Hi ${reviewee.name || 'traveler'},`,
+          '',
+          `${reviewer.name} left a review of your trip "${trip.title}".`,
+          'Reviews stay hidden until you have both written one. Leave yours to see what they said;',
+          `otherwise it will be published on ${review.revealAt.toDateString()}.`
+        ].join('\n')
+      );
+    } catch (error) {
+      logger.error('Review notification error:', error);
+    }
+  }
+}
+
+module.exports = ReviewService;
@@ -0,0 +1,77 @@
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { isValidRole } = require('../utils/permissions');
+const logger = require('../utils/logger');
+
+class RoleService {
+  /**
+   * Grant a role and record it in the audit log. Returns the updated user,
+   * or null when the user does not exist.
+   */
+  static async grantRole(userId, role, { actorId = null, reason, ipAddress } = {}) {
+    if (!isValidRole(role)) {
+      throw new Error(`Unknown role: ${role}`);
+    }
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { $addToSet: { roles: role } },
+      { new: true }
+    ).select('-password');
+
+    if (!user) return null;
+
+    await AuditLog.record({
+      actor: actorId,
+      action: 'role.grant',
+      targetUser: user._id,
+      details: { role },
+      reason,
+      ipAddress
+    });
+
+    logger.info(`Role ${role} granted to ${user.email} by ${actorId || 'system'}`);
+
+    return user;
+  }
+
+  /**
+   * Revoke a role and record it in the audit log. Returns the updated user,
+   * or null when the user does not exist.
+   */
+  static async revokeRole(userId, role, { actorId = null, reason, ipAddress } = {}) {
+    if (!isValidRole(role)) {
+      throw new Error(`Unknown role: ${role}`);
+    }
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { $pull: { roles: role } },
+      { new: true }
+    ).select('-password');
+
+    if (!user) return null;
+
+    await AuditLog.record({
+      actor: actorId,
+      action: 'role.revoke',
+      targetUser: user._id,
+      details: { role },
+      reason,
+      ipAddress
+    });
+
+    logger.info(`Role ${role} revoked from ${user.email} by ${actorId || 'system'}`);
+
+    return user;
+  }
+
+  /**
+   * Count active accounts holding a role, so the last admin can't be removed
+   */
+  static async countWithRole(role) {
+    return User.countDocuments({ roles: role, isActive: true });
+  }
+}
+
+module.exports = RoleService;
@@ -0,0 +1,187 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const axios = require('axios');
+const logger = require('../utils/logger');
+
+const DEFAULT_JWKS_TTL_MS = 60 * 60 * 1000; // 1 hour
+const MIN_REFETCH_INTERVAL_MS = 60 * 1000; // 1 minute
+
+/**
+ * Signing keys of one provider. Keys come either from a JWKS file named in
+ * configuration (offline, never refetched) or from the provider's JWKS
+ * endpoint, cached for the `max-age` the provider sends.
+ */
+class JwksCache {
+  constructor({ jwksUri, jwksFile }) {
+    this.jwksUri = jwksUri;
+    this.keys = new Map();
+    this.expiresAt = 0;
+    this.lastFetchedAt = 0;
+    this.isStatic = Boolean(jwksFile);
+
+    if (jwksFile) {
+      this.setKeys(JSON.parse(fs.readFileSync(jwksFile, 'utf8')).keys);
+    }
+  }
+
+  setKeys(jwks) {
+    this.keys = new Map(
+      jwks
+        .filter(jwk => jwk.kty === 'RSA' && (!jwk.use || jwk.use === 'sig'))
+        .map(jwk => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })])
+    );
+  }
+
+  async fetchKeys() {
+    const response = await axios.get(this.jwksUri, { timeout: 5000 });
+    const cacheControl = response.headers['cache-control'] || '';
+    const maxAge = /max-age=(\d+)/.exec(cacheControl);
+
+    this.setKeys(response.data.keys);
+    this.lastFetchedAt = Date.now();
+    this.expiresAt = Date.now() + (maxAge ? parseInt(maxAge[1]) * 1000 : DEFAULT_JWKS_TTL_MS);
+  }
+
+  async getKey(kid) {
+    if (this.isStatic) {
+      return this.keys.get(kid) || null;
+    }
+
+    // Refetch when the cache expired, or when an unknown key id shows up
+    // after a rotation (but not more than once a minute)
+    const isExpired = Date.now() >= this.expiresAt;
+    const isUnknownKid = !this.keys.has(kid) && Date.now() - this.lastFetchedAt > MIN_REFETCH_INTERVAL_MS;
+
+    if (isExpired || isUnknownKid) {
+      await this.fetchKeys();
+    }
+
+    return this.keys.get(kid) || null;
+  }
+}
+
+const isTrue = (value) => value === true || value === 'true';
+
+// Built-in provider verifiers. Each maps verified ID token claims to a
+// common profile shape.
+const verifiers = {
+  google: {
+    issuers: ['accounts.google.com', 'https://accounts.google.com'],
+    audienceEnv: 'GOOGLE_CLIENT_ID',
+    jwksUri: 'https://www.googleapis.com/oauth2/v3/certs',
+    jwksFileEnv: 'GOOGLE_JWKS_FILE',
+    mapClaims: (claims) => ({
+      id: claims.sub,
+      email: claims.email,
+      emailVerified: isTrue(claims.email_verified),
+      firstName: claims.given_name,
+      lastName: claims.family_name,
+      picture: claims.picture
+    })
+  },
+  facebook: {
+    // Facebook Limited Login ID tokens
+    issuers: ['https://www.facebook.com'],
+    audienceEnv: 'FACEBOOK_APP_ID',
+    jwksUri: 'https://limited.facebook.com/.well-known/oauth/openid/jwks/',
+    jwksFileEnv: 'FACEBOOK_JWKS_FILE',
+    mapClaims: (claims) => ({
+      id: claims.sub,
+      email: claims.email,
+      // Facebook only shares confirmed email addresses
+      emailVerified: Boolean(claims.email),
+      firstName: claims.given_name,
+      lastName: claims.family_name,
+      picture: claims.picture
+    })
+  },
+  linkedin: {
+    issuers: ['https://www.linkedin.com/oauth'],
+    audienceEnv: 'LINKEDIN_CLIENT_ID',
+    jwksUri: 'https://www.linkedin.com/oauth/openid/jwks',
+    jwksFileEnv: 'LINKEDIN_JWKS_FILE',
+    mapClaims: (claims) => ({
+      id: claims.sub,
+      email: claims.email,
+      emailVerified: isTrue(claims.email_verified),
+      firstName: claims.given_name,
+      lastName: claims.family_name,
+      picture: claims.picture
+    })
+  }
+};
+
+const keyCaches = new Map();
+
+class SocialAuthService {
+  /**
+   * Register or replace a provider verifier
+   */
+  static registerVerifier(provider, verifier) {
+    verifiers[provider] = verifier;
+    keyCaches.delete(provider);
+  }
+
+  static isSupported(provider) {
+    return Object.prototype.hasOwnProperty.call(verifiers, provider);
+  }
+
+  static getVerifier(provider) {
+    return verifiers[provider];
+  }
+
+  static getKeyCache(provider) {
+    if (!keyCaches.has(provider)) {
+      const verifier = verifiers[provider];
+
+      keyCaches.set(provider, new JwksCache({
+        jwksUri: verifier.jwksUri,
+        jwksFile: verifier.jwksFileEnv && process.env[verifier.jwksFileEnv]
+      }));
+    }
+
+    return keyCaches.get(provider);
+  }
+
+  /**
+   * Verify a provider ID token: signature against the provider keys, plus
+   * audience, issuer and expiry. Returns the mapped profile, or null when
+   * the token is not valid.
+   */
+  static async verifyIdToken(provider, idToken) {
+    const verifier = verifiers[provider];
+    const audience = process.env[verifier.audienceEnv];
+
+    if (!audience) {
+      throw new Error(`${verifier.audienceEnv} is not configured for ${provider} login`);
+    }
+
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded || !decoded.header.kid) {
+      logger.debug(`Rejected ${provider} ID token: malformed`);
+      return null;
+    }
+
+    const key = await this.getKeyCache(provider).getKey(decoded.header.kid);
+    if (!key) {
+      logger.debug(`Rejected ${provider} ID token: unknown key ${decoded.header.kid}`);
+      return null;
+    }
+
+    try {
+      const claims = jwt.verify(idToken, key, {
+        algorithms: ['RS256'],
+        audience,
+        issuer: verifier.issuers
+      });
+
+      return { provider, ...verifier.mapClaims(claims) };
+    } catch (error) {
+      logger.debug(`Rejected ${provider} ID token: ${error.message}`);
+      return null;
+    }
+  }
+}
+
+module.exports = SocialAuthService;
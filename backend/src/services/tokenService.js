@@ -0,0 +1,171 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+
+const getAccessTokenExpiresIn = () => process.env.JWT_EXPIRES_IN || '15m';
+const getRefreshTokenTtlDays = () => parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const LAST_USED_THROTTLE_MS = 5 * 60 * 1000; // 5 minutes
+
+class TokenService {
+  /**
+   * Hash a refresh token for storage and lookup
+   */
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  static generateRefreshToken() {
+    return crypto.randomBytes(48).toString('hex');
+  }
+
+  static getRefreshExpiry() {
+    return new Date(Date.now() + getRefreshTokenTtlDays() * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Sign a short-lived access token bound to a session
+   */
+  static signAccessToken(userId, sessionId) {
+    return jwt.sign(
+      { userId: userId.toString(), sid: sessionId.toString() },
+      process.env.JWT_SECRET,
+      { expiresIn: getAccessTokenExpiresIn() }
+    );
+  }
+
+  static verifyAccessToken(token) {
+    return jwt.verify(token, process.env.JWT_SECRET);
+  }
+
+  /**
+   * Start a new session and issue its first token pair
+   */
+  static async createSession(userId, context = {}) {
+    const refreshToken = this.generateRefreshToken();
+
+    const session = await Session.create({
+      user: userId,
+      tokenHash: this.hashToken(refreshToken),
+      deviceId: context.deviceId,
+      userAgent: context.userAgent,
+      ipAddress: context.ipAddress,
+      expiresAt: this.getRefreshExpiry()
+    });
+
+    return {
+      token: this.signAccessToken(userId, session._id),
+      refreshToken,
+      expiresIn: getAccessTokenExpiresIn(),
+      session
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair. Returns null when the
+   * token is unknown, expired or revoked. Presenting a token that was already
+   * rotated revokes the whole family, since either the client or an attacker
+   * holds a stolen copy.
+   */
+  static async rotateRefreshToken(refreshToken, context = {}) {
+    const tokenHash = this.hashToken(refreshToken);
+    const nextRefreshToken = this.generateRefreshToken();
+
+    const session = await Session.findOneAndUpdate(
+      {
+        tokenHash,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+      },
+      {
+        $set: {
+          tokenHash: this.hashToken(nextRefreshToken),
+          lastUsedAt: new Date(),
+          expiresAt: this.getRefreshExpiry(),
+          ...(context.ipAddress && { ipAddress: context.ipAddress }),
+          ...(context.userAgent && { userAgent: context.userAgent })
+        },
+        $push: { previousTokenHashes: tokenHash }
+      },
+      { new: true }
+    );
+
+    if (!session) {
+      const reusedSession = await Session.findOne({ previousTokenHashes: tokenHash });
+
+      if (reusedSession && !reusedSession.revokedAt) {
+        await reusedSession.revoke('reuse-detected');
+        logger.warn(`Refresh token reuse detected for user ${reusedSession.user}, session ${reusedSession._id} revoked`);
+      }
+
+      return null;
+    }
+
+    return {
+      token: this.signAccessToken(session.user, session._id),
+      refreshToken: nextRefreshToken,
+      expiresIn: getAccessTokenExpiresIn(),
+      session
+    };
+  }
+
+  /**
+   * Load the active session an access token was issued for
+   */
+  static findActiveSession(decoded) {
+    if (!decoded.sid) return null;
+
+    return Session.findOne({
+      _id: decoded.sid,
+      user: decoded.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+  }
+
+  /**
+   * Record activity on a session and its device, at most once per throttle window
+   */
+  static async touchSession(session) {
+    const now = new Date();
+    if (session.lastUsedAt && now - session.lastUsedAt < LAST_USED_THROTTLE_MS) return;
+
+    session.lastUsedAt = now;
+    await Session.updateOne({ _id: session._id }, { $set: { lastUsedAt: now } });
+
+    if (session.deviceId) {
+      await User.updateOne(
+        { _id: session.user, 'devices.deviceId': session.deviceId },
+        { $set: { 'devices.$.lastUsed': now } }
+      );
+    }
+  }
+
+  /**
+   * Sign a device out: drop it from the user and revoke all of its sessions
+   */
+  static async revokeDevice(userId, deviceId) {
+    await User.updateOne({ _id: userId }, { $pull: { devices: { deviceId } } });
+
+    const result = await Session.updateMany(
+      { user: userId, deviceId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'device-revoked' } }
+    );
+    return result.modifiedCount;
+  }
+
+  static async revokeSession(sessionId, reason = 'logout') {
+    await Session.updateOne(
+      { _id: sessionId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+  }
+
+  static async revokeAllSessions(userId, reason = 'logout-all', exceptSessionId = null) {
+    const result = await Session.revokeAllForUser(userId, reason, exceptSessionId);
+    return result.modifiedCount;
+  }
+}
+
+module.exports = TokenService;
@@ -0,0 +1,417 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const Trip = require('../models/Trip');
+const User = require('../models/User');
+const TripInvite = require('../models/TripInvite');
+const BlockService = require('./blockService');
+const TripMembershipService = require('./tripMembershipService');
+const { notifier } = require('./notifier');
+const { TRIP_PERMISSIONS, hasTripPermission } = require('../utils/tripPermissions');
+const logger = require('../utils/logger');
+
+const LINK_PURPOSE = 'trip-invite';
+
+// Trip fields shown to someone opening an invite link
+const PREVIEW_FIELDS = 'title description destination startDate endDate duration privacy creator ' +
+  'currentParticipants reservedSeats maxParticipants';
+
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+class TripInviteService {
+  /**
+   * The signed token for a link invite. Signing is deterministic, so the
+   * same link can be shown to organizers again later.
+   */
+  static signLink(invite) {
+    const payload = { tripId: invite.trip.toString(), purpose: LINK_PURPOSE, jti: invite.jti };
+    if (invite.expiresAt) payload.exp = Math.floor(invite.expiresAt.getTime() / 1000);
+
+    return jwt.sign(payload, process.env.JWT_SECRET, { noTimestamp: true });
+  }
+
+  static decodeLink(token) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      return decoded.purpose === LINK_PURPOSE ? decoded : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  static getLinkUrl(invite) {
+    return `${getFrontendUrl()}/trips/invite/${encodeURIComponent(this.signLink(invite))}`;
+  }
+
+  /**
+   * Load the trip when the actor may invite people to it. Returns the trip,
+   * null when it does not exist, or 'forbidden'.
+   */
+  static async findManagedTrip(tripId, actorId) {
+    const trip = await Trip.findById(tripId);
+    if (!trip) return null;
+    return hasTripPermission(trip, actorId, TRIP_PERMISSIONS.MANAGE_REQUESTS) ? trip : 'forbidden';
+  }
+
+  /**
+   * Create a shareable invite link, optionally expiring at `expiresAt` or
+   * after `maxUses` travelers joined with it. Returns the invite with its
+   * URL, null when the trip does not exist, or 'forbidden'.
+   */
+  static async createLink(tripId, actorId, { expiresAt, maxUses } = {}) {
+    const trip = await this.findManagedTrip(tripId, actorId);
+    if (!trip || typeof trip === 'string') return trip;
+
+    const invite = await TripInvite.create({
+      trip: trip._id,
+      createdBy: actorId,
+      type: 'link',
+      jti: crypto.randomBytes(16).toString('hex'),
+      expiresAt,
+      maxUses
+    });
+
+    logger.info(`Trip ${tripId}: invite link ${invite._id} created by ${actorId}`);
+
+    return this.describeInvite(invite, trip);
+  }
+
+  /**
+   * What someone opening an invite link sees before joining: the trip and
+   * whether the link still works. Returns null for an invalid link, or when
+   * the traveler and a member of the trip have blocked each other.
+   */
+  static async previewLink(token, userId) {
+    const decoded = this.decodeLink(token);
+    if (!decoded) return null;
+
+    const invite = await TripInvite.findOne({ jti: decoded.jti, type: 'link' });
+    if (!invite) return null;
+
+    const trip = await Trip.findById(invite.trip)
+      .select(`${PREVIEW_FIELDS} participants`)
+      .populate('creator', 'name profilePicture verificationStatus');
+    if (!trip) return null;
+
+    if (await BlockService.isBlockedByAny(userId, TripMembershipService.getMemberIds(trip))) return null;
+
+    const { participants, ...summary } = trip.toObject();
+    const participant = trip.getParticipant(userId);
+
+    return {
+      trip: summary,
+      state: invite.getLinkState(),
+      expiresAt: invite.expiresAt || null,
+      remainingUses: invite.maxUses ? Math.max(invite.maxUses - invite.uses, 0) : null,
+      membershipStatus: participant ? participant.status : null
+    };
+  }
+
+  /**
+   * Join a trip with an invite link. The traveler is invited on behalf of
+   * whoever created the link and accepts in the same step, so the usual
+   * membership rules and the trip's capacity apply. Returns the updated
+   * trip, null when the trip no longer exists, 'invalid-invite' for a link
+   * that is not valid or no longer works, or a reason changeStatus gives.
+   * A use is only counted when the traveler got onto the trip.
+   */
+  static async redeemLink(token, userId) {
+    const decoded = this.decodeLink(token);
+    if (!decoded) return 'invalid-invite';
+
+    const invite = await TripInvite.findOne({ jti: decoded.jti, type: 'link' });
+    if (!invite || invite.getLinkState() !== 'active') return 'invalid-invite';
+
+    const trip = await Trip.findById(invite.trip);
+    if (!trip) return null;
+
+    const participant = trip.getParticipant(userId);
+    const from = participant ? participant.status : 'none';
+
+    // Links do not undo an organizer's decision to remove someone
+    if (from === 'removed') return 'forbidden';
+    if (from === 'accepted') return trip;
+    if (!['none', 'requested', 'invited', 'offered', 'left', 'declined'].includes(from)) return 'invalid-transition';
+    if (from !== 'offered' && !trip.hasOpenSeat()) return 'full';
+
+    // Claim a use first so a link cannot be used more often than allowed
+    const now = new Date();
+    const claimed = await TripInvite.findOneAndUpdate(
+      {
+        _id: invite._id,
+        revokedAt: null,
+        $and: [
+          { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+          { $or: [{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }] }
+        ]
+      },
+      { $inc: { uses: 1 }, $push: { redemptions: { user: userId, redeemedAt: now } } },
+      { new: true }
+    );
+    if (!claimed) return 'invalid-invite';
+
+    const options = { reason: 'invite-link' };
+    let result;
+    if (from === 'requested') {
+      result = await TripMembershipService.changeStatus(trip._id, userId, 'accepted', invite.createdBy, options);
+    } else {
+      if (from !== 'invited' && from !== 'offered') {
+        result = await TripMembershipService.changeStatus(trip._id, userId, 'invited', invite.createdBy, options);
+      }
+      if (!result || result instanceof Trip) {
+        result = await TripMembershipService.changeStatus(trip._id, userId, 'accepted', userId, options);
+      }
+    }
+
+    if (!(result instanceof Trip)) {
+      await TripInvite.updateOne(
+        { _id: invite._id },
+        { $inc: { uses: -1 }, $pull: { redemptions: { user: userId, redeemedAt: now } } }
+      );
+      return result;
+    }
+
+    logger.info(`Trip ${trip._id}: ${userId} joined with invite link ${invite._id}`);
+    return result;
+  }
+
+  /**
+   * Invite a traveler by account or email. An invitation by email is
+   * answered the same way whether or not the address has an account, so it
+   * cannot be used to find out who is on Travio: the account it belongs to
+   * gets the invitation straight away, someone without one once they sign
+   * up and verify that address. Returns the invite, null when the trip does
+   * not exist, 'forbidden', 'user-not-found' for an unknown `userId`, or a
+   * reason changeStatus gives for an invitation by `userId`.
+   */
+  static async inviteUser(tripId, actorId, { userId, email, message } = {}) {
+    const trip = await this.findManagedTrip(tripId, actorId);
+    if (!trip || typeof trip === 'string') return trip;
+
+    const inviter = await User.findById(actorId).select('name');
+
+    if (email) {
+      const address = email.toLowerCase();
+      const invite = await TripInvite.findOneAndUpdate(
+        { trip: trip._id, type: 'direct', email: address, invitee: null, revokedAt: null },
+        { $set: { createdBy: actorId, message } },
+        { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+      );
+      const described = this.describeInvite(invite, trip);
+
+      const owner = await User.findOne({ email: address, isActive: true }).select('name email');
+      if (owner) await this.claimInvite(invite, owner);
+
+      await this.notifyInvite(address, owner, trip, inviter, message);
+      logger.info(`Trip ${tripId}: invitation emailed by ${actorId}`);
+
+      return described;
+    }
+
+    const invitee = await User.findOne({ _id: userId, isActive: true }).select('name email');
+    if (!invitee) return 'user-not-found';
+
+    const result = await TripMembershipService.changeStatus(trip._id, invitee._id, 'invited', actorId, {
+      message,
+      reason: 'direct-invite'
+    });
+    if (!(result instanceof Trip)) return result;
+
+    const invite = await TripInvite.create({
+      trip: trip._id,
+      createdBy: actorId,
+      type: 'direct',
+      invitee: invitee._id,
+      message
+    });
+
+    await this.notifyInvite(invitee.email, invitee, result, inviter, message);
+
+    return this.describeInvite(invite, result);
+  }
+
+  static async notifyInvite(email, invitee, trip, inviter, message) {
+    const url = invitee
+      ? `${getFrontendUrl()}/trips/${trip._id}`
+      : `${getFrontendUrl()}/register?email=${encodeURIComponent(email)}`;
+
+    try {
+      await notifier.sendEmail(
+        email,
+        `You're invited to "${trip.title}"`,
+        [
+          `Hi ${invitee ? invitee.name : 'there'},`,
+          '',
+          `${inviter ? inviter.name : 'A traveler'} invited you to join "${trip.title}" on Travio.`,
+          ...(message ? ['', message] : []),
+          '',
+          invitee
+            ? `Accept or decline the invitation in the app: ${url}`
+            : `Sign up with this email address and verify it to see the invitation: ${url}`
+        ].join('\n')
+      );
+    } catch (error) {
+      logger.error(`Trip invitation notification error for trip ${trip._id}:`, error);
+    }
+  }
+
+  /**
+   * Turn invitations emailed to a user's address before they had an account
+   * into trip invitations. Called once the address is verified. Returns how
+   * many were turned.
+   */
+  static async claimEmailInvites(user) {
+    const pending = await TripInvite.find({ type: 'direct', email: user.email, invitee: null, revokedAt: null });
+
+    let claimed = 0;
+    for (const invite of pending) {
+      if (await this.claimInvite(invite, user)) claimed += 1;
+    }
+
+    return claimed;
+  }
+
+  /**
+   * Give an invitation sent by email to the account with that address.
+   * Returns whether the user was invited to the trip; when they could not
+   * be (blocked, already on it) the reason is only logged.
+   */
+  static async claimInvite(invite, user) {
+    const taken = await TripInvite.findOneAndUpdate(
+      { _id: invite._id, invitee: null },
+      { $set: { invitee: user._id, claimedAt: new Date() } }
+    );
+    if (!taken) return false;
+
+    const result = await TripMembershipService.changeStatus(invite.trip, user._id, 'invited', invite.createdBy, {
+      message: invite.message,
+      reason: 'direct-invite'
+    });
+
+    if (!(result instanceof Trip)) {
+      logger.info(`Trip ${invite.trip}: emailed invitation ${invite._id} not applied (${result || 'trip not found'})`);
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Revoke a link, or withdraw a direct invitation that was not answered
+   * yet. Returns the invite, null when the trip does not exist, 'forbidden'
+   * or 'invite-not-found'.
+   */
+  static async revoke(tripId, inviteId, actorId) {
+    const trip = await this.findManagedTrip(tripId, actorId);
+    if (!trip || typeof trip === 'string') return trip;
+
+    const invite = await TripInvite.findOne({ _id: inviteId, trip: trip._id });
+    if (!invite) return 'invite-not-found';
+
+    if (!invite.revokedAt) {
+      invite.revokedAt = new Date();
+      await invite.save();
+    }
+
+    const participant = invite.invitee && trip.getParticipant(invite.invitee);
+    if (participant && participant.status === 'invited') {
+      await TripMembershipService.changeStatus(trip._id, invite.invitee, 'removed', actorId, { reason: 'invite-revoked' });
+    }
+
+    logger.info(`Trip ${tripId}: invite ${inviteId} revoked by ${actorId}`);
+
+    return this.describeInvite(invite, await Trip.findById(trip._id));
+  }
+
+  /**
+   * Every invite for the trip with how it was used, and totals. Returns
+   * null when the trip does not exist, or 'forbidden'.
+   */
+  static async getInvites(tripId, actorId) {
+    const trip = await this.findManagedTrip(tripId, actorId);
+    if (!trip || typeof trip === 'string') return trip;
+
+    const invites = await TripInvite.find({ trip: trip._id })
+      .sort({ createdAt: -1 })
+      .populate('createdBy', 'name profilePicture')
+      .populate('invitee', 'name profilePicture')
+      .populate('redemptions.user', 'name profilePicture');
+
+    const links = invites.filter(invite => invite.type === 'link').map(invite => this.describeInvite(invite, trip));
+    const direct = invites.filter(invite => invite.type === 'direct').map(invite => this.describeInvite(invite, trip));
+
+    const count = (list, state) => list.filter(invite => invite.state === state).length;
+
+    return {
+      links,
+      direct,
+      stats: {
+        links: {
+          total: links.length,
+          active: count(links, 'active'),
+          uses: links.reduce((sum, link) => sum + link.uses, 0),
+          members: links.reduce((sum, link) => sum + link.redemptions.filter(r => r.isMember).length, 0)
+        },
+        direct: {
+          total: direct.length,
+          awaitingSignup: count(direct, 'awaiting-signup'),
+          pending: count(direct, 'invited'),
+          accepted: count(direct, 'accepted'),
+          declined: count(direct, 'declined')
+        }
+      }
+    };
+  }
+
+  /**
+   * An invite as organizers see it. Links get their URL while they work
+   * and a state of 'active', 'expired', 'used-up' or 'revoked'. Direct
+   * invitations get 'awaiting-signup', 'revoked' or the invitee's
+   * membership status.
+   */
+  static describeInvite(invite, trip) {
+    const base = {
+      _id: invite._id,
+      type: invite.type,
+      createdBy: invite.createdBy,
+      createdAt: invite.createdAt,
+      revokedAt: invite.revokedAt
+    };
+
+    const membershipOf = (user) => {
+      const participant = user && trip.getParticipant(user._id || user);
+      return participant ? participant.status : null;
+    };
+
+    if (invite.type === 'link') {
+      const state = invite.getLinkState();
+      return {
+        ...base,
+        state,
+        url: state === 'active' ? this.getLinkUrl(invite) : null,
+        expiresAt: invite.expiresAt || null,
+        maxUses: invite.maxUses || null,
+        uses: invite.uses,
+        redemptions: invite.redemptions.map(({ user, redeemedAt }) => ({
+          user,
+          redeemedAt,
+          isMember: membershipOf(user) === 'accepted'
+        }))
+      };
+    }
+
+    let state = membershipOf(invite.invitee) || 'none';
+    if (invite.revokedAt) state = 'revoked';
+    else if (!invite.invitee) state = 'awaiting-signup';
+
+    return {
+      ...base,
+      state,
+      invitee: invite.invitee || null,
+      email: invite.email || null,
+      message: invite.message,
+      claimedAt: invite.claimedAt || null
+    };
+  }
+}
+
+module.exports = TripInviteService;
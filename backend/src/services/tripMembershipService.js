@@ -0,0 +1,379 @@
+const Trip = require('../models/Trip');
+const User = require('../models/User');
+const BlockService = require('./blockService');
+const PassportService = require('./passportService');
+const { notifier } = require('./notifier');
+const logger = require('../utils/logger');
+const { TRIP_PERMISSIONS, CO_ORGANIZER_PERMISSIONS, isTripOwner, hasTripPermission } = require('../utils/tripPermissions');
+
+// Statuses that hold or ask for a place on the trip
+const ACTIVE_STATUSES = ['requested', 'invited', 'waitlisted', 'offered', 'accepted'];
+
+// Statuses travelers put themselves in to join a trip
+const JOINING_STATUSES = ['requested', 'waitlisted'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Roles the owner can give accepted participants
+const ASSIGNABLE_ROLES = ['co-organizer', 'participant'];
+
+class TripMembershipService {
+  /**
+   * The permission an organizer needs to move `participant` to `status`:
+   * removing a member needs the right to remove members, and removing a
+   * co-organizer the owner; everything else is managing requests
+   */
+  static requiredPermission(participant, status) {
+    if (status === 'removed' && participant && participant.status === 'accepted') {
+      return participant.role === 'co-organizer' ? TRIP_PERMISSIONS.MANAGE_ROLES : TRIP_PERMISSIONS.REMOVE_MEMBERS;
+    }
+    return TRIP_PERMISSIONS.MANAGE_REQUESTS;
+  }
+
+  /**
+   * Move a user's membership of a trip to `status` on behalf of `actorId`,
+   * following the trip membership state machine. Returns the updated trip,
+   * or null when the trip does not exist, or one of:
+   * - 'forbidden': the actor may not make this change
+   * - 'invalid-transition': the participant cannot move to this status from their current one
+   * - 'blocked': the participant and a member have blocked each other
+   * - 'closed': the trip does not take join requests, because it is not
+   *   open to partners or only takes travelers who were invited
+   * - 'full': the trip has no places left
+   * - 'offer-expired': the seat offer being accepted ran out
+   * - 'conflict': the membership changed while this change was being made
+   *
+   * Asking to join a full trip puts the traveler on its waitlist, and a
+   * place opening up is offered to the next person on it.
+   */
+  static async changeStatus(tripId, userId, status, actorId, { message, reason } = {}) {
+    const trip = await Trip.findById(tripId);
+    if (!trip) return null;
+
+    const participant = trip.getParticipant(userId);
+    const from = participant ? participant.status : 'none';
+
+    if (isTripOwner(trip, userId)) return 'invalid-transition';
+
+    const allowedActor = Trip.MEMBERSHIP_TRANSITIONS[from][status];
+    if (!allowedActor || allowedActor === 'system') return 'invalid-transition';
+
+    const isSelf = actorId.toString() === userId.toString();
+    if (allowedActor === 'self'
+      ? !isSelf
+      : !hasTripPermission(trip, actorId, this.requiredPermission(participant, status))) {
+      return 'forbidden';
+    }
+
+    if (ACTIVE_STATUSES.includes(status) && await BlockService.isBlockedByAny(userId, this.getMemberIds(trip))) {
+      return 'blocked';
+    }
+
+    // An offer past its deadline is declined and the place goes to the next
+    // traveler, even when the hourly expiry has not caught it yet
+    if (from === 'offered' && status === 'accepted' && participant.offerExpiresAt <= new Date()) {
+      await trip.transitionParticipant(userId, { from: 'offered', to: 'declined', reason: 'offer-expired' });
+      await this.fillOpenSeats(tripId);
+      return 'offer-expired';
+    }
+
+    const joining = JOINING_STATUSES.includes(status);
+
+    if (joining) {
+      if (!trip.isOpenToPartners || trip.privacy === 'invite-only') return 'closed';
+      if (!trip.canUserJoin(userId) && !trip.canUserWaitlist(userId)) return 'invalid-transition';
+    } else if (status === 'accepted' && from !== 'offered' && !trip.hasOpenSeat()) {
+      return 'full';
+    }
+
+    const updated = joining
+      ? await trip.addParticipant(userId, { message, reason, waitlistPriority: await this.getWaitlistPriority(trip, userId) })
+      : await trip.transitionParticipant(userId, { from, to: status, changedBy: actorId, reason, message });
+
+    if (!updated) {
+      // The atomic update found the participant in another status or the
+      // trip full
+      const current = await Trip.findById(tripId);
+      return status === 'accepted' && current && !current.hasOpenSeat() ? 'full' : 'conflict';
+    }
+
+    if (from === 'accepted' || status === 'accepted') {
+      await PassportService.refreshTripCounts(userId);
+    }
+
+    const newStatus = updated.getParticipant(userId).status;
+    logger.info(`Trip ${tripId}: participant ${userId} ${from} -> ${newStatus} by ${actorId}`);
+
+    // A member leaving or an offer turned down frees a place
+    if (from === 'accepted' || from === 'offered') {
+      await this.fillOpenSeats(tripId);
+      return Trip.findById(tripId);
+    }
+
+    return updated;
+  }
+
+  /**
+   * 1 for verified travelers when the trip puts them first on its waitlist
+   */
+  static async getWaitlistPriority(trip, userId) {
+    if (!trip.waitlist?.prioritizeVerified) return 0;
+
+    const user = await User.findById(userId).select('isVerified');
+    return user && user.isVerified ? 1 : 0;
+  }
+
+  /**
+   * Offer every free place to the next travelers on the waitlist, each with
+   * a deadline to take it. Returns how many places were offered.
+   */
+  static async fillOpenSeats(tripId) {
+    let offered = 0;
+    let trip = await Trip.findById(tripId);
+
+    while (trip && trip.hasOpenSeat()) {
+      const [next] = trip.getWaitlist();
+      if (!next) break;
+
+      const offerExpiresAt = new Date(Date.now() + trip.waitlist.offerHours * HOUR_MS);
+      const updated = await trip.transitionParticipant(next.user, {
+        from: 'waitlisted',
+        to: 'offered',
+        reason: 'seat-opened',
+        details: { offerExpiresAt }
+      });
+
+      if (updated) {
+        offered += 1;
+        logger.info(`Trip ${tripId}: offered a place to ${next.user} until ${offerExpiresAt.toISOString()}`);
+        await this.notifyOffer(updated, next.user, offerExpiresAt);
+      }
+
+      // Reload either way: a failed update means the trip changed meanwhile
+      trip = await Trip.findById(tripId);
+    }
+
+    return offered;
+  }
+
+  static async notifyOffer(trip, userId, offerExpiresAt) {
+    const user = await User.findById(userId).select('name email');
+    if (!user) return;
+
+    try {
+      await notifier.sendEmail(
+        user.email,
+        `A place opened up on "${trip.title}"`,
+        [
+          `Hi ${user.name || 'traveler'},`,
+          '',
+          `A place opened up on "${trip.title}" and you are next on the waitlist.`,
+          `Accept it in the app before ${offerExpiresAt.toUTCString()}, or it will be offered to the next traveler.`
+        ].join('\n')
+      );
+    } catch (error) {
+      logger.error(`Waitlist offer notification error for user ${userId}:`, error);
+    }
+  }
+
+  /**
+   * Decline seat offers that were not taken in time and offer the places to
+   * the next travelers. Limited to one trip when `tripId` is given. Returns
+   * how many offers expired.
+   */
+  static async expireOffers(tripId = null) {
+    const now = new Date();
+    const trips = await Trip.find({
+      ...(tripId ? { _id: tripId } : {}),
+      participants: { $elemMatch: { status: 'offered', offerExpiresAt: { $lte: now } } }
+    });
+
+    let expired = 0;
+    for (const trip of trips) {
+      const due = trip.participants.filter(p => p.status === 'offered' && p.offerExpiresAt <= now);
+
+      for (const participant of due) {
+        const updated = await trip.transitionParticipant(participant.user, {
+          from: 'offered',
+          to: 'declined',
+          reason: 'offer-expired'
+        });
+        if (updated) expired += 1;
+      }
+
+      await this.fillOpenSeats(trip._id);
+    }
+
+    return expired;
+  }
+
+  /**
+   * Set the waitlist order. `userIds` must list everyone waiting, in the
+   * new order; offered places are not part of it. Returns the updated trip,
+   * null when the trip does not exist, 'forbidden' for anyone who may not
+   * manage join requests, or 'invalid-order'.
+   */
+  static async reorderWaitlist(tripId, userIds, actorId) {
+    const trip = await Trip.findById(tripId);
+    if (!trip) return null;
+    if (!hasTripPermission(trip, actorId, TRIP_PERMISSIONS.MANAGE_REQUESTS)) return 'forbidden';
+
+    const waiting = trip.getWaitlist().map(p => p.user.toString());
+    const order = userIds.map(id => id.toString());
+    if (order.length !== waiting.length || new Set(order).size !== order.length ||
+      !order.every(id => waiting.includes(id))) {
+      return 'invalid-order';
+    }
+
+    if (order.length === 0) return trip;
+
+    // One update, so the order cannot be half applied
+    const set = {};
+    const arrayFilters = order.map((userId, index) => {
+      set[`participants.$[p${index}].waitlistPosition`] = index;
+      return { [`p${index}.user`]: trip.getParticipant(userId).user, [`p${index}.status`]: 'waitlisted' };
+    });
+
+    return Trip.findByIdAndUpdate(tripId, { $set: set }, { arrayFilters, new: true });
+  }
+
+  /**
+   * The waitlist as the viewer may see it: organizers see everyone with
+   * outstanding offers first, a waiting traveler only their own place
+   */
+  static describeWaitlist(trip, viewerId) {
+    const offered = trip.participants.filter(p => p.status === 'offered');
+    const entries = [...offered, ...trip.getWaitlist()].map((p, index) => ({
+      user: p.user,
+      status: p.status,
+      position: index + 1,
+      waitlistedAt: p.waitlistedAt,
+      waitlistPriority: p.waitlistPriority,
+      offerExpiresAt: p.offerExpiresAt
+    }));
+
+    const settings = {
+      prioritizeVerified: trip.waitlist.prioritizeVerified,
+      offerHours: trip.waitlist.offerHours
+    };
+
+    if (hasTripPermission(trip, viewerId, TRIP_PERMISSIONS.MANAGE_REQUESTS)) return { waitlist: entries, settings };
+
+    return {
+      waitlist: entries.filter(entry => (entry.user._id || entry.user).toString() === viewerId.toString()),
+      settings
+    };
+  }
+
+  /**
+   * Make an accepted participant a co-organizer, optionally with only some
+   * of the role's permissions, or a plain participant again. Only the owner
+   * may change roles. Returns the updated trip, null when the trip does not
+   * exist, or one of:
+   * - 'forbidden': the actor is not the owner
+   * - 'invalid-role': the role or permissions cannot be given
+   * - 'not-member': the user is not an accepted participant
+   * - 'conflict': the membership changed while this change was being made
+   */
+  static async changeRole(tripId, userId, role, permissions, actorId) {
+    const trip = await Trip.findById(tripId);
+    if (!trip) return null;
+    if (!isTripOwner(trip, actorId)) return 'forbidden';
+
+    const requested = permissions || [];
+    if (!ASSIGNABLE_ROLES.includes(role) ||
+      (requested.length > 0 && role !== 'co-organizer') ||
+      !requested.every(permission => CO_ORGANIZER_PERMISSIONS.includes(permission))) {
+      return 'invalid-role';
+    }
+
+    const participant = trip.getParticipant(userId);
+    if (!participant || participant.status !== 'accepted') return 'not-member';
+
+    const updated = await trip.changeParticipantRole(userId, {
+      role,
+      permissions: [...new Set(requested)],
+      changedBy: actorId
+    });
+    if (!updated) return 'conflict';
+
+    logger.info(`Trip ${tripId}: participant ${userId} ${participant.role} -> ${role} by ${actorId}`);
+    return updated;
+  }
+
+  /**
+   * Hand the trip to an accepted participant. The previous owner stays on
+   * as a co-organizer. Returns the updated trip, null when the trip does not
+   * exist, or 'forbidden', 'not-member' or 'conflict' as for changeRole.
+   */
+  static async transferOwnership(tripId, newOwnerId, actorId) {
+    const trip = await Trip.findById(tripId);
+    if (!trip) return null;
+    if (!isTripOwner(trip, actorId)) return 'forbidden';
+
+    const participant = trip.getParticipant(newOwnerId);
+    if (!participant || participant.status !== 'accepted') return 'not-member';
+
+    const updated = await trip.transferOwnership(newOwnerId, { changedBy: actorId });
+    if (!updated) return 'conflict';
+
+    logger.info(`Trip ${tripId}: ownership transferred from ${actorId} to ${newOwnerId}`);
+
+    return updated;
+  }
+
+  /**
+   * Accepting a match for a trip brings the requester onto it: they ask to
+   * join and the organizer approves in one go. Returns what changeStatus
+   * returned for the approval, or the trip when they were already on it.
+   */
+  static async acceptFromMatch(tripId, requesterId, organizerId) {
+    const trip = await Trip.findById(tripId);
+    if (!trip) return null;
+
+    const participant = trip.getParticipant(requesterId);
+    if (participant && participant.status === 'accepted') return trip;
+
+    if (!participant || participant.status !== 'requested') {
+      const requested = await this.changeStatus(tripId, requesterId, 'requested', requesterId, {
+        reason: 'match-accepted'
+      });
+      if (!(requested instanceof Trip)) return requested;
+    }
+
+    return this.changeStatus(tripId, requesterId, 'accepted', organizerId, { reason: 'match-accepted' });
+  }
+
+  /**
+   * The creator and accepted participants
+   */
+  static getMemberIds(trip) {
+    return [
+      trip.creator._id || trip.creator,
+      ...trip.participants.filter(p => p.status === 'accepted').map(p => p.user._id || p.user)
+    ];
+  }
+
+  /**
+   * Participants as the viewer may see them: whoever manages join requests
+   * sees every entry
+   * with its history, everyone else the accepted participants and their
+   * own entry
+   */
+  static visibleParticipants(trip, viewerId) {
+    const participants = trip.participants.map(p => (typeof p.toObject === 'function' ? p.toObject() : p));
+    if (hasTripPermission(trip, viewerId, TRIP_PERMISSIONS.MANAGE_REQUESTS)) return participants;
+
+    return participants
+      .filter(p => p.status === 'accepted' || (p.user._id || p.user).toString() === viewerId.toString())
+      .map(({ history, message, ...p }) => (
+        (p.user._id || p.user).toString() === viewerId.toString() ? { ...p, history, message } : p
+      ));
+  }
+}
+
+TripMembershipService.ACTIVE_STATUSES = ACTIVE_STATUSES;
+TripMembershipService.JOINING_STATUSES = JOINING_STATUSES;
+TripMembershipService.ASSIGNABLE_ROLES = ASSIGNABLE_ROLES;
+
+module.exports = TripMembershipService;
@@ -0,0 +1,273 @@
+const User = require('../models/User');
+const Trip = require('../models/Trip');
+const Review = require('../models/Review');
+const { CommunityPost } = require('../models/Community');
+const logger = require('../utils/logger');
+
+const MAX_SCORE = 100;
+const HISTORY_LIMIT = 50;
+const STALE_AFTER_MS = 24 * 60 * 60 * 1000; // account age moves the score daily
+const STALE_BATCH_SIZE = 500;
+
+// `sensitiveAuth` refuses sensitive actions below this score
+const SENSITIVE_ACTION_THRESHOLD = 20;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Points per factor. Positive factors add up to MAX_SCORE; penalties are
+// subtracted and the total is clamped to 0..MAX_SCORE.
+const WEIGHTS = {
+  identity: 30,
+  email: 5,
+  phone: 10,
+  accountAgePerMonth: 2,
+  accountAgeMax: 10,
+  reviewsMax: 25,
+  reviewsForFullWeight: 10,
+  perCompletedTrip: 4,
+  completedTripsMax: 20,
+  perUpheldReport: 10,
+  upheldReportsMax: 30,
+  perSosAbuse: 15,
+  sosAbuseMax: 45
+};
+
+// Fields needed to score a user
+const SCORE_FIELDS = [
+  'isVerified', 'verification.email.isVerified', 'verification.phone.isVerified', 'verification.identity.status',
+  'createdAt', 'reviews.rating', 'averageRating', 'emergencyHistory.abuse', 'trustScore'
+].join(' ');
+
+class TrustScoreService {
+  /**
+   * Count what the user's score depends on beyond their own document:
+   * completed shared trips and reports moderators upheld against them.
+   * Pending or dismissed reports never count, so reports alone cannot sink
+   * someone's score.
+   */
+  static async gatherSignals(user) {
+    const [completedTrips, removedReviews, rejectedPosts] = await Promise.all([
+      // Only trips with at least one accepted partner, so solo trips marked
+      // completed do not count
+      Trip.countDocuments({
+        status: 'completed',
+        $or: [
+          { creator: user._id, participants: { $elemMatch: { status: 'accepted' } } },
+          { participants: { $elemMatch: { user: user._id, status: 'accepted' } } }
+        ]
+      }),
+      Review.countDocuments({ reviewer: user._id, 'moderation.status': 'removed' }),
+      CommunityPost.countDocuments({ author: user._id, moderationStatus: 'rejected' })
+    ]);
+
+    return {
+      completedTrips,
+      upheldReports: removedReviews + rejectedPosts,
+      sosAbuse: (user.emergencyHistory || []).filter(alert => alert.abuse && alert.abuse.flaggedAt).length
+    };
+  }
+
+  /**
+   * Score each factor. Every factor carries the points it earned, the most
+   * it can earn (or lose) and, when there is room to improve, a tip.
+   */
+  static computeFactors(user, { completedTrips, upheldReports, sosAbuse }, now = new Date()) {
+    const identityStatus = user.verification?.identity?.status;
+    const accountAgeDays = Math.floor((now.getTime() - user.createdAt.getTime()) / DAY_MS);
+    const accountAgePoints = Math.min(Math.floor(accountAgeDays / 30) * WEIGHTS.accountAgePerMonth, WEIGHTS.accountAgeMax);
+
+    const reviewCount = (user.reviews || []).length;
+    // Ratings above 3 stars add points and ratings below take them away,
+    // scaled by how many reviews back the average up
+    const reviewPoints = reviewCount > 0
+      ? Math.round(((user.averageRating - 3) / 2) * WEIGHTS.reviewsMax *
+        (Math.min(reviewCount, WEIGHTS.reviewsForFullWeight) / WEIGHTS.reviewsForFullWeight))
+      : 0;
+
+    const reportPenalty = Math.min(upheldReports * WEIGHTS.perUpheldReport, WEIGHTS.upheldReportsMax);
+    const sosPenalty = Math.min(sosAbuse * WEIGHTS.perSosAbuse, WEIGHTS.sosAbuseMax);
+
+    return [
+      {
+        factor: 'identity',
+        label: 'Identity verification',
+        points: user.isVerified ? WEIGHTS.identity : 0,
+        maxPoints: WEIGHTS.identity,
+        detail: user.isVerified ? 'Your identity is verified' : `Identity verification is ${identityStatus || 'not started'}`,
+        tip: user.isVerified ? null : (identityStatus === 'pending'
+          ? 'Your documents are being reviewed'
+          : 'Verify your identity with a government ID or passport')
+      },
+      {
+        factor: 'email',
+        label: 'Email verification',
+        points: user.verification?.email?.isVerified ? WEIGHTS.email : 0,
+        maxPoints: WEIGHTS.email,
+        detail: user.verification?.email?.isVerified ? 'Your email is verified' : 'Your email is not verified',
+        tip: user.verification?.email?.isVerified ? null : 'Confirm your email address'
+      },
+      {
+        factor: 'phone',
+        label: 'Phone verification',
+        points: user.verification?.phone?.isVerified ? WEIGHTS.phone : 0,
+        maxPoints: WEIGHTS.phone,
+        detail: user.verification?.phone?.isVerified ? 'Your phone number is verified' : 'Your phone number is not verified',
+        tip: user.verification?.phone?.isVerified ? null : 'Add and verify a phone number'
+      },
+      {
+        factor: 'accountAge',
+        label: 'Account age',
+        points: accountAgePoints,
+        maxPoints: WEIGHTS.accountAgeMax,
+        detail: `Your account is ${accountAgeDays} day${accountAgeDays === 1 ? '' : 's'} old`,
+        tip: accountAgePoints < WEIGHTS.accountAgeMax
+          ? `Earns ${WEIGHTS.accountAgePerMonth} points per month, up to ${WEIGHTS.accountAgeMax}`
+          : null
+      },
+      {
+        factor: 'reviews',
+        label: 'Reviews from travel partners',
+        points: reviewPoints,
+        maxPoints: WEIGHTS.reviewsMax,
+        detail: reviewCount > 0
+          ? `${reviewCount} review${reviewCount === 1 ? '' : 's'}, averaging ${user.averageRating} stars`
+          : 'No reviews yet',
+        tip: reviewPoints < WEIGHTS.reviewsMax
+          ? `Good ratings from up to ${WEIGHTS.reviewsForFullWeight} travel partners raise your score; ratings below 3 stars lower it`
+          : null
+      },
+      {
+        factor: 'completedTrips',
+        label: 'Completed trips',
+        points: Math.min(completedTrips * WEIGHTS.perCompletedTrip, WEIGHTS.completedTripsMax),
+        maxPoints: WEIGHTS.completedTripsMax,
+        detail: `${completedTrips} completed trip${completedTrips === 1 ? '' : 's'} with travel partners`,
+        tip: completedTrips * WEIGHTS.perCompletedTrip < WEIGHTS.completedTripsMax
+          ? `Each completed trip with partners earns ${WEIGHTS.perCompletedTrip} points`
+          : null
+      },
+      {
+        factor: 'reports',
+        label: 'Upheld reports',
+        points: -reportPenalty,
+        maxPoints: 0,
+        detail: upheldReports > 0
+          ? `${upheldReports} of your reviews or posts ${upheldReports === 1 ? 'was' : 'were'} removed after reports`
+          : 'No upheld reports',
+        tip: upheldReports > 0 ? 'Follow the community guidelines when posting and reviewing' : null
+      },
+      {
+        factor: 'sosAbuse',
+        label: 'SOS misuse',
+        points: -sosPenalty,
+        maxPoints: 0,
+        detail: sosAbuse > 0
+          ? `${sosAbuse} SOS alert${sosAbuse === 1 ? ' was' : 's were'} flagged as misuse`
+          : 'No SOS misuse',
+        tip: sosAbuse > 0 ? 'Only send SOS alerts in real emergencies' : null
+      }
+    ];
+  }
+
+  static sumFactors(factors) {
+    const total = factors.reduce((sum, factor) => sum + factor.points, 0);
+    return Math.max(0, Math.min(MAX_SCORE, total));
+  }
+
+  /**
+   * Score a loaded user and store the result, recording a history entry
+   * when the score changed
+   */
+  static async scoreUser(user, reason) {
+    const signals = await this.gatherSignals(user);
+    const factors = this.computeFactors(user, signals);
+    const score = this.sumFactors(factors);
+    const now = new Date();
+
+    const update = { $set: { trustScore: score, trustScoreUpdatedAt: now } };
+
+    if (score !== user.trustScore) {
+      update.$push = {
+        trustScoreHistory: {
+          $each: [{ score, previousScore: user.trustScore, reason, createdAt: now }],
+          $slice: -HISTORY_LIMIT
+        }
+      };
+      logger.info(`Trust score for user ${user._id}: ${user.trustScore} -> ${score} (${reason})`);
+    }
+
+    await User.updateOne({ _id: user._id }, update);
+
+    return { score, factors };
+  }
+
+  /**
+   * Rescore a user after an event that affects their score. Returns the new
+   * score, or null when the user does not exist.
+   */
+  static async recalculate(userId, reason) {
+    const user = await User.findById(userId).select(SCORE_FIELDS);
+    if (!user) return null;
+
+    const { score } = await this.scoreUser(user, reason);
+    return score;
+  }
+
+  /**
+   * Recalculate for everyone sharing a trip, e.g. once it is completed
+   */
+  static async recalculateMany(userIds, reason) {
+    for (const userId of new Set(userIds.map(id => id.toString()))) {
+      await this.recalculate(userId, reason);
+    }
+  }
+
+  /**
+   * The user's current score with a breakdown per factor and recent
+   * changes, newest first
+   */
+  static async explain(userId) {
+    const user = await User.findById(userId).select(SCORE_FIELDS);
+    if (!user) return null;
+
+    const { score, factors } = await this.scoreUser(user, 'refresh');
+    const { trustScoreHistory } = await User.findById(userId).select('trustScoreHistory');
+
+    return {
+      score,
+      maxScore: MAX_SCORE,
+      sensitiveActionThreshold: SENSITIVE_ACTION_THRESHOLD,
+      factors,
+      history: trustScoreHistory.slice().reverse()
+    };
+  }
+
+  /**
+   * Rescore active users not scored in the last day, oldest first, so
+   * account age and other slow-moving factors stay current. Returns how
+   * many were rescored.
+   */
+  static async recalculateStale() {
+    const users = await User.find({
+      isActive: true,
+      $or: [
+        { trustScoreUpdatedAt: null },
+        { trustScoreUpdatedAt: { $lt: new Date(Date.now() - STALE_AFTER_MS) } }
+      ]
+    })
+      .sort({ trustScoreUpdatedAt: 1 })
+      .limit(STALE_BATCH_SIZE)
+      .select('_id');
+
+    for (const user of users) {
+      await this.recalculate(user._id, 'scheduled');
+    }
+
+    return users.length;
+  }
+}
+
+TrustScoreService.MAX_SCORE = MAX_SCORE;
+TrustScoreService.SENSITIVE_ACTION_THRESHOLD = SENSITIVE_ACTION_THRESHOLD;
+
+module.exports = TrustScoreService;
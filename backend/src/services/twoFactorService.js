@@ -0,0 +1,146 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const totp = require('../utils/totp');
+
+const CHALLENGE_EXPIRES_IN = '5m';
+const CHALLENGE_PURPOSE = '2fa-challenge';
+const RECOVERY_CODE_COUNT = 10;
+
+class TwoFactorService {
+  /**
+   * Hidden 2FA fields to select when a route needs to check codes
+   */
+  static get SECRET_FIELDS() {
+    return '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.recoveryCodes';
+  }
+
+  static normalizeRecoveryCode(code) {
+    return String(code || '').replace(/[\s-]/g, '').toLowerCase();
+  }
+
+  static hashRecoveryCode(code) {
+    return crypto.createHash('sha256').update(this.normalizeRecoveryCode(code)).digest('hex');
+  }
+
+  /**
+   * Generate a fresh set of single-use recovery codes. Only hashes are
+   * stored; the plain codes are shown to the user once.
+   */
+  static generateRecoveryCodes() {
+    const codes = [];
+
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+      const raw = crypto.randomBytes(5).toString('hex');
+      codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    }
+
+    return {
+      codes,
+      records: codes.map(code => ({ codeHash: this.hashRecoveryCode(code) }))
+    };
+  }
+
+  /**
+   * Start enrolment with a pending secret that only becomes active once the
+   * user proves their authenticator app produces matching codes
+   */
+  static startEnrollment(user) {
+    const secret = totp.generateSecret();
+    user.twoFactor.pendingSecret = secret;
+
+    return {
+      secret,
+      otpauthUrl: totp.buildProvisioningUri(secret, user.email)
+    };
+  }
+
+  /**
+   * Activate 2FA if the code matches the pending secret. Returns the plain
+   * recovery codes, or null when the code is wrong.
+   */
+  static confirmEnrollment(user, code) {
+    const { pendingSecret } = user.twoFactor;
+    if (!pendingSecret) return null;
+
+    const step = totp.verifyCode(pendingSecret, code);
+    if (step === null) return null;
+
+    const { codes, records } = this.generateRecoveryCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = records;
+    user.twoFactor.enabledAt = new Date();
+
+    return codes;
+  }
+
+  static disable(user) {
+    user.twoFactor.enabled = false;
+    user.twoFactor.secret = undefined;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = undefined;
+    user.twoFactor.recoveryCodes = [];
+    user.twoFactor.enabledAt = undefined;
+  }
+
+  /**
+   * Check a TOTP code or a recovery code against an enrolled user. Used
+   * codes are consumed on the document; the caller must save it.
+   */
+  static verifySecondFactor(user, { code, recoveryCode }) {
+    if (!user.twoFactor.enabled) return false;
+
+    if (code) {
+      const step = totp.verifyCode(user.twoFactor.secret, code);
+
+      // Reject codes from a time step that was already used
+      if (step === null || (user.twoFactor.lastUsedStep && step <= user.twoFactor.lastUsedStep)) {
+        return false;
+      }
+
+      user.twoFactor.lastUsedStep = step;
+      return true;
+    }
+
+    if (recoveryCode) {
+      const codeHash = this.hashRecoveryCode(recoveryCode);
+      const record = user.twoFactor.recoveryCodes.find(r => r.codeHash === codeHash && !r.usedAt);
+
+      if (!record) return false;
+
+      record.usedAt = new Date();
+      return true;
+    }
+
+    return false;
+  }
+
+  static getRemainingRecoveryCodes(user) {
+    return (user.twoFactor.recoveryCodes || []).filter(r => !r.usedAt).length;
+  }
+
+  /**
+   * Sign a short-lived token proving the password step succeeded
+   */
+  static createChallenge(userId) {
+    return jwt.sign(
+      { userId: userId.toString(), purpose: CHALLENGE_PURPOSE },
+      process.env.JWT_SECRET,
+      { expiresIn: CHALLENGE_EXPIRES_IN }
+    );
+  }
+
+  static verifyChallenge(challengeToken) {
+    try {
+      const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+      return decoded.purpose === CHALLENGE_PURPOSE ? decoded : null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = TwoFactorService;
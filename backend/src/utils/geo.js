@@ -0,0 +1,18 @@
+const EARTH_RADIUS_METERS = 6371000;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle distance in meters between two [longitude, latitude] points
+const haversineDistance = ([lng1, lat1], [lng2, lat2]) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+};
+
+module.exports = {
+  toRadians,
+  haversineDistance
+};
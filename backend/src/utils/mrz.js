@@ -0,0 +1,98 @@
+// Machine-readable zone of passports (ICAO 9303 TD3: two lines of 44
+// characters). Check digits use weights 7, 3, 1 over character values where
+// digits are themselves, A-Z are 10-35 and the filler '<' is 0.
+const TD3_LINE_LENGTH = 44;
+const WEIGHTS = [7, 3, 1];
+
+const charValue = (char) => {
+  if (char >= '0' && char <= '9') return char.charCodeAt(0) - 48;
+  if (char >= 'A' && char <= 'Z') return char.charCodeAt(0) - 55;
+  return 0;
+};
+
+const computeCheckDigit = (value) => String(
+  [...value].reduce((sum, char, i) => sum + charValue(char) * WEIGHTS[i % 3], 0) % 10
+);
+
+// A field's check digit may be '<' when the field is entirely filler
+const isCheckDigitValid = (value, checkDigit) => {
+  if (checkDigit === '<') return /^<*$/.test(value);
+  return computeCheckDigit(value) === checkDigit;
+};
+
+// YYMMDD to a UTC date. Birth dates are never in the future; expiry dates
+// fall within the century that keeps them nearest to today.
+const parseDate = (value, { isBirthDate = false } = {}) => {
+  if (!/^\d{6}$/.test(value)) return null;
+
+  const yy = parseInt(value.slice(0, 2));
+  const month = parseInt(value.slice(2, 4));
+  const day = parseInt(value.slice(4, 6));
+  const currentYear = new Date().getUTCFullYear();
+
+  let year = 2000 + yy;
+  if (isBirthDate ? year > currentYear : year > currentYear + 50) {
+    year -= 100;
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+};
+
+const cleanName = (value) => value.replace(/<+/g, ' ').trim();
+
+/**
+ * Parse a passport MRZ. Accepts the two lines joined by a newline (or
+ * concatenated), tolerating lowercase and surrounding whitespace. Returns
+ * null when the text is not a TD3 MRZ; otherwise the parsed fields and a
+ * `checks` map of which check digits are valid.
+ */
+const parsePassportMrz = (text) => {
+  if (!text || typeof text !== 'string') return null;
+
+  const lines = text.toUpperCase().split(/\r?\n/).map(line => line.replace(/\s/g, '')).filter(Boolean);
+  const joined = lines.join('');
+
+  if (joined.length !== TD3_LINE_LENGTH * 2 || !/^[A-Z0-9<]+$/.test(joined) || joined[0] !== 'P') {
+    return null;
+  }
+
+  const line1 = joined.slice(0, TD3_LINE_LENGTH);
+  const line2 = joined.slice(TD3_LINE_LENGTH);
+
+  const [surname = '', givenNames = ''] = line1.slice(5).split('<<');
+
+  const documentNumber = line2.slice(0, 9);
+  const birthDate = line2.slice(13, 19);
+  const expiryDate = line2.slice(21, 27);
+  const personalNumber = line2.slice(28, 42);
+  const composite = line2.slice(0, 10) + line2.slice(13, 20) + line2.slice(21, 43);
+
+  const checks = {
+    documentNumber: isCheckDigitValid(documentNumber, line2[9]),
+    birthDate: isCheckDigitValid(birthDate, line2[19]),
+    expiryDate: isCheckDigitValid(expiryDate, line2[27]),
+    personalNumber: isCheckDigitValid(personalNumber, line2[42]),
+    composite: isCheckDigitValid(composite, line2[43])
+  };
+
+  return {
+    documentType: line1.slice(0, 2).replace(/<+$/, ''),
+    issuingCountry: line1.slice(2, 5).replace(/<+$/, ''),
+    surname: cleanName(surname),
+    givenNames: cleanName(givenNames),
+    documentNumber: documentNumber.replace(/<+$/, ''),
+    nationality: line2.slice(10, 13).replace(/<+$/, ''),
+    birthDate: parseDate(birthDate, { isBirthDate: true }),
+    sex: line2[20] === '<' ? null : line2[20],
+    expiryDate: parseDate(expiryDate),
+    personalNumber: personalNumber.replace(/<+$/, ''),
+    checks,
+    valid: Object.values(checks).every(Boolean)
+  };
+};
+
+module.exports = {
+  computeCheckDigit,
+  parsePassportMrz
+};
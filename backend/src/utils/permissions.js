@@ -0,0 +1,45 @@
+// Fine-grained permissions checked by `requirePermission()`. Permissions are
+// named `<resource>:<action>`.
+const PERMISSIONS = {
+  VERIFICATION_REVIEW: 'verification:review',
+  POSTS_MODERATE: 'posts:moderate',
+  REVIEWS_MODERATE: 'reviews:moderate',
+  SOS_REVIEW: 'sos:review',
+  USERS_SUSPEND: 'users:suspend',
+  USERS_UNLOCK: 'users:unlock',
+  ROLES_MANAGE: 'roles:manage',
+  AUDIT_READ: 'audit:read'
+};
+
+// Roles granted to staff accounts. Regular travellers hold no roles.
+const ROLES = {
+  admin: Object.values(PERMISSIONS),
+  moderator: [
+    PERMISSIONS.POSTS_MODERATE, PERMISSIONS.REVIEWS_MODERATE, PERMISSIONS.SOS_REVIEW, PERMISSIONS.USERS_SUSPEND
+  ],
+  verifier: [PERMISSIONS.VERIFICATION_REVIEW],
+  support: [PERMISSIONS.USERS_UNLOCK, PERMISSIONS.AUDIT_READ]
+};
+
+const ROLE_NAMES = Object.keys(ROLES);
+
+const isValidRole = (role) => ROLE_NAMES.includes(role);
+
+// Union of the permissions carried by a set of roles
+const getPermissionsForRoles = (roles = []) => {
+  const permissions = new Set();
+
+  roles.forEach((role) => {
+    (ROLES[role] || []).forEach((permission) => permissions.add(permission));
+  });
+
+  return [...permissions];
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  ROLE_NAMES,
+  isValidRole,
+  getPermissionsForRoles
+};
@@ -0,0 +1,14 @@
+// Normalize a phone number for storage and lookup: keep a leading '+' and
+// digits only, so "+1 (555) 010-2030" and "+15550102030" match
+const normalizePhone = (phone) => {
+  if (!phone) return phone;
+
+  const trimmed = String(phone).trim();
+  const digits = trimmed.replace(/\D/g, '');
+
+  return trimmed.startsWith('+') ? `+${digits}` : digits;
+};
+
+module.exports = {
+  normalizePhone
+};
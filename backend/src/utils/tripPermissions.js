@@ -0,0 +1,62 @@
+// What members may do on a trip, by their role on it. Permissions are named
+// `trip:<action>`.
+const TRIP_PERMISSIONS = {
+  EDIT_DETAILS: 'trip:edit-details',
+  EDIT_ITINERARY: 'trip:edit-itinerary',
+  MANAGE_REQUESTS: 'trip:manage-requests',
+  MANAGE_BUDGET: 'trip:manage-budget',
+  REMOVE_MEMBERS: 'trip:remove-members',
+  MANAGE_ROLES: 'trip:manage-roles',
+  DELETE: 'trip:delete'
+};
+
+// The creator owns the trip. Co-organizers get every permission except
+// managing roles and deleting the trip, or the subset the owner picked when
+// promoting them.
+const TRIP_ROLES = {
+  creator: Object.values(TRIP_PERMISSIONS),
+  'co-organizer': [
+    TRIP_PERMISSIONS.EDIT_DETAILS, TRIP_PERMISSIONS.EDIT_ITINERARY, TRIP_PERMISSIONS.MANAGE_REQUESTS,
+    TRIP_PERMISSIONS.MANAGE_BUDGET, TRIP_PERMISSIONS.REMOVE_MEMBERS
+  ],
+  participant: []
+};
+
+const CO_ORGANIZER_PERMISSIONS = TRIP_ROLES['co-organizer'];
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+const isTripOwner = (trip, userId) => idOf(trip.creator) === userId.toString();
+
+// Permissions the user holds on the trip. Only accepted members hold any.
+const getTripPermissions = (trip, userId) => {
+  if (isTripOwner(trip, userId)) return TRIP_ROLES.creator;
+
+  const participant = trip.participants.find(p => idOf(p.user) === userId.toString());
+  if (!participant || participant.status !== 'accepted') return [];
+
+  // Only the trip's creator holds the creator's permissions, whatever role
+  // a participant entry claims
+  if (participant.role !== 'co-organizer') return [];
+
+  if (participant.permissions && participant.permissions.length > 0) {
+    return participant.permissions.filter(permission => CO_ORGANIZER_PERMISSIONS.includes(permission));
+  }
+
+  return TRIP_ROLES['co-organizer'];
+};
+
+const hasTripPermission = (trip, userId, permission) => getTripPermissions(trip, userId).includes(permission);
+
+// Owners and co-organizers run the trip
+const isTripOrganizer = (trip, userId) => getTripPermissions(trip, userId).length > 0;
+
+module.exports = {
+  TRIP_PERMISSIONS,
+  TRIP_ROLES,
+  CO_ORGANIZER_PERMISSIONS,
+  isTripOwner,
+  getTripPermissions,
+  hasTripPermission,
+  isTripOrganizer
+};
@@ -0,0 +1,23 @@
+const path = require('path');
+
+// Same root the upload middleware writes to
+const UPLOADS_DIR = path.join(process.cwd(), 'uploads');
+
+// Resolve a stored upload path (e.g. "uploads/avatars/avatar-1.jpg") to an
+// absolute path, or null when it is a remote URL or points outside the
+// uploads directory (or the given subdirectory of it)
+const resolveUploadPath = (storedPath, subdirectory = '') => {
+  if (!storedPath || typeof storedPath !== 'string' || /^[a-z]+:\/\//i.test(storedPath)) {
+    return null;
+  }
+
+  const root = path.join(UPLOADS_DIR, subdirectory);
+  const absolute = path.resolve(process.cwd(), storedPath.replace(/^\/+/, ''));
+
+  return absolute.startsWith(root + path.sep) ? absolute : null;
+};
+
+module.exports = {
+  UPLOADS_DIR,
+  resolveUploadPath
+};
@@ -0,0 +1,113 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../src/services/emailService', () => ({ sendAccountLocked: jest.fn() }));
+
+const User = require('../src/models/User');
+const EmailService = require('../src/services/emailService');
+const BruteForceService = require('../src/services/bruteForceService');
+const { MemoryAttemptStore } = require('../src/services/attemptStore');
+
+const LOCKOUT_MS = 15 * 60 * 1000;
+
+const context = { ip: '203.0.113.7', identifier: 'jane@example.com' };
+
+const failTimes = async (times, action = 'login', ctx = context) => {
+  let result;
+  for (let i = 0; i < times; i++) {
+    result = await BruteForceService.recordFailure(action, ctx);
+  }
+  return result;
+};
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+  BruteForceService.setStore(new MemoryAttemptStore());
+  jest.spyOn(User, 'findOne').mockResolvedValue({ email: context.identifier, name: 'Jane' });
+  EmailService.sendAccountLocked.mockClear();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('BruteForceService', () => {
+  it('allows attempts below the delay threshold', async () => {
+    await expect(failTimes(2)).resolves.toEqual({ locked: false });
+    await expect(BruteForceService.check('login', context)).resolves.toEqual({ allowed: true });
+  });
+
+  it('delays attempts exponentially once the threshold is reached', async () => {
+    await expect(failTimes(3)).resolves.toEqual({ locked: false, retryAfterMs: 1000 });
+    await expect(BruteForceService.check('login', context)).resolves.toEqual({
+      allowed: false, reason: 'delayed', retryAfterMs: 1000
+    });
+
+    jest.advanceTimersByTime(1000);
+    await expect(BruteForceService.check('login', context)).resolves.toEqual({ allowed: true });
+
+    await expect(failTimes(1)).resolves.toEqual({ locked: false, retryAfterMs: 2000 });
+    await expect(failTimes(1)).resolves.toEqual({ locked: false, retryAfterMs: 4000 });
+  });
+
+  it('locks the account at the maximum and tells its owner', async () => {
+    await failTimes(9);
+    expect(EmailService.sendAccountLocked).not.toHaveBeenCalled();
+
+    await expect(failTimes(1)).resolves.toEqual({ locked: true, retryAfterMs: LOCKOUT_MS });
+    await expect(BruteForceService.check('login', context)).resolves.toEqual({
+      allowed: false, reason: 'locked', retryAfterMs: LOCKOUT_MS
+    });
+    expect(EmailService.sendAccountLocked).toHaveBeenCalledWith(expect.objectContaining({ name: 'Jane' }), 15);
+
+    jest.advanceTimersByTime(LOCKOUT_MS);
+    await expect(BruteForceService.check('login', context)).resolves.toEqual({ allowed: true });
+  });
+
+  it('uses the limits of each action', async () => {
+    await expect(failTimes(4, 'two-factor')).resolves.toMatchObject({ locked: false });
+    await expect(failTimes(1, 'two-factor')).resolves.toEqual({ locked: true, retryAfterMs: LOCKOUT_MS });
+
+    // Other actions keep their own counters, and only logins notify
+    await expect(BruteForceService.check('login', context)).resolves.toEqual({ allowed: true });
+    expect(EmailService.sendAccountLocked).not.toHaveBeenCalled();
+  });
+
+  it('starts counting again after a success', async () => {
+    await failTimes(2);
+    await BruteForceService.recordSuccess('login', context);
+
+    await expect(failTimes(2)).resolves.toEqual({ locked: false });
+  });
+
+  it('forgets failures once the window has passed', async () => {
+    await failTimes(2);
+    jest.advanceTimersByTime(LOCKOUT_MS);
+
+    await expect(failTimes(2)).resolves.toEqual({ locked: false });
+  });
+
+  it('blocks an IP that fails across many accounts', async () => {
+    for (let i = 0; i < 49; i++) {
+      await BruteForceService.recordFailure('login', { ip: context.ip, identifier: `user${i}@example.com` });
+    }
+    await expect(BruteForceService.check('login', { ip: context.ip, identifier: 'new@example.com' }))
+      .resolves.toEqual({ allowed: true });
+
+    await BruteForceService.recordFailure('login', { ip: context.ip, identifier: 'last@example.com' });
+    await expect(BruteForceService.check('login', { ip: context.ip, identifier: 'new@example.com' }))
+      .resolves.toEqual({ allowed: false, reason: 'ip-blocked', retryAfterMs: LOCKOUT_MS });
+    await expect(BruteForceService.check('login', { ip: '198.51.100.1', identifier: 'new@example.com' }))
+      .resolves.toEqual({ allowed: true });
+  });
+
+  it('lifts locks on unlock', async () => {
+    await failTimes(10);
+    await BruteForceService.unlock({ identifier: context.identifier, ip: context.ip });
+
+    await expect(BruteForceService.check('login', context)).resolves.toEqual({ allowed: true });
+  });
+
+  it('refuses unknown actions', async () => {
+    await expect(BruteForceService.check('launch-rockets', context)).rejects.toThrow('Unknown brute-force action');
+  });
+});
@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+const Trip = require('../../src/models/Trip');
+
+const { BSON } = mongoose.mongo;
+
+// Trips kept in memory in place of MongoDB. Trip.findById and
+// Trip.findOneAndUpdate are replaced by versions that evaluate the filters
+// and updates the services send, so atomic guards ($elemMatch, $expr) are
+// exercised the way the database would apply them. Only the operators the
+// services use are supported.
+
+const clone = (doc) => BSON.deserialize(BSON.serialize(doc));
+
+const same = (a, b) => (a == null || b == null ? a == null && b == null : a.toString() === b.toString());
+
+// A resolved value that also allows the query helpers routes chain on it
+const query = (value) => {
+  const chain = {
+    populate: () => chain,
+    select: () => chain,
+    lean: () => chain,
+    sort: () => chain,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return chain;
+};
+
+const evaluate = (expr, doc) => {
+  if (typeof expr === 'string' && expr.startsWith('$')) return doc[expr.slice(1)];
+  if (expr === null || typeof expr !== 'object' || expr instanceof Date) return expr;
+
+  const [[operator, args]] = Object.entries(expr);
+  const values = args.map(arg => evaluate(arg, doc));
+  switch (operator) {
+    case '$add': return values.reduce((sum, value) => sum + value, 0);
+    case '$ifNull': return values[0] ?? values[1];
+    case '$lt': return values[0] < values[1];
+    case '$lte': return values[0] <= values[1];
+    default: throw new Error(`Unsupported expression ${operator}`);
+  }
+};
+
+const matches = (actual, condition) => {
+  if (condition !== null && typeof condition === 'object' && !(condition instanceof mongoose.Types.ObjectId) &&
+      !(condition instanceof Date)) {
+    return Object.entries(condition).every(([operator, value]) => {
+      switch (operator) {
+        case '$ne': return !same(actual, value);
+        case '$gt': return actual != null && actual > value;
+        case '$lte': return actual != null && actual <= value;
+        case '$in': return value.some(entry => same(actual, entry));
+        default: throw new Error(`Unsupported operator ${operator}`);
+      }
+    });
+  }
+  return same(actual, condition);
+};
+
+// Whether the document matches the filter, and which participant `$` refers to
+const find = (doc, filter) => {
+  let position = null;
+
+  const found = Object.entries(filter).every(([key, condition]) => {
+    if (key === '$expr') return Boolean(evaluate(condition, doc));
+    if (key === 'participants.user') return doc.participants.every(p => matches(p.user, condition));
+    if (key === 'participants') {
+      position = doc.participants.findIndex(p =>
+        Object.entries(condition.$elemMatch).every(([field, value]) => matches(p[field], value)));
+      return position !== -1;
+    }
+    return matches(doc[key], condition);
+  });
+
+  return found ? { position } : null;
+};
+
+const apply = (doc, update, position) => {
+  const target = (path) => (path.startsWith('participants.$.')
+    ? [doc.participants[position], path.slice('participants.$.'.length)]
+    : [doc, path]);
+
+  Object.entries(update.$set || {}).forEach(([path, value]) => {
+    const [object, field] = target(path);
+    object[field] = value;
+  });
+  Object.keys(update.$unset || {}).forEach((path) => {
+    const [object, field] = target(path);
+    delete object[field];
+  });
+  Object.entries(update.$push || {}).forEach(([path, value]) => {
+    const [object, field] = target(path);
+    // New entries get their defaults and ids the way a save would
+    const entry = field === 'participants' ? new Trip({ participants: [value] }).toObject().participants[0] : value;
+    object[field] = [...(object[field] || []), entry];
+  });
+  Object.entries(update.$inc || {}).forEach(([path, value]) => {
+    doc[path] = (doc[path] || 0) + value;
+  });
+};
+
+/**
+ * Put trips in the store and route Trip queries to it. Returns helpers to
+ * read a trip back and to add more.
+ */
+const useTripStore = () => {
+  const trips = new Map();
+
+  const load = (id) => {
+    const raw = trips.get(id && id.toString());
+    return raw ? Trip.hydrate(clone(raw)) : null;
+  };
+
+  jest.spyOn(Trip, 'findById').mockImplementation(id => query(load(id)));
+
+  jest.spyOn(Trip, 'findOneAndUpdate').mockImplementation((filter, update) => {
+    const raw = trips.get(filter._id.toString());
+    const match = raw && find(raw, filter);
+    if (!match) return query(null);
+
+    apply(raw, update, match.position);
+    return query(load(filter._id));
+  });
+
+  return {
+    add(fields) {
+      const trip = new Trip(fields);
+      trips.set(trip._id.toString(), trip.toObject({ depopulate: true }));
+      return trip._id;
+    },
+    get: load
+  };
+};
+
+module.exports = { useTripStore, query };
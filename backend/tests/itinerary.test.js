@@ -0,0 +1,141 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../src/services/notifier', () => ({ notifier: { sendEmail: jest.fn(), sendSms: jest.fn() } }));
+jest.mock('../src/middleware/auth', () => ({
+  auth: (req, res, next) => {
+    req.user = { id: req.get('X-Test-User') };
+    next();
+  }
+}));
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const tripRoutes = require('../src/routes/trips');
+const ItineraryService = require('../src/services/itineraryService');
+const { useTripStore } = require('./helpers/tripStore');
+
+const app = express();
+app.use(express.json());
+app.use('/api/trips', tripRoutes);
+
+const creator = new mongoose.Types.ObjectId();
+const activityId = new mongoose.Types.ObjectId();
+
+let store;
+let tripId;
+
+const asCreator = (req) => req.set('X-Test-User', creator.toString());
+
+beforeEach(() => {
+  store = useTripStore();
+  tripId = store.add({
+    title: 'Lisbon long weekend',
+    creator,
+    destination: { name: 'Lisbon' },
+    startDate: new Date('2026-06-01'),
+    endDate: new Date('2026-06-03'),
+    travelMode: 'flight',
+    itineraryVersion: 3,
+    itinerary: [{ day: 1, activities: [{ _id: activityId, time: '10:00', activity: 'Tram 28' }] }]
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Itinerary versions', () => {
+  describe('activity routes', () => {
+    const updateActivity = (ifMatch, body = { activity: 'Tram 28 to Alfama' }) => {
+      const req = asCreator(request(app).put(`/api/trips/${tripId}/itinerary/activities/${activityId}`));
+      if (ifMatch !== undefined) req.set('If-Match', ifMatch);
+      return req.send(body);
+    };
+
+    it('applies a change based on the current version and returns the next one', async () => {
+      const res = await updateActivity('"3"');
+
+      expect(res.status).toBe(200);
+      expect(res.headers.etag).toBe('"4"');
+      expect(res.body.data.version).toBe(4);
+      expect(store.get(tripId).itinerary[0].activities[0].activity).toBe('Tram 28 to Alfama');
+    });
+
+    it('answers a stale ETag with 409 and the current itinerary', async () => {
+      await updateActivity('"3"');
+
+      const res = await updateActivity('"3"', { activity: 'Belem tower' });
+
+      expect(res.status).toBe(409);
+      expect(res.headers.etag).toBe('"4"');
+      expect(res.body.data.version).toBe(4);
+      expect(res.body.data.itinerary[0].activities[0].activity).toBe('Tram 28 to Alfama');
+      expect(store.get(tripId).itineraryVersion).toBe(4);
+    });
+
+    it('requires If-Match', async () => {
+      expect((await updateActivity(undefined)).status).toBe(428);
+      expect((await updateActivity('"latest"')).status).toBe(400);
+      expect(store.get(tripId).itineraryVersion).toBe(3);
+    });
+
+    it('lets only one of two edits based on the same version through', async () => {
+      const results = await Promise.all([
+        ItineraryService.updateActivity(tripId, creator, 3, activityId, { notes: 'Board early' }),
+        ItineraryService.deleteActivity(tripId, creator, 3, activityId)
+      ]);
+
+      expect(results).toContain('version-conflict');
+      expect(store.get(tripId).itineraryVersion).toBe(4);
+    });
+  });
+
+  describe('trip updates', () => {
+    const updateTrip = (ifMatch, body) => asCreator(request(app).put(`/api/trips/${tripId}`))
+      .set('If-Match', ifMatch)
+      .send(body);
+
+    const itinerary = [{ day: 1, activities: [{ time: '09:00', activity: 'Pasteis de Belem' }] }];
+
+    it('saves an itinerary sent with the current version', async () => {
+      const res = await updateTrip('"3"', { itinerary });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.itineraryVersion).toBe(4);
+      expect(store.get(tripId).itinerary[0].activities[0].activity).toBe('Pasteis de Belem');
+    });
+
+    it('answers an itinerary sent with a stale ETag with 409', async () => {
+      const res = await updateTrip('"2"', { itinerary, title: 'Lisbon and Sintra' });
+
+      expect(res.status).toBe(409);
+      expect(res.headers.etag).toBe('"3"');
+      const trip = store.get(tripId);
+      expect(trip.itinerary[0].activities[0].activity).toBe('Tram 28');
+      expect(trip.title).toBe('Lisbon long weekend');
+      expect(trip.itineraryVersion).toBe(3);
+    });
+
+    it('answers new dates sent with a stale ETag with 409', async () => {
+      const res = await updateTrip('"2"', { endDate: '2026-06-05' });
+
+      expect(res.status).toBe(409);
+      expect(store.get(tripId).itinerary).toHaveLength(1);
+    });
+
+    it('refuses dotted itinerary paths', async () => {
+      const res = await updateTrip('"2"', { 'itinerary.0.activities': [] });
+
+      expect(res.status).toBe(400);
+      expect(res.body.fields).toEqual(['itinerary.0.activities']);
+      expect(store.get(tripId).itineraryVersion).toBe(3);
+    });
+
+    it('leaves the version alone when the itinerary is not touched', async () => {
+      const res = await updateTrip('"2"', { title: 'Lisbon and Sintra' });
+
+      expect(res.status).toBe(200);
+      expect(store.get(tripId)).toMatchObject({ title: 'Lisbon and Sintra', itineraryVersion: 3 });
+    });
+  });
+});
@@ -0,0 +1,98 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+const jwt = require('jsonwebtoken');
+const SocialAuthService = require('../src/services/socialAuthService');
+
+const JWKS_FILE = path.join(__dirname, '..', 'fixtures', 'social-auth-test-jwks.json');
+const [signingJwk] = JSON.parse(fs.readFileSync(JWKS_FILE, 'utf8')).keys;
+const privateKey = crypto.createPrivateKey({ key: signingJwk, format: 'jwk' });
+
+const CLIENT_ID = 'travio-test-client';
+
+const signIdToken = (claims = {}, options = {}, key = privateKey) => jwt.sign(
+  { sub: 'google-123', email: 'jane@example.com', email_verified: true, given_name: 'Jane', ...claims },
+  key,
+  {
+    algorithm: 'RS256',
+    keyid: signingJwk.kid,
+    issuer: 'https://accounts.google.com',
+    audience: CLIENT_ID,
+    expiresIn: '1h',
+    ...options
+  }
+);
+
+beforeEach(() => {
+  process.env.GOOGLE_CLIENT_ID = CLIENT_ID;
+  process.env.GOOGLE_JWKS_FILE = JWKS_FILE;
+  // Drop cached keys so each test reads the key set configured above
+  SocialAuthService.registerVerifier('google', SocialAuthService.getVerifier('google'));
+});
+
+afterEach(() => {
+  delete process.env.GOOGLE_CLIENT_ID;
+  delete process.env.GOOGLE_JWKS_FILE;
+});
+
+describe('SocialAuthService.verifyIdToken', () => {
+  it('maps the claims of a valid ID token to a profile', async () => {
+    await expect(SocialAuthService.verifyIdToken('google', signIdToken())).resolves.toMatchObject({
+      provider: 'google',
+      id: 'google-123',
+      email: 'jane@example.com',
+      emailVerified: true,
+      firstName: 'Jane'
+    });
+  });
+
+  it('accepts tokens minted by the test token script', async () => {
+    const token = execFileSync(
+      process.execPath,
+      [path.join(__dirname, '..', 'scripts', 'sign-test-id-token.js'), 'google', 'script@example.com', 'script-sub'],
+      { env: { ...process.env, GOOGLE_CLIENT_ID: CLIENT_ID }, encoding: 'utf8' }
+    ).trim();
+
+    await expect(SocialAuthService.verifyIdToken('google', token)).resolves.toMatchObject({
+      id: 'script-sub',
+      email: 'script@example.com'
+    });
+  });
+
+  it.each([
+    ['another audience', signIdToken({}, { audience: 'someone-else' })],
+    ['another issuer', signIdToken({}, { issuer: 'https://evil.example.com' })],
+    ['an expired token', signIdToken({}, { expiresIn: -60 })],
+    ['an unknown key id', signIdToken({}, { keyid: 'unknown-key' })],
+    ['a malformed token', 'not-a-jwt']
+  ])('rejects %s', async (description, token) => {
+    await expect(SocialAuthService.verifyIdToken('google', token)).resolves.toBeNull();
+  });
+
+  it('rejects a token signed with another key under a known key id', async () => {
+    const { privateKey: otherKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+    await expect(SocialAuthService.verifyIdToken('google', signIdToken({}, {}, otherKey))).resolves.toBeNull();
+  });
+
+  it('rejects a token signed with the public key as an HMAC secret', async () => {
+    const publicPem = crypto.createPublicKey({ key: signingJwk, format: 'jwk' }).export({ type: 'spki', format: 'pem' });
+    const token = jwt.sign({ sub: 'attacker' }, publicPem, {
+      algorithm: 'HS256',
+      keyid: signingJwk.kid,
+      issuer: 'https://accounts.google.com',
+      audience: CLIENT_ID
+    });
+
+    await expect(SocialAuthService.verifyIdToken('google', token)).resolves.toBeNull();
+  });
+
+  it('refuses to verify without a configured client id', async () => {
+    delete process.env.GOOGLE_CLIENT_ID;
+
+    await expect(SocialAuthService.verifyIdToken('google', signIdToken())).rejects.toThrow('GOOGLE_CLIENT_ID');
+  });
+});
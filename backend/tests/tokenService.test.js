@@ -0,0 +1,103 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../src/models/Session');
+const TokenService = require('../src/services/tokenService');
+
+// Sessions kept in memory; the fakes honour the filters rotation relies on
+let sessions;
+
+beforeEach(() => {
+  process.env.JWT_SECRET = 'test-secret';
+  delete process.env.JWT_EXPIRES_IN;
+  sessions = [];
+
+  jest.spyOn(Session, 'create').mockImplementation(async (fields) => {
+    const session = new Session(fields);
+    sessions.push(session);
+    return session;
+  });
+
+  jest.spyOn(Session, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const session = sessions.find(s =>
+      s.tokenHash === filter.tokenHash && !s.revokedAt && s.expiresAt > filter.expiresAt.$gt);
+    if (!session) return null;
+
+    session.set(update.$set);
+    session.previousTokenHashes.push(update.$push.previousTokenHashes);
+    return session;
+  });
+
+  jest.spyOn(Session, 'findOne').mockImplementation(async (filter) =>
+    sessions.find(s => s.previousTokenHashes.includes(filter.previousTokenHashes)) || null);
+
+  jest.spyOn(Session.prototype, 'save').mockImplementation(function() {
+    return Promise.resolve(this);
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const userId = new mongoose.Types.ObjectId();
+
+describe('TokenService', () => {
+  it('issues an access token bound to the new session', async () => {
+    const { token, refreshToken, session } = await TokenService.createSession(userId, { deviceId: 'phone' });
+
+    const decoded = TokenService.verifyAccessToken(token);
+    expect(decoded.userId).toBe(userId.toString());
+    expect(decoded.sid).toBe(session._id.toString());
+    expect(session.tokenHash).toBe(TokenService.hashToken(refreshToken));
+    expect(session.tokenHash).not.toBe(refreshToken);
+  });
+
+  it('reads the access token lifetime when signing', async () => {
+    process.env.JWT_EXPIRES_IN = '1m';
+
+    const { token, expiresIn } = await TokenService.createSession(userId);
+    const { iat, exp } = jwt.decode(token);
+
+    expect(expiresIn).toBe('1m');
+    expect(exp - iat).toBe(60);
+  });
+
+  it('rotates the refresh token on every use', async () => {
+    const first = await TokenService.createSession(userId);
+
+    const second = await TokenService.rotateRefreshToken(first.refreshToken);
+    expect(second).not.toBeNull();
+    expect(second.refreshToken).not.toBe(first.refreshToken);
+    expect(second.session._id).toEqual(first.session._id);
+    expect(second.session.previousTokenHashes).toContain(TokenService.hashToken(first.refreshToken));
+
+    const third = await TokenService.rotateRefreshToken(second.refreshToken);
+    expect(third).not.toBeNull();
+    expect(TokenService.verifyAccessToken(third.token).sid).toBe(first.session._id.toString());
+  });
+
+  it('revokes the whole family when a rotated token is replayed', async () => {
+    const first = await TokenService.createSession(userId);
+    const second = await TokenService.rotateRefreshToken(first.refreshToken);
+
+    await expect(TokenService.rotateRefreshToken(first.refreshToken)).resolves.toBeNull();
+    expect(first.session.revokedAt).toBeInstanceOf(Date);
+    expect(first.session.revokedReason).toBe('reuse-detected');
+
+    // The token the legitimate client holds stops working too
+    await expect(TokenService.rotateRefreshToken(second.refreshToken)).resolves.toBeNull();
+  });
+
+  it('refuses unknown and expired refresh tokens without revoking anything', async () => {
+    const { session, refreshToken } = await TokenService.createSession(userId);
+
+    await expect(TokenService.rotateRefreshToken('not-a-token')).resolves.toBeNull();
+    expect(session.revokedAt).toBeNull();
+
+    session.expiresAt = new Date(Date.now() - 1000);
+    await expect(TokenService.rotateRefreshToken(refreshToken)).resolves.toBeNull();
+    expect(session.revokedAt).toBeNull();
+  });
+});
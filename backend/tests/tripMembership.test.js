@@ -0,0 +1,157 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../src/services/notifier', () => ({ notifier: { sendEmail: jest.fn(), sendSms: jest.fn() } }));
+
+const mongoose = require('mongoose');
+const Trip = require('../src/models/Trip');
+const User = require('../src/models/User');
+const BlockService = require('../src/services/blockService');
+const PassportService = require('../src/services/passportService');
+const TripMembershipService = require('../src/services/tripMembershipService');
+const { useTripStore, query } = require('./helpers/tripStore');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const creator = id();
+const alice = id();
+const bob = id();
+const carol = id();
+
+let store;
+
+// A trip with room for the creator and `maxParticipants - 1` travelers
+const addTrip = (maxParticipants, participants) => store.add({
+  title: 'Lisbon long weekend',
+  creator,
+  destination: { name: 'Lisbon' },
+  startDate: new Date('2026-06-01'),
+  endDate: new Date('2026-06-04'),
+  travelMode: 'flight',
+  maxParticipants,
+  participants: participants.map(([user, status]) => ({ user, status }))
+});
+
+const accept = (tripId, userId) => TripMembershipService.changeStatus(tripId, userId, 'accepted', creator);
+
+beforeEach(() => {
+  store = useTripStore();
+  jest.spyOn(BlockService, 'isBlockedByAny').mockResolvedValue(false);
+  jest.spyOn(PassportService, 'refreshTripCounts').mockResolvedValue();
+  jest.spyOn(User, 'findById').mockReturnValue(query(null));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Trip membership state machine', () => {
+  it('only moves participants between known statuses', () => {
+    Object.values(Trip.MEMBERSHIP_TRANSITIONS).forEach((targets) => {
+      Object.keys(targets).forEach(status => expect(Trip.MEMBERSHIP_STATUSES).toContain(status));
+    });
+  });
+
+  it.each([
+    ['declined', 'accepted'],
+    ['accepted', 'requested'],
+    ['removed', 'requested'],
+    ['none', 'accepted']
+  ])('refuses to move a participant from %s to %s', async (from, to) => {
+    const tripId = addTrip(4, from === 'none' ? [] : [[alice, from]]);
+    const trip = store.get(tripId);
+
+    expect(() => trip.transitionParticipant(alice, { from, to })).toThrow(`from ${from} to ${to}`);
+    await expect(TripMembershipService.changeStatus(tripId, alice, to, creator)).resolves.toBe('invalid-transition');
+  });
+
+  it('leaves system transitions to the waitlist', async () => {
+    const tripId = addTrip(4, [[alice, 'waitlisted']]);
+
+    await expect(TripMembershipService.changeStatus(tripId, alice, 'offered', creator))
+      .resolves.toBe('invalid-transition');
+  });
+
+  it('refuses changes made by the wrong side', async () => {
+    const tripId = addTrip(4, [[alice, 'requested'], [bob, 'invited']]);
+
+    // Travelers cannot accept their own request, organizers cannot accept an invitation for the invitee
+    await expect(TripMembershipService.changeStatus(tripId, alice, 'accepted', alice)).resolves.toBe('forbidden');
+    await expect(TripMembershipService.changeStatus(tripId, bob, 'accepted', creator)).resolves.toBe('forbidden');
+    await expect(TripMembershipService.changeStatus(tripId, creator, 'left', creator)).resolves.toBe('invalid-transition');
+  });
+
+  it('accepts requests while there is room and records the change', async () => {
+    const tripId = addTrip(3, [[alice, 'requested']]);
+
+    const updated = await accept(tripId, alice);
+
+    expect(updated).toBeInstanceOf(Trip);
+    const participant = updated.getParticipant(alice);
+    expect(participant.status).toBe('accepted');
+    expect(participant.joinedAt).toBeInstanceOf(Date);
+    expect(participant.history[participant.history.length - 1]).toMatchObject({ from: 'requested', to: 'accepted' });
+    expect(updated.currentParticipants).toBe(2);
+  });
+
+  it('refuses to accept anyone once the trip is full', async () => {
+    const tripId = addTrip(2, [[alice, 'requested'], [bob, 'requested']]);
+
+    await expect(accept(tripId, alice)).resolves.toBeInstanceOf(Trip);
+    await expect(accept(tripId, bob)).resolves.toBe('full');
+
+    const trip = store.get(tripId);
+    expect(trip.getParticipant(bob).status).toBe('requested');
+    expect(trip.currentParticipants).toBe(2);
+  });
+
+  it('counts places held for seat offers as taken', async () => {
+    const tripId = addTrip(2, [[alice, 'requested']]);
+    await Trip.findOneAndUpdate(
+      { _id: tripId },
+      { $push: { participants: { user: bob, status: 'offered', offerExpiresAt: new Date(Date.now() + 60000) } },
+        $inc: { reservedSeats: 1 } }
+    );
+
+    await expect(accept(tripId, alice)).resolves.toBe('full');
+    await expect(TripMembershipService.changeStatus(tripId, bob, 'accepted', bob)).resolves.toBeInstanceOf(Trip);
+    expect(store.get(tripId)).toMatchObject({ currentParticipants: 2, reservedSeats: 0 });
+  });
+
+  it('lets only one of two concurrent accepts take the last place', async () => {
+    const tripId = addTrip(2, [[alice, 'requested'], [bob, 'requested']]);
+
+    // Both copies were loaded while the place was still free
+    const first = store.get(tripId);
+    const second = store.get(tripId);
+    expect(first.hasOpenSeat() && second.hasOpenSeat()).toBe(true);
+
+    const results = await Promise.all([
+      first.transitionParticipant(alice, { from: 'requested', to: 'accepted' }),
+      second.transitionParticipant(bob, { from: 'requested', to: 'accepted' })
+    ]);
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+    const trip = store.get(tripId);
+    expect(trip.currentParticipants).toBe(2);
+    expect(trip.participants.filter(p => p.status === 'accepted')).toHaveLength(1);
+  });
+
+  it('answers the losing concurrent accept with full', async () => {
+    const tripId = addTrip(2, [[alice, 'requested'], [bob, 'requested']]);
+
+    const results = await Promise.all([accept(tripId, alice), accept(tripId, bob)]);
+
+    expect(results.filter(result => result instanceof Trip)).toHaveLength(1);
+    expect(results).toContain('full');
+    expect(store.get(tripId).currentParticipants).toBe(2);
+  });
+
+  it('applies a change made twice at once only once', async () => {
+    const tripId = addTrip(4, [[alice, 'requested'], [carol, 'requested']]);
+
+    const results = await Promise.all([accept(tripId, alice), accept(tripId, alice)]);
+
+    expect(results.filter(result => result instanceof Trip)).toHaveLength(1);
+    expect(results).toContain('conflict');
+    expect(store.get(tripId).currentParticipants).toBe(2);
+  });
+});
@@ -123,6 +123,12 @@ const RegisterScreen = () => {
             }
           ]
         );
+      } else if (data.passwordErrors) {
+        // Show every password rule the server rejected under the field
+        setErrors(prev => ({
+          ...prev,
+          password: data.passwordErrors.map(error => error.message).join('\n')
+        }));
       } else {
         Alert.alert('Error', data.message || 'Registration failed');
       }